@@ -0,0 +1,331 @@
+/**
+ * Batch Build Script - Build one client package per row of a CSV export
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { TemplateManifest, ConfigValidator } from './token-replacement/index.js';
+import { resolveTemplateName, resolveConfigPath } from './lib/template.js';
+import { resolveConfig, loadHolidays } from './lib/config.js';
+import { readConfigFile, saveConfigFile } from './lib/config-file.js';
+import { readCsvRecords } from './lib/csv.js';
+import { buildClient } from './build.js';
+import { generateClientSlug } from './customize.js';
+import { getDisplayPath } from './lib/utils.js';
+
+// Get __dirname equivalent in ESM
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// List cells (array tokens and extends) hold one item per line or items separated by semicolons
+const LIST_SEPARATOR = /\s*(?:;|\r?\n)\s*/;
+
+/**
+ * Map each CSV column to the token it fills
+ * Columns are token paths (client_name, payment.amount) unless the mapping
+ * renames them; a column mapped to null or "" is ignored.
+ * @param {string[]} columns - CSV header names
+ * @param {Object} mapping - Column name to token path
+ * @returns {Object} - Column name to token path, or null for ignored columns
+ */
+function mapColumns(columns, mapping = {}) {
+    return Object.fromEntries(columns.map(column => {
+        const token = Object.hasOwn(mapping, column) ? mapping[column] : column;
+        return [column, token ? String(token).trim() : null];
+    }));
+}
+
+/**
+ * Turn one CSV row into a client config
+ * Empty cells are left out so template and agency defaults apply. Cells for
+ * array tokens become lists, yes/no cells for boolean tokens become true or
+ * false, and extends paths are resolved against the CSV's directory.
+ * @param {Object} values - Column name to cell text
+ * @param {Object} columnTokens - From mapColumns
+ * @param {Object} manifest - Template manifest
+ * @param {string} csvDir - Directory of the CSV file
+ * @returns {Object} - Client config
+ */
+function rowToConfig(values, columnTokens, manifest, csvDir) {
+    const config = {};
+
+    for (const [column, token] of Object.entries(columnTokens)) {
+        const text = values[column];
+        if (!token || !text) {
+            continue;
+        }
+
+        const type = token === 'extends' ? 'array' : (manifest.tokens[token] || {}).type;
+        ConfigValidator.setNestedValue(config, token, parseCell(text, type));
+    }
+
+    if (config.extends) {
+        config.extends = config.extends.map(base => path.resolve(resolveConfigPath(base, csvDir)));
+    }
+    return config;
+}
+
+/**
+ * Convert a cell's text to a value of the token's type
+ */
+function parseCell(text, type) {
+    if (type === 'array') {
+        return text.split(LIST_SEPARATOR).filter(Boolean);
+    }
+    if (type === 'boolean') {
+        if (/^(y|yes|true|1)$/i.test(text)) {
+            return true;
+        }
+        if (/^(n|no|false|0)$/i.test(text)) {
+            return false;
+        }
+    }
+    return text;
+}
+
+/**
+ * Check a row's config and build it
+ * @param {Object} record - CSV record ({ line, values })
+ * @param {Object} context - { templateName, manifest, columnTokens, csvDir, configsDir, slugs, pdf, strict, holidays, builder }
+ * @returns {Promise<Object>} - Report entry ({ row, client_name, slug, status, built, config, output, missing, error })
+ */
+async function buildRow(record, context) {
+    const config = rowToConfig(record.values, context.columnTokens, context.manifest, context.csvDir);
+    const entry = {
+        row: record.line,
+        client_name: config.client_name || null,
+        slug: null,
+        status: 'failed',
+        built: false,
+        config: null,
+        output: null,
+        missing: [],
+        error: null
+    };
+
+    try {
+        if (!config.client_name) {
+            return { ...entry, status: 'missing-tokens', missing: ['client_name'] };
+        }
+
+        const slug = generateClientSlug(config.client_name);
+        if (!slug) {
+            throw new Error(`Client name "${config.client_name}" needs letters or numbers to name the client package`);
+        }
+        entry.slug = slug;
+        if (context.slugs.has(slug)) {
+            throw new Error(`Same client as row ${context.slugs.get(slug)}; building it would overwrite exports/${slug}/`);
+        }
+        context.slugs.set(slug, record.line);
+
+        const configPath = path.join(context.configsDir, `${slug}.json`);
+        saveConfigFile(configPath, config);
+        entry.config = getDisplayPath(configPath);
+
+        // Check before building, so the report can list exactly which tokens the row is missing
+        const { config: resolved, computed, dates } = resolveConfig(config, { configPath, manifest: context.manifest });
+        const validation = ConfigValidator.validateManifest(resolved, context.manifest, {
+            computed,
+            dates,
+            strict: context.strict,
+            holidays: context.holidays
+        });
+        if (validation.missing.length > 0) {
+            return { ...entry, status: 'missing-tokens', missing: validation.missing.map(missing => missing.token) };
+        }
+        if (!validation.valid) {
+            throw new Error(validation.errors.join('; '));
+        }
+
+        const result = await context.builder(context.templateName, configPath, { pdf: context.pdf, strict: context.strict });
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+
+        // Slides can still have tokens the manifest doesn't require left unfilled
+        const gaps = result.customizeResult?.results?.missing || [];
+        return {
+            ...entry,
+            status: gaps.length > 0 ? 'missing-tokens' : 'built',
+            built: true,
+            output: `exports/${slug}/`,
+            missing: gaps
+        };
+
+    } catch (error) {
+        return { ...entry, error: error.message.replace(/^❌ /, '') };
+    }
+}
+
+/**
+ * Summarize a report's rows
+ */
+function summarize(rows) {
+    return {
+        total: rows.length,
+        built: rows.filter(row => row.status === 'built').length,
+        missing_tokens: rows.filter(row => row.status === 'missing-tokens').length,
+        failed: rows.filter(row => row.status === 'failed').length
+    };
+}
+
+/**
+ * Build every client in a CSV, writing each row's config and a report to exports/batches/<csv-name>/
+ * A row that fails or is missing tokens is recorded in the report and the
+ * batch moves on to the next row.
+ * @param {string} templateName - Template name or shortcut
+ * @param {string} csvFile - CSV with a header row of column names
+ * @param {Object} [options] - { mapFile: column-to-token mapping file; pdf: generate PDFs (true); strict: refuse placeholder links; outputDir: batch directory; builder: builds one config (buildClient) }
+ * @returns {Promise<Object>} - { success, reportPath, rows, summary }, or { success: false, error } if the batch couldn't start
+ */
+async function buildBatch(templateName, csvFile, options = {}) {
+    const { mapFile = null, pdf = true, strict = false, builder = buildClient } = options;
+
+    try {
+        console.log('🚀 Batch Build Starting...');
+        console.log('');
+
+        const resolvedTemplateName = resolveTemplateName(templateName);
+        const templateDir = path.join(__dirname, '..', 'templates', resolvedTemplateName);
+        if (!fs.existsSync(templateDir)) {
+            throw new Error(`Template directory not found: ${templateDir}`);
+        }
+        const manifest = TemplateManifest.load(templateDir);
+
+        const csvPath = path.resolve(csvFile);
+        if (!fs.existsSync(csvPath)) {
+            throw new Error(`CSV file not found: ${getDisplayPath(csvPath)}`);
+        }
+
+        let csv;
+        try {
+            csv = readCsvRecords(fs.readFileSync(csvPath, 'utf8'));
+        } catch (error) {
+            throw new Error(`${getDisplayPath(csvPath)}: ${error.message.replace(/^❌ /, '')}`);
+        }
+        if (csv.records.length === 0) {
+            throw new Error(`${getDisplayPath(csvPath)} has no client rows below its header`);
+        }
+
+        const mapping = mapFile ? readConfigFile(path.resolve(mapFile)) : {};
+        const columnTokens = mapColumns(csv.columns, mapping);
+        const batchDir = options.outputDir || path.join(__dirname, '..', 'exports', 'batches', path.basename(csvPath, path.extname(csvPath)));
+
+        console.log(`📋 Template: ${TemplateManifest.describe(manifest)}`);
+        console.log(`📖 Clients: ${getDisplayPath(csvPath)} (${csv.records.length} row${csv.records.length === 1 ? '' : 's'})`);
+        console.log('🔗 Columns:');
+        for (const [column, token] of Object.entries(columnTokens)) {
+            console.log(`   ${column}${token === column ? '' : ` → ${token || '(ignored)'}`}`);
+        }
+        const unknownColumns = Object.keys(mapping).filter(column => !csv.columns.includes(column));
+        if (unknownColumns.length > 0) {
+            console.log(`⚠️  Mapped columns not in the CSV: ${unknownColumns.join(', ')}`);
+        }
+
+        const context = {
+            templateName: resolvedTemplateName,
+            manifest,
+            columnTokens,
+            csvDir: path.dirname(csvPath),
+            configsDir: path.join(batchDir, 'configs'),
+            slugs: new Map(),
+            pdf,
+            strict,
+            holidays: loadHolidays(),
+            builder
+        };
+
+        const rows = [];
+        for (const [index, record] of csv.records.entries()) {
+            console.log('');
+            console.log(`━━━ Row ${record.line} (${index + 1}/${csv.records.length}): ${record.values[csv.columns.find(column => columnTokens[column] === 'client_name')] || 'no client name'} ━━━`);
+            const row = await buildRow(record, context);
+            if (!row.built) {
+                console.log(`⏭️  Not built: ${row.error || `missing ${row.missing.join(', ')}`}`);
+            }
+            rows.push(row);
+        }
+
+        const summary = summarize(rows);
+        const reportPath = path.join(batchDir, 'report.json');
+        fs.mkdirSync(batchDir, { recursive: true });
+        fs.writeFileSync(reportPath, `${JSON.stringify({
+            template: resolvedTemplateName,
+            csv: getDisplayPath(csvPath),
+            summary,
+            rows
+        }, null, 2)}\n`);
+
+        console.log('');
+        console.log('📊 Batch Summary');
+        for (const row of rows) {
+            const label = `Row ${row.row}: ${row.client_name || '(no client name)'}`;
+            if (row.status === 'built') {
+                console.log(`   ✅ ${label} → ${row.output}`);
+            } else if (row.status === 'missing-tokens') {
+                console.log(`   ⚠️  ${label} ${row.built ? 'built with unfilled tokens' : 'not built, missing'}: ${row.missing.join(', ')}`);
+            } else {
+                console.log(`   ❌ ${label}: ${row.error}`);
+            }
+        }
+        console.log('');
+        console.log(`✅ Built: ${summary.built}   ⚠️  Missing tokens: ${summary.missing_tokens}   ❌ Failed: ${summary.failed}`);
+        console.log(`📁 Report: ${getDisplayPath(reportPath)}`);
+
+        return { success: true, reportPath, rows, summary };
+
+    } catch (error) {
+        console.error('❌ Batch build failed:', error.message);
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
+// Command line usage
+function showUsage() {
+    console.log('Usage: node build-batch.js <template> <clients.csv> [--map columns.json] [--no-pdf] [--strict]');
+    console.log('');
+    console.log('Examples:');
+    console.log('  node build-batch.js timeline-agreement clients.csv');
+    console.log('  node build-batch.js scope-approval clients.csv --map crm-columns.json --no-pdf');
+    console.log('');
+    console.log('Columns are token paths (client_name, payment.amount) unless --map renames them.');
+    console.log('Each row is built like `build`; the report goes to exports/batches/<csv-name>/report.json');
+    console.log('');
+    console.log('Options:');
+    console.log('  --map     JSON, JSON5 or YAML object of CSV column → token path (null ignores a column)');
+    console.log('  --no-pdf  Customize the slides only');
+    console.log('  --strict  Fail rows whose links are still the "#" placeholder');
+}
+
+// Main execution
+const isMainModule = import.meta.url === `file://${process.argv[1]}`;
+
+if (isMainModule) {
+    const args = process.argv.slice(2);
+    const mapIndex = args.indexOf('--map');
+    const mapFile = mapIndex === -1 ? null : args[mapIndex + 1];
+    const [templateName, csvFile] = args.filter((arg, index) => !arg.startsWith('--') && (mapIndex === -1 || index !== mapIndex + 1));
+
+    if (!templateName || !csvFile || (mapIndex !== -1 && !mapFile)) {
+        showUsage();
+        process.exit(1);
+    }
+
+    buildBatch(templateName, csvFile, { mapFile, pdf: !args.includes('--no-pdf'), strict: args.includes('--strict') })
+        .then(result => {
+            // Any row that wasn't fully built fails the command, so scripts can tell
+            if (!result.success || result.summary.built < result.summary.total) {
+                process.exit(1);
+            }
+        })
+        .catch(error => {
+            console.error('❌ Unexpected error:', error.message);
+            process.exit(1);
+        });
+}
+
+export { buildBatch, mapColumns, rowToConfig };
@@ -7,28 +7,35 @@ import { generatePDF } from './generate-pdf.js';
 
 /**
  * Build complete client package (customize + PDF)
+ * Pass { pdf: false } to stop after customizing, and { strict: true } to
+ * refuse configs whose links are still the "#" placeholder
  */
-async function buildClient(templateName, configFile) {
+async function buildClient(templateName, configFile, options = {}) {
+    const { pdf = true, strict = false } = options;
+    
     try {
         console.log('🚀 Complete Build Starting...');
         console.log('');
         
         // Step 1: Customize templates
         console.log('📋 Step 1: Customizing templates...');
-        const customizeResult = await customizeTemplate(templateName, configFile);
+        const customizeResult = await customizeTemplate(templateName, configFile, { strict });
         
         if (!customizeResult.success) {
             throw new Error(`Customization failed: ${customizeResult.error}`);
         }
         
-        console.log('');
-        console.log('📄 Step 2: Generating PDFs...');
-        
         // Step 2: Generate PDFs
-        const pdfResult = await generatePDF(configFile);
-        
-        if (!pdfResult.success) {
-            throw new Error(`PDF generation failed: ${pdfResult.error}`);
+        let pdfResult = null;
+        if (pdf) {
+            console.log('');
+            console.log('📄 Step 2: Generating PDFs...');
+            
+            pdfResult = await generatePDF(configFile);
+            
+            if (!pdfResult.success) {
+                throw new Error(`PDF generation failed: ${pdfResult.error}`);
+            }
         }
         
         console.log('');
@@ -54,28 +61,29 @@ async function buildClient(templateName, configFile) {
 
 // Command line usage
 function showUsage() {
-    console.log('Usage: node build.js <template> <config>');
+    console.log('Usage: node build.js <template> <config> [--strict]');
     console.log('');
     console.log('Examples:');
     console.log('  node build.js discovery john-boros');
     console.log('  node build.js discovery-planning-agreement configs/maria.json');
     console.log('');
     console.log('This command runs customize + PDF generation in sequence');
+    console.log('--strict refuses to build while a link is still the "#" placeholder');
 }
 
 // Main execution
 const isMainModule = import.meta.url === `file://${process.argv[1]}`;
 
 if (isMainModule) {
-    const templateName = process.argv[2];
-    const configFile = process.argv[3];
+    const args = process.argv.slice(2);
+    const [templateName, configFile] = args.filter(arg => !arg.startsWith('--'));
     
     if (!templateName || !configFile) {
         showUsage();
         process.exit(1);
     }
     
-    buildClient(templateName, configFile)
+    buildClient(templateName, configFile, { strict: args.includes('--strict') })
         .then(result => {
             if (!result.success) {
                 process.exit(1);
@@ -6,9 +6,13 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { TemplateProcessor } from './token-replacement/index.js';
+import { TemplateProcessor, TemplateDiagnostics, TemplateManifest, ConfigValidator } from './token-replacement/index.js';
 import { resolveTemplateName, resolveConfigPath } from './lib/template.js';
-import { processConfig } from './lib/config.js';
+import { resolveConfig, loadHolidays } from './lib/config.js';
+import { readConfigFile } from './lib/config-file.js';
+import { maskSecrets } from './lib/interpolate.js';
+import { runConfigWizard } from './lib/wizard.js';
+import { reportManifestErrors, reportManifestWarnings, reportUntranslatedStrings } from './lib/validation-report.js';
 import { getDisplayPath, getDisplayDir } from './lib/utils.js';
 
 // Get __dirname equivalent in ESM
@@ -52,18 +56,17 @@ function generateClientSlug(clientName) {
 /**
  * Process all templates in a template directory
  */
-async function processTemplateDirectory(templateDir, config, outputDir) {
+async function processTemplateDirectory(templateDir, config, outputDir, manifest = TemplateManifest.load(templateDir)) {
+    // Missing tokens are reported below as diagnostics with code frames
     const processor = new TemplateProcessor({
-        errorHandling: 'warn',
+        errorHandling: 'graceful',
         strictValidation: false,
         allowEmptyValues: false,
         cacheTokens: true
     });
     
-    // Find all HTML files in template directory
-    const htmlFiles = fs.readdirSync(templateDir)
-        .filter(file => file.endsWith('.html'))
-        .map(file => path.join(templateDir, file));
+    // Slides in the order the manifest lists them
+    const htmlFiles = TemplateManifest.getSlidePaths(templateDir, manifest);
     
     if (htmlFiles.length === 0) {
         throw new Error(`No HTML template files found in ${templateDir}`);
@@ -71,6 +74,11 @@ async function processTemplateDirectory(templateDir, config, outputDir) {
     
     console.log(`🔍 Found ${htmlFiles.length} template files`);
     
+    const unlisted = manifest.file ? TemplateManifest.findUnlistedSlides(templateDir, manifest) : [];
+    if (unlisted.length > 0) {
+        console.log(`⚠️  Not listed in ${TemplateManifest.FILE_NAME}, skipped: ${unlisted.join(', ')}`);
+    }
+    
     // Process all templates
     const results = await processor.processMultipleTemplates(htmlFiles, config);
     
@@ -101,22 +109,113 @@ async function processTemplateDirectory(templateDir, config, outputDir) {
         }
     }
     
+    // Point at missing tokens in the templates
+    if (results.diagnostics.length > 0) {
+        console.log(`⚠️  ${results.diagnostics.length} missing token${results.diagnostics.length === 1 ? '' : 's'}:`);
+        for (const diagnostic of results.diagnostics) {
+            console.log(`   ${TemplateDiagnostics.format(diagnostic, { frame: true })}`);
+            console.log('');
+        }
+    }
+
+    // List strings the config's locale doesn't translate yet (they render in English)
+    if (results.untranslated.length > 0) {
+        console.log(`🌐 ${results.untranslated.length} untranslated string${results.untranslated.length === 1 ? '' : 's'} for ${config.locale}:`);
+        for (const entry of results.untranslated) {
+            console.log(`   ${entry.key}${entry.fallback ? '' : ' (not in any string pack)'}`);
+        }
+        console.log('');
+    }
+
+    // Tokens the slides use that template.json should describe
+    const undeclared = TemplateManifest.findUndeclaredTokens(manifest, results.aggregatedTokens);
+    if (undeclared.length > 0) {
+        console.log(`⚠️  Not declared in ${TemplateManifest.FILE_NAME}: ${undeclared.join(', ')}`);
+    }
+    
     // Show token summary
     if (results.aggregatedTokens.length > 0) {
         console.log(`📊 Tokens used: ${results.aggregatedTokens.join(', ')}`);
     }
+    if (results.aggregatedValidation.defaulted.length > 0) {
+        console.log(`💡 Template defaults used for: ${results.aggregatedValidation.defaulted.join(', ')}`);
+    }
     
     return {
         processed: processedCount,
         failed: results.failed.length,
-        tokens: results.aggregatedTokens
+        tokens: results.aggregatedTokens,
+        missing: [...new Set(results.diagnostics.map(diagnostic => diagnostic.token))]
     };
 }
 
+/**
+ * Print the fully resolved config, one value per line with the file
+ * (or default or computed entry) it came from
+ */
+function printResolvedConfig(config, sources) {
+    const paths = Object.keys(sources);
+    const width = Math.max(...paths.map(keyPath => keyPath.length));
+    
+    console.log('🧾 Resolved config:');
+    for (const keyPath of paths) {
+        const value = keyPath.split('.').reduce((current, key) => current[key], config);
+        console.log(`   ${keyPath.padEnd(width)}  ${JSON.stringify(value)}  ← ${sources[keyPath]}`);
+    }
+}
+
+/**
+ * Mask secrets resolved from ${env:...} and ${file:...} references in everything
+ * printed to the console until the returned function is called
+ */
+function maskConsoleSecrets(secrets) {
+    const originals = { log: console.log, warn: console.warn, error: console.error };
+    
+    for (const [method, original] of Object.entries(originals)) {
+        console[method] = (...args) => original(...args.map(arg => (typeof arg === 'string' ? maskSecrets(arg, secrets) : arg)));
+    }
+    
+    return () => Object.assign(console, originals);
+}
+
+/**
+ * Run the config wizard for a template, saving the answers to the config file
+ * @returns {Promise<boolean>} - True when the config was completed
+ */
+async function fillConfigInteractively(templateName, configFile) {
+    try {
+        const resolvedTemplateName = resolveTemplateName(templateName);
+        const templateDir = path.join(__dirname, '..', 'templates', resolvedTemplateName);
+        if (!fs.existsSync(templateDir)) {
+            throw new Error(`Template directory not found: ${templateDir}`);
+        }
+        const resolvedConfigPath = resolveConfigPath(configFile);
+        
+        console.log('🧙 Config Wizard');
+        console.log(`📋 Template: ${TemplateManifest.describe(TemplateManifest.load(templateDir))}`);
+        console.log(`📖 Config: ${getDisplayPath(path.resolve(resolvedConfigPath))}${fs.existsSync(resolvedConfigPath) ? ' (resuming)' : ''}`);
+        console.log('   Press Enter to keep the value in [brackets]; Ctrl-C saves and stops.');
+        
+        const { asked } = await runConfigWizard(templateDir, resolvedConfigPath);
+        
+        console.log('');
+        console.log(asked > 0 ? `💾 Saved ${getDisplayPath(path.resolve(resolvedConfigPath))}` : '✅ Nothing to ask: the config already sets every token');
+        console.log('');
+        return true;
+        
+    } catch (error) {
+        console.log('');
+        console.error('❌ Config wizard stopped:', error.message);
+        return false;
+    }
+}
+
 /**
  * Main customization function
  */
-async function customizeTemplate(templateName, configFile) {
+async function customizeTemplate(templateName, configFile, options = {}) {
+    let restoreConsole = () => {};
+    
     try {
         console.log('🚀 Template Customization Starting...');
         console.log('');
@@ -125,25 +224,46 @@ async function customizeTemplate(templateName, configFile) {
         const resolvedTemplateName = resolveTemplateName(templateName);
         const resolvedConfigPath = resolveConfigPath(configFile);
         
-        console.log(`📋 Template: ${resolvedTemplateName}`);
-        console.log(`📖 Config: ${getDisplayPath(resolvedConfigPath)}`);
-        console.log('');
-        
         // Validate template directory exists
         const templateDir = path.join(__dirname, '..', 'templates', resolvedTemplateName);
         if (!fs.existsSync(templateDir)) {
             throw new Error(`Template directory not found: ${templateDir}`);
         }
+        const manifest = TemplateManifest.load(templateDir);
+        
+        console.log(`📋 Template: ${TemplateManifest.describe(manifest)}`);
+        console.log(`📖 Config: ${getDisplayPath(resolvedConfigPath)}`);
+        console.log('');
         
         // Read and process config
-        const rawConfig = JSON.parse(fs.readFileSync(resolvedConfigPath, 'utf8'));
-        const config = processConfig(rawConfig);
+        const rawConfig = readConfigFile(resolvedConfigPath);
+        const { config, sources, secrets, computed, dates } = resolveConfig(rawConfig, { configPath: resolvedConfigPath, manifest });
+        restoreConsole = maskConsoleSecrets(secrets);
         const clientSlug = generateClientSlug(config.client_name);
         
+        if (options.printConfig) {
+            printResolvedConfig(config, sources);
+            return { success: true, config, sources };
+        }
+        
         console.log(`👤 Client: ${config.client_name}`);
         console.log(`📂 Slug: ${clientSlug}`);
         console.log('');
         
+        // Check the config against the tokens the template declares
+        const validation = ConfigValidator.validateManifest(config, manifest, {
+            computed,
+            dates,
+            strict: options.strict,
+            holidays: loadHolidays()
+        });
+        reportManifestWarnings(validation);
+        reportUntranslatedStrings(templateDir, config.locale);
+        if (!validation.valid) {
+            reportManifestErrors(validation, manifest);
+            throw new Error(`${validation.errors.length} config problem${validation.errors.length === 1 ? '' : 's'} for ${resolvedTemplateName}`);
+        }
+        
         // Set up output directories
         const outputDir = path.join(__dirname, '..', 'exports', clientSlug, 'slides');
         const clientAssetsDir = path.join(__dirname, '..', 'exports', clientSlug, 'assets');
@@ -162,7 +282,7 @@ async function customizeTemplate(templateName, configFile) {
         };
         
         // Process templates
-        const results = await processTemplateDirectory(templateDir, configWithAssetPath, outputDir);
+        const results = await processTemplateDirectory(templateDir, configWithAssetPath, outputDir, manifest);
         
         console.log('');
         console.log('✅ Customization Complete!');
@@ -185,16 +305,26 @@ async function customizeTemplate(templateName, configFile) {
             success: false,
             error: error.message
         };
+    } finally {
+        restoreConsole();
     }
 }
 
 // Command line usage
 function showUsage() {
-    console.log('Usage: node customize.js <template> <config>');
+    console.log('Usage: node customize.js <template> <config> [--print-config] [--interactive] [--strict]');
     console.log('');
     console.log('Examples:');
     console.log('  node customize.js discovery john-boros');
     console.log('  node customize.js discovery-planning-agreement configs/maria.json');
+    console.log('  node customize.js timeline-agreement configs/prod/acme.yaml');
+    console.log('  node customize.js scope-approval configs/prod/acme.json --print-config');
+    console.log('  node customize.js scope-approval configs/prod/acme.json --interactive');
+    console.log('');
+    console.log('Options:');
+    console.log('  --print-config  Show the resolved config and where each value came from, without building');
+    console.log('  --interactive   Ask for each missing token, slide by slide, save the config, then build');
+    console.log('  --strict        Refuse to build while a link is still the "#" placeholder');
     console.log('');
     console.log('Template shortcuts:');
     console.log('  discovery, agreement, planning → discovery-planning-agreement');
@@ -204,15 +334,19 @@ function showUsage() {
 const isMainModule = import.meta.url === `file://${process.argv[1]}`;
 
 if (isMainModule) {
-    const templateName = process.argv[2];
-    const configFile = process.argv[3];
+    const args = process.argv.slice(2);
+    const [templateName, configFile] = args.filter(arg => !arg.startsWith('--'));
+    const printConfig = args.includes('--print-config');
+    const interactive = args.includes('--interactive');
+    const strict = args.includes('--strict');
     
     if (!templateName || !configFile) {
         showUsage();
         process.exit(1);
     }
     
-    customizeTemplate(templateName, configFile)
+    (interactive ? fillConfigInteractively(templateName, configFile) : Promise.resolve(true))
+        .then(filled => (filled ? customizeTemplate(templateName, configFile, { printConfig, strict }) : { success: false }))
         .then(result => {
             if (!result.success) {
                 process.exit(1);
@@ -224,5 +358,5 @@ if (isMainModule) {
         });
 }
 
-export { customizeTemplate };
+export { customizeTemplate, generateClientSlug };
 
@@ -8,6 +8,7 @@ import { spawn } from 'child_process';
 import { fileURLToPath } from 'url';
 import { resolveConfigPath } from './lib/template.js';
 import { processConfig } from './lib/config.js';
+import { readConfigFile } from './lib/config-file.js';
 import { getDisplayPath, getDisplayDir } from './lib/utils.js';
 
 // Get __dirname equivalent in ESM
@@ -39,8 +40,8 @@ async function generatePDF(configFile) {
         console.log(`📖 Config: ${getDisplayPath(resolvedConfigPath)}`);
         
         // Read and process config
-        const rawConfig = JSON.parse(fs.readFileSync(resolvedConfigPath, 'utf8'));
-        const config = processConfig(rawConfig);
+        const rawConfig = readConfigFile(resolvedConfigPath);
+        const config = processConfig(rawConfig, { configPath: resolvedConfigPath });
         const clientSlug = generateClientSlug(config.client_name);
         
         console.log(`👤 Client: ${config.client_name}`);
@@ -0,0 +1,196 @@
+/**
+ * Init Config Script - Write a starter client config for a template, with every token in slide order
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import YAML from 'yaml';
+import { TemplateManifest, ConfigValidator } from './token-replacement/index.js';
+import { resolveTemplateName } from './lib/template.js';
+import { CONFIG_EXTENSIONS } from './lib/config-file.js';
+import { generateClientSlug } from './customize.js';
+import { getDisplayPath } from './lib/utils.js';
+
+// Get __dirname equivalent in ESM
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Output formats; JSON can't hold comments, so token descriptions are only written into JSON5 and YAML
+const FORMATS = ['json', 'json5', 'yaml'];
+
+/**
+ * List a template's tokens in the order its slides use them, client_name first
+ */
+function listTemplateTokens(templateDir, manifest) {
+    const slideTokens = TemplateManifest.groupTokensBySlide(templateDir, manifest).flatMap(group => group.tokens);
+    const order = ['client_name', ...slideTokens.filter(token => token !== 'client_name')];
+
+    return order.map(token => ({ token, type: 'string', description: '', ...manifest.tokens[token] }));
+}
+
+/**
+ * Format the starter config, with each token's description as a comment where the format allows
+ */
+function formatConfig(config, tokens, format, title) {
+    if (format === 'json') {
+        return `${JSON.stringify(config, null, 2)}\n`;
+    }
+
+    const descriptions = Object.fromEntries(tokens.filter(entry => entry.description).map(entry => [entry.token, entry.description]));
+    const header = `Starter config for ${title}: replace the example values and [placeholders]`;
+
+    return format === 'yaml'
+        ? `# ${header}\n${formatYaml(config, descriptions)}`
+        : `// ${header}\n${formatJson5(config, descriptions)}\n`;
+}
+
+/**
+ * Write an object as JSON5 with a // comment above each described key
+ */
+function formatJson5(config, descriptions, prefix = '', indent = '') {
+    const inner = `${indent}  `;
+    const entries = Object.entries(config).map(([key, value]) => {
+        const keyPath = prefix ? `${prefix}.${key}` : key;
+        const comment = descriptions[keyPath] ? `${inner}// ${descriptions[keyPath]}\n` : '';
+        const formatted = isPlainObject(value)
+            ? formatJson5(value, descriptions, keyPath, inner)
+            : JSON.stringify(value, null, 2).split('\n').join(`\n${inner}`);
+        return `${comment}${inner}${JSON.stringify(key)}: ${formatted}`;
+    });
+
+    return `{\n${entries.join(',\n')}\n${indent}}`;
+}
+
+/**
+ * Write an object as YAML with a # comment above each described key
+ */
+function formatYaml(config, descriptions, prefix = '', indent = '') {
+    return Object.entries(config).map(([key, value]) => {
+        const keyPath = prefix ? `${prefix}.${key}` : key;
+        const comment = descriptions[keyPath] ? `${indent}# ${descriptions[keyPath]}\n` : '';
+
+        if (isPlainObject(value)) {
+            return `${comment}${indent}${key}:\n${formatYaml(value, descriptions, keyPath, `${indent}  `)}`;
+        }
+        const lines = YAML.stringify({ [key]: value }, { schema: 'core' }).trimEnd().split('\n');
+        return `${comment}${lines.map(line => `${indent}${line}`).join('\n')}\n`;
+    }).join('');
+}
+
+/**
+ * Check whether a value is a plain object (not an array or null)
+ */
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Write configs/prod/<client-slug>.json (or .json5/.yaml) for a template
+ */
+function initConfig(templateName, clientName, options = {}) {
+    const {
+        force = false,
+        format = 'json',
+        outputDir = path.join(__dirname, '..', 'configs', 'prod')
+    } = options;
+
+    try {
+        console.log('🚀 Config Scaffolding Starting...');
+        console.log('');
+
+        if (!FORMATS.includes(format)) {
+            throw new Error(`Unknown format '${format}' (use ${FORMATS.join(', ')})`);
+        }
+
+        const resolvedTemplateName = resolveTemplateName(templateName);
+        const templateDir = path.join(__dirname, '..', 'templates', resolvedTemplateName);
+        if (!fs.existsSync(templateDir)) {
+            throw new Error(`Template directory not found: ${templateDir}`);
+        }
+        const manifest = TemplateManifest.load(templateDir);
+
+        const clientSlug = generateClientSlug(clientName);
+        if (!clientSlug) {
+            throw new Error(`Client name "${clientName}" needs letters or numbers to name the config file`);
+        }
+
+        console.log(`📋 Template: ${TemplateManifest.describe(manifest)}`);
+        console.log(`👤 Client: ${clientName}`);
+        console.log('');
+
+        // Any format counts, since configs are found by name whatever their extension
+        const configPath = path.join(outputDir, `${clientSlug}.${format}`);
+        const existing = CONFIG_EXTENSIONS
+            .map(extension => path.join(outputDir, `${clientSlug}${extension}`))
+            .find(file => fs.existsSync(file));
+        if (existing && !(force && existing === configPath)) {
+            throw new Error(`${getDisplayPath(existing)} already exists${existing === configPath ? ' (use --force to overwrite it)' : ''}`);
+        }
+
+        // Examples (or defaults) from template.json fill the values; other tokens get [token] placeholders
+        const tokens = listTemplateTokens(templateDir, manifest);
+        const config = ConfigValidator.generateConfigSuggestions(tokens.map(entry => ({
+            ...entry,
+            example: entry.token === 'client_name' ? clientName : entry.example ?? entry.default
+        })));
+
+        fs.mkdirSync(outputDir, { recursive: true });
+        fs.writeFileSync(configPath, formatConfig(config, tokens, format, manifest.title || resolvedTemplateName));
+
+        console.log(`✅ Wrote ${getDisplayPath(configPath)} (${tokens.length} token${tokens.length === 1 ? '' : 's'})`);
+
+        const placeholders = tokens.filter(entry => entry.example === undefined && entry.default === undefined && entry.token !== 'client_name');
+        if (placeholders.length > 0) {
+            console.log('📝 Fill in the [placeholders]:');
+            for (const entry of placeholders) {
+                console.log(`   ${entry.token} (${entry.type})${entry.description ? `: ${entry.description}` : ''}`);
+            }
+        }
+        console.log('✏️  Replace the example values with the client\'s details, then check the config with:');
+        console.log(`   npm run validate -- ${resolvedTemplateName} ${getDisplayPath(configPath)}`);
+
+        return { success: true, configPath, config };
+
+    } catch (error) {
+        console.error('❌ Config scaffolding failed:', error.message);
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
+// Command line usage
+function showUsage() {
+    console.log('Usage: node init-config.js <template> <client-name> [--force] [--format json|json5|yaml]');
+    console.log('');
+    console.log('Examples:');
+    console.log('  node init-config.js timeline-agreement "Acme Corp"');
+    console.log('  node init-config.js scope-approval "María González, Café Esperanza" --format yaml');
+    console.log('');
+    console.log('Options:');
+    console.log('  --force   Overwrite the client\'s existing config');
+    console.log('  --format  json (default), or json5/yaml to include token descriptions as comments');
+}
+
+// Main execution
+const isMainModule = import.meta.url === `file://${process.argv[1]}`;
+
+if (isMainModule) {
+    const args = process.argv.slice(2);
+    const formatIndex = args.indexOf('--format');
+    const format = formatIndex === -1 ? 'json' : args[formatIndex + 1];
+    const [templateName, clientName] = args.filter((arg, index) => !arg.startsWith('--') && (formatIndex === -1 || index !== formatIndex + 1));
+
+    if (!templateName || !clientName) {
+        showUsage();
+        process.exit(1);
+    }
+
+    if (!initConfig(templateName, clientName, { force: args.includes('--force'), format }).success) {
+        process.exit(1);
+    }
+}
+
+export { initConfig, listTemplateTokens };
@@ -0,0 +1,225 @@
+/**
+ * Computed config values: dates from a start date plus business days,
+ * and payment amounts from a total plus percentages
+ */
+
+import TokenFilters from '../token-replacement/token-filters.js';
+
+// The locale's long date: "June 10, 2025" in en-US, "10 de junio de 2025" in es
+const DEFAULT_DATE_FORMAT = 'long';
+
+/**
+ * Check whether a date falls on a weekday that isn't a holiday
+ * @param {Date} date - Date to check
+ * @param {Map|Set} [holidays] - ISO dates (2025-07-04) to skip, e.g. from loadHolidays
+ * @returns {boolean} - True for Monday to Friday, holidays excepted
+ */
+function isBusinessDay(date, holidays = new Map()) {
+    const day = date.getDay();
+    return day !== 0 && day !== 6 && !holidays.has(TokenFilters.formatDate(date, 'yyyy-MM-dd'));
+}
+
+/**
+ * Move a date by a number of business days, skipping weekends and holidays
+ * @param {Date} date - Starting date
+ * @param {number} days - Business days to add (negative counts backwards)
+ * @param {Map|Set} [holidays] - ISO dates to skip
+ * @returns {Date} - New date
+ */
+function addBusinessDays(date, days, holidays = new Map()) {
+    const result = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    const step = days < 0 ? -1 : 1;
+    let remaining = Math.abs(days);
+
+    while (remaining > 0) {
+        result.setDate(result.getDate() + step);
+        if (isBusinessDay(result, holidays)) {
+            remaining--;
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Move a date by a number of calendar days
+ * @param {Date} date - Starting date
+ * @param {number} days - Days to add (negative counts backwards)
+ * @returns {Date} - New date
+ */
+function addDays(date, days) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+/**
+ * Evaluate the config's `computed` section and expose the results as top-level values
+ * Entries can refer to plain config values or to other computed entries, in any order.
+ * A value already set in the config wins over its computed entry, so one milestone can be
+ * pinned by hand while the dates derived from it still follow.
+ * @param {Object} config - Config with an optional `computed` section
+ * @param {Object} [options] - { holidays: ISO dates business days skip }
+ * @returns {Object} - Config with computed values applied and the `computed` section removed
+ * @throws {Error} - If an entry is invalid, refers to a missing value or forms a cycle
+ */
+function applyComputed(config, options = {}) {
+    return resolveComputed(config, options).config;
+}
+
+/**
+ * Evaluate the config's `computed` section like applyComputed, also returning the computed dates as ISO days
+ * The config holds each date formatted for the deck's locale, which date checks
+ * can't read back in every language, so they compare the ISO days instead.
+ * @param {Object} config - Config with an optional `computed` section
+ * @param {Object} [options] - As for applyComputed
+ * @returns {Object} - { config, dates: map of computed date name to ISO day, e.g. { phase1_end_date: '2025-06-16' } }
+ * @throws {Error} - If an entry is invalid, refers to a missing value or forms a cycle
+ */
+function resolveComputed(config, options = {}) {
+    const { holidays = new Map() } = options;
+    const { computed, ...result } = config;
+    if (!computed) {
+        return { config: result, dates: {} };
+    }
+    if (typeof computed !== 'object' || Array.isArray(computed)) {
+        throw new Error('❌ computed must be an object of { "name": { "from": ... } } entries');
+    }
+
+    // Dates are chained as Date objects so they never round-trip through formatted text
+    const dates = {};
+    const resolving = [];
+
+    const resolve = (name) => {
+        if (!(name in computed) || isSet(result[name])) {
+            return;
+        }
+        if (resolving.includes(name)) {
+            throw new Error(`❌ computed values form a cycle: ${[...resolving.slice(resolving.indexOf(name)), name].join(' → ')}`);
+        }
+
+        resolving.push(name);
+        const value = computeEntry(name, computed[name], (ref) => {
+            const key = ref.split('.')[0];
+            resolve(key);
+            return key === ref && key in dates ? dates[key] : getNestedValue(result, ref);
+        }, holidays);
+        resolving.pop();
+
+        if (value instanceof Date) {
+            dates[name] = value;
+            result[name] = TokenFilters.formatDate(value, computed[name].format || DEFAULT_DATE_FORMAT, result.locale || 'en-US');
+        } else {
+            result[name] = value;
+        }
+    };
+
+    for (const name of Object.keys(computed)) {
+        resolve(name);
+    }
+
+    const isoDates = Object.fromEntries(Object.entries(dates).map(([name, date]) => [name, TokenFilters.formatDate(date, 'yyyy-MM-dd')]));
+    return { config: result, dates: isoDates };
+}
+
+/**
+ * Compute a single entry
+ * Date entries use `business_days` and/or `days`; amount entries use `percent` and/or `minus`.
+ * An entry with only `from` copies the value.
+ * @param {string} name - Entry name (for error messages)
+ * @param {Object} entry - Entry definition
+ * @param {Function} lookup - Resolves a config path, computing it first when needed
+ * @param {Map|Set} holidays - ISO dates business days skip
+ * @returns {Date|number|*} - Computed value
+ */
+function computeEntry(name, entry, lookup, holidays) {
+    if (!entry || typeof entry !== 'object' || typeof entry.from !== 'string') {
+        throw new Error(`❌ computed.${name} needs a "from" config path (e.g. { "from": "start_date", "business_days": 5 })`);
+    }
+
+    const source = lookup(entry.from);
+    if (!isSet(source)) {
+        throw new Error(`❌ computed.${name}: "${entry.from}" is not set in the config`);
+    }
+
+    if ('business_days' in entry || 'days' in entry) {
+        const date = TokenFilters.toDate(source);
+        if (!date) {
+            throw new Error(`❌ computed.${name}: "${entry.from}" is not a date (got ${JSON.stringify(source)})`);
+        }
+
+        const withBusinessDays = addBusinessDays(date, toInteger(name, 'business_days', entry.business_days ?? 0), holidays);
+        return addDays(withBusinessDays, toInteger(name, 'days', entry.days ?? 0));
+    }
+
+    if ('percent' in entry || 'minus' in entry) {
+        let amount = toAmount(name, entry.from, source);
+
+        if ('percent' in entry) {
+            amount = amount * toAmount(name, 'percent', entry.percent) / 100;
+        }
+        for (const ref of [].concat(entry.minus ?? [])) {
+            amount -= typeof ref === 'number' ? ref : toAmount(name, ref, lookup(ref));
+        }
+
+        // Round to cents so percentages don't leave floating-point noise
+        return Math.round(amount * 100) / 100;
+    }
+
+    return source;
+}
+
+/**
+ * Read a whole number option
+ * @param {string} name - Entry name
+ * @param {string} option - Option name
+ * @param {*} value - Option value
+ * @returns {number} - Integer value
+ * @throws {Error} - If the value isn't a whole number
+ */
+function toInteger(name, option, value) {
+    if (!Number.isInteger(value)) {
+        throw new Error(`❌ computed.${name}: ${option} must be a whole number (got ${JSON.stringify(value)})`);
+    }
+    return value;
+}
+
+/**
+ * Read a numeric amount such as 12500 or "$12,500"
+ * @param {string} name - Entry name
+ * @param {string} label - Path or option the value came from
+ * @param {*} value - Value to convert
+ * @returns {number} - Amount
+ * @throws {Error} - If the value isn't numeric
+ */
+function toAmount(name, label, value) {
+    const amount = TokenFilters.toNumber(value);
+    if (amount === null) {
+        throw new Error(`❌ computed.${name}: "${label}" is not a number (got ${JSON.stringify(value)})`);
+    }
+    return amount;
+}
+
+/**
+ * Check whether a config value is filled in
+ * @param {*} value - Value to check
+ * @returns {boolean} - False for undefined, null and blank strings
+ */
+function isSet(value) {
+    return value !== undefined && value !== null && !(typeof value === 'string' && value.trim() === '');
+}
+
+/**
+ * Get a nested value using dot notation
+ * @param {Object} obj - Object to read
+ * @param {string} path - Dot-separated path
+ * @returns {*} - Value, or undefined
+ */
+function getNestedValue(obj, path) {
+    return path.split('.').reduce((current, key) => (current == null ? undefined : current[key]), obj);
+}
+
+export {
+    applyComputed,
+    resolveComputed,
+    addBusinessDays,
+    isBusinessDay
+};
@@ -0,0 +1,195 @@
+/**
+ * Config file reading and writing: JSON, JSON5 and YAML configs parsed by extension,
+ * with syntax errors pointing at the line that caused them
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { isDeepStrictEqual } from 'util';
+import JSON5 from 'json5';
+import YAML from 'yaml';
+import { JsonParser, JsonObjectNode, JsonParseError } from '@croct/json5-parser';
+import TemplateDiagnostics from '../token-replacement/template-diagnostics.js';
+import { getDisplayPath } from './utils.js';
+
+// Config file extensions, in the order they're tried for a config named without one
+const CONFIG_EXTENSIONS = ['.json', '.json5', '.yaml', '.yml'];
+
+// Parsers by extension; each locate() turns a parse error into a 1-based { line, column, reason }
+const PARSERS = {
+    '.json': {
+        format: 'JSON',
+        parse: source => JSON.parse(source),
+        locate: (error, source) => {
+            const match = error.message.match(/at position (\d+)/);
+            return { ...(match ? locateOffset(source, Number(match[1])) : {}), reason: error.message.replace(/ in JSON at position \d+.*$/, '') };
+        }
+    },
+    '.json5': {
+        format: 'JSON5',
+        parse: source => JSON5.parse(source),
+        locate: error => ({
+            line: error.lineNumber,
+            column: error.columnNumber,
+            reason: error.message.replace(/^JSON5: /, '').replace(/ at \d+:\d+$/, '')
+        })
+    },
+    '.yaml': {
+        format: 'YAML',
+        // The core schema keeps dates like 2025-06-10 as text, as they are in JSON configs;
+        // saveConfigFile writes YAML with the same library and schema, so saved values read back unchanged
+        parse: source => YAML.parse(source, { schema: 'core' }),
+        locate: error => ({
+            line: error.linePos ? error.linePos[0].line : undefined,
+            column: error.linePos ? error.linePos[0].col : undefined,
+            reason: error.message.replace(/ at line \d+, column \d+:[\s\S]*$/, '')
+        })
+    }
+};
+PARSERS['.yml'] = PARSERS['.yaml'];
+
+/**
+ * Check whether a file name has a config extension
+ * @param {string} file - File name or path
+ * @returns {boolean} - True for .json, .json5, .yaml and .yml
+ */
+function hasConfigExtension(file) {
+    return CONFIG_EXTENSIONS.includes(path.extname(file).toLowerCase());
+}
+
+/**
+ * Read and parse a config file, choosing the parser by extension (JSON otherwise)
+ * @param {string} file - Path to the config file
+ * @returns {Object} - Parsed config
+ * @throws {Error} - If the file is missing, has a syntax error (with file:line:column and a code frame) or isn't an object
+ */
+function readConfigFile(file) {
+    const displayPath = getDisplayPath(path.resolve(file));
+    if (!fs.existsSync(file)) {
+        throw new Error(`❌ Config file not found: ${displayPath}`);
+    }
+
+    const source = fs.readFileSync(file, 'utf8');
+    const parser = PARSERS[path.extname(file).toLowerCase()] || PARSERS['.json'];
+
+    let config;
+    try {
+        config = parser.parse(source);
+    } catch (error) {
+        const { line, column, reason } = parser.locate(error, source);
+        if (!line) {
+            throw new Error(`❌ ${displayPath} is not valid ${parser.format}: ${reason}`);
+        }
+        throw new Error(`❌ ${displayPath}:${line}:${column} is not valid ${parser.format}: ${reason}\n${TemplateDiagnostics.codeFrame(source, line, column)}`);
+    }
+
+    if (config === null || typeof config !== 'object' || Array.isArray(config)) {
+        throw new Error(`❌ ${displayPath} must hold an object of config values`);
+    }
+    return config;
+}
+
+/**
+ * Convert a character offset into a 1-based line and column
+ * @param {string} source - File content
+ * @param {number} offset - Character offset
+ * @returns {Object} - { line, column }
+ */
+function locateOffset(source, offset) {
+    const before = source.slice(0, offset).split('\n');
+    return { line: before.length, column: before[before.length - 1].length + 1 };
+}
+
+/**
+ * Write a config in its file's format (YAML for .yaml/.yml, JSON otherwise, which JSON5 files also accept)
+ * An existing YAML or JSON5 file is edited in place: only the values that
+ * changed are rewritten, so its comments and layout survive.
+ * @param {string} file - Config file
+ * @param {Object} config - Config values
+ */
+function saveConfigFile(file, config) {
+    const extension = path.extname(file).toLowerCase();
+    const source = fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : '';
+    const isYaml = extension === '.yaml' || extension === '.yml';
+
+    let content;
+    if (source.trim() === '') {
+        content = isYaml ? YAML.stringify(config, { schema: 'core' }) : `${JSON.stringify(config, null, 2)}\n`;
+    } else if (isYaml) {
+        content = updateYaml(source, config);
+    } else if (extension === '.json5') {
+        content = updateJson5(source, config);
+    } else {
+        content = `${JSON.stringify(config, null, 2)}\n`;
+    }
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, content);
+}
+
+/**
+ * Rewrite a JSON5 document's values to match a config, keeping its comments
+ * JSON5 configs are read with the json5 package, the format's reference parser,
+ * but it can't edit a file in place, so edits go through @croct/json5-parser.
+ * That parser can't read every JSON5 string (such as 'a "quoted" word', which it
+ * also writes), so a file it can't read is rewritten as plain JSON instead.
+ * @param {string} source - JSON5 file content
+ * @param {Object} config - Config values
+ * @returns {string} - Updated JSON5
+ */
+function updateJson5(source, config) {
+    let root;
+    try {
+        root = JsonParser.parse(source, JsonObjectNode);
+    } catch (error) {
+        if (!(error instanceof JsonParseError)) {
+            throw error;
+        }
+        return `${JSON.stringify(config, null, 2)}\n`;
+    }
+
+    root.update(config);
+    return root.toString();
+}
+
+/**
+ * Rewrite a YAML document's values to match a config, keeping its comments
+ * @param {string} source - YAML file content
+ * @param {Object} config - Config values
+ * @returns {string} - Updated YAML
+ */
+function updateYaml(source, config) {
+    const document = YAML.parseDocument(source, { schema: 'core' });
+
+    const sync = (current, next, keys) => {
+        for (const key of Object.keys(current).filter(key => !(key in next))) {
+            document.deleteIn([...keys, key]);
+        }
+        for (const [key, value] of Object.entries(next)) {
+            if (isPlainObject(value) && isPlainObject(current[key])) {
+                sync(current[key], value, [...keys, key]);
+            } else if (!isDeepStrictEqual(current[key], value)) {
+                document.setIn([...keys, key], value);
+            }
+        }
+    };
+    sync(document.toJS() || {}, config, []);
+
+    return String(document);
+}
+
+/**
+ * Check whether a value is a plain object (not an array or null)
+ * @param {*} value - Value to check
+ * @returns {boolean} - True for {...} objects
+ */
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+export {
+    CONFIG_EXTENSIONS,
+    hasConfigExtension,
+    readConfigFile,
+    saveConfigFile
+};
@@ -2,45 +2,172 @@
  * Enhanced configuration system with defaults and validation
  */
 
-// Default configuration values
+import fs from 'fs';
+import path from 'path';
+import { resolveComputed } from './computed.js';
+import { resolveExtends, listLeafPaths } from './extends.js';
+import { interpolateConfig } from './interpolate.js';
+import { readConfigFile } from './config-file.js';
+import { resolveConfigPath } from './template.js';
+import { PROJECT_ROOT, getDisplayPath } from './utils.js';
+
+// Default configuration values shared by every deck; template-specific
+// defaults come from the "default" of each token in the template's template.json
 const DEFAULT_CONFIG = {
     client_name: '',
-    date: new Date().toLocaleDateString('en-US', { 
+    locale: 'en-US',
+    date: formatToday('en-US')
+};
+
+// Optional agency-wide defaults (configs/defaults.json, .json5, .yaml or .yml),
+// applied to every deck over the template defaults
+const AGENCY_DEFAULTS_PATH = path.join(PROJECT_ROOT, 'configs', 'defaults');
+
+// Optional holidays file (configs/holidays.json, .json5, .yaml or .yml) of ISO date → holiday name
+const HOLIDAYS_PATH = path.join(PROJECT_ROOT, 'configs', 'holidays');
+
+/**
+ * Format today's date as a long date for a locale
+ * @param {string} locale - Locale such as 'en-US' or 'es'
+ * @returns {string} - e.g. "June 7, 2025" or "7 de junio de 2025"
+ */
+function formatToday(locale) {
+    return new Date().toLocaleDateString(locale, { 
         year: 'numeric', 
         month: 'long', 
         day: 'numeric' 
-    }),
-    payment: {
-        amount: 'Pay $1,000',
-        description: 'Deposit to Start',
-        provider: 'Bonsai',
-        link: '#'
+    });
+}
+
+/**
+ * Check whether a locale is a valid language tag
+ * @param {string} locale - Locale such as 'es' or 'es-MX'
+ * @returns {boolean} - True if Intl accepts it
+ */
+function isValidLocale(locale) {
+    try {
+        return typeof locale === 'string' && Intl.getCanonicalLocales(locale).length === 1;
+    } catch {
+        return false;
     }
-};
+}
+
+/**
+ * Fill unset values in a config from a defaults object
+ * Nested objects are filled key by key; empty strings and null count as unset.
+ * @param {Object} config - Config to fill
+ * @param {Object} defaults - Default values
+ * @returns {Object} - New config with the gaps filled
+ */
+function fillDefaults(config, defaults) {
+    const result = { ...config };
+    
+    for (const [key, value] of Object.entries(defaults)) {
+        const current = result[key];
+        
+        if (isPlainObject(current) && isPlainObject(value)) {
+            result[key] = fillDefaults(current, value);
+        } else if (current === undefined || current === null || current === '') {
+            result[key] = isPlainObject(value) ? fillDefaults({}, value) : value;
+        }
+    }
+    
+    return result;
+}
+
+/**
+ * Check whether a value is a plain object (not an array or null)
+ * @param {*} value - Value to check
+ * @returns {boolean} - True for {...} objects
+ */
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Collect the defaults a template declares for its tokens
+ * @param {Object} manifest - Manifest from TemplateManifest.load
+ * @returns {Object} - Nested defaults, e.g. { payment: { link: '#' } }
+ */
+function getTemplateDefaults(manifest) {
+    const defaults = {};
+    
+    for (const [token, spec] of Object.entries(manifest.tokens)) {
+        if (spec.default === undefined) {
+            continue;
+        }
+        
+        const parts = token.split('.');
+        let target = defaults;
+        for (const part of parts.slice(0, -1)) {
+            target[part] = target[part] || {};
+            target = target[part];
+        }
+        target[parts[parts.length - 1]] = spec.default;
+    }
+    
+    return defaults;
+}
+
+/**
+ * Read the agency-wide defaults file, if there is one
+ * @param {string} [file] - Defaults file (configs/defaults with any config extension)
+ * @returns {Object} - Defaults, or {} when the file doesn't exist
+ * @throws {Error} - If the file has a syntax error or doesn't hold an object
+ */
+function loadAgencyDefaults(file = resolveConfigPath(AGENCY_DEFAULTS_PATH)) {
+    if (!fs.existsSync(file)) {
+        return {};
+    }
+    return readConfigFile(file);
+}
+
+/**
+ * Read the holidays file, if there is one
+ * Computed business days skip these dates, and business-day tokens that
+ * land on one are flagged when a config is validated.
+ * @param {string} [file] - Holidays file (configs/holidays with any config extension)
+ * @returns {Map} - ISO date (2025-07-04) to holiday name; empty when the file doesn't exist
+ * @throws {Error} - If a key isn't a real ISO date or a name isn't text
+ */
+function loadHolidays(file = resolveConfigPath(HOLIDAYS_PATH)) {
+    if (!fs.existsSync(file)) {
+        return new Map();
+    }
+    
+    const holidays = readConfigFile(file);
+    const errors = [];
+    for (const [day, name] of Object.entries(holidays)) {
+        const [year, month, date] = day.split('-').map(Number);
+        const parsed = new Date(year, month - 1, date);
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(day) || parsed.getMonth() !== month - 1 || parsed.getDate() !== date) {
+            errors.push(`'${day}' is not a date such as 2025-07-04`);
+        } else if (typeof name !== 'string') {
+            errors.push(`${day} must name the holiday (got ${JSON.stringify(name)})`);
+        }
+    }
+    
+    if (errors.length > 0) {
+        throw new Error(`❌ Invalid holidays file ${getDisplayPath(file)}:\n   ${errors.join('\n   ')}`);
+    }
+    return new Map(Object.entries(holidays));
+}
 
 /**
  * Apply default values to config object
  * @param {Object} config - User provided config
+ * @param {Object} [defaults] - Template and agency defaults to fill in before the shared ones
  * @returns {Object} - Config with defaults applied
  */
-function applyDefaults(config) {
-    const result = { ...config };
+function applyDefaults(config, defaults = {}) {
+    const result = fillDefaults(config, defaults);
     
-    // Apply top-level defaults
-    if (!result.date || result.date.trim() === '') {
-        result.date = DEFAULT_CONFIG.date;
+    // Apply top-level defaults (the date follows the config's locale)
+    if (!result.locale) {
+        result.locale = DEFAULT_CONFIG.locale;
     }
-    
-    // Apply payment defaults
-    if (!result.payment) {
-        result.payment = { ...DEFAULT_CONFIG.payment };
-    } else {
-        result.payment = {
-            amount: result.payment.amount || DEFAULT_CONFIG.payment.amount,
-            description: result.payment.description || DEFAULT_CONFIG.payment.description,
-            provider: result.payment.provider || DEFAULT_CONFIG.payment.provider,
-            link: result.payment.link || DEFAULT_CONFIG.payment.link
-        };
+    if (!result.date || result.date.trim() === '') {
+        result.date = isValidLocale(result.locale) ? formatToday(result.locale) : DEFAULT_CONFIG.date;
     }
     
     return result;
@@ -59,35 +186,55 @@ function validateConfig(config) {
         errors.push('❌ client_name is required (e.g., "John Doe, Acme Corp")');
     }
     
-    // Payment validation with specific field guidance
-    if (!config.payment) {
-        errors.push('❌ payment object is required');
-        errors.push('💡 Add: "payment": { "amount": "Pay $1,000", "description": "Deposit", "provider": "Bonsai", "link": "https://..." }');
-    } else {
-        if (!config.payment.amount || config.payment.amount.trim() === '') {
-            errors.push('❌ payment.amount is required (e.g., "Pay $1,000")');
-        }
-        if (!config.payment.description || config.payment.description.trim() === '') {
-            errors.push('❌ payment.description is required (e.g., "Deposit to Start")');
-        }
-        if (!config.payment.provider || config.payment.provider.trim() === '') {
-            errors.push('❌ payment.provider is required (e.g., "Bonsai", "FreshBooks")');
-        }
-        // payment.link is optional, defaults to '#' if not provided
+    if (config.locale !== undefined && !isValidLocale(config.locale)) {
+        errors.push(`❌ locale must be a language tag such as "en-US", "es" or "es-MX" (got ${JSON.stringify(config.locale)})`);
     }
     
+    // Fields a particular deck needs (payment details, dates, team) are
+    // declared in its template.json and checked by ConfigValidator.validateManifest
+    
     return errors;
 }
 
 /**
  * Process and validate configuration with defaults
+ * Defaults apply in order of precedence: the config itself (merged over the
+ * configs it extends), then the agency defaults file, then the template's
+ * token defaults, then the shared defaults. ${env:NAME} and ${file:path#key}
+ * references are replaced with their values before the defaults apply.
  * @param {Object} rawConfig - Raw config from JSON file
+ * @param {Object} [options] - { configPath: the config's file, which "extends" and ${file:...} paths are relative to; manifest: template manifest whose defaults apply; agencyDefaults: defaults object (read from configs/defaults when omitted); holidays: dates computed business days skip (read from configs/holidays when omitted) }
  * @returns {Object} - Processed config with defaults applied
- * @throws {Error} - If validation fails
+ * @throws {Error} - If validation fails or a reference can't be resolved
  */
-function processConfig(rawConfig) {
+function processConfig(rawConfig, options = {}) {
+    return resolveConfig(rawConfig, options).config;
+}
+
+/**
+ * Process a config like processConfig, also reporting where each value came from
+ * @param {Object} rawConfig - Raw config from JSON file
+ * @param {Object} [options] - As for processConfig
+ * @returns {Object} - { config, sources: map of dotted path to a config file, "computed", a defaults file or "default"; secrets: values filled in from ${env:...} and ${file:...} references;
+ *   computed: names of the values the computed sections derive, including sections inherited through "extends";
+ *   dates: ISO day of each computed date, for date checks that can't read the locale's formatted text }
+ * @throws {Error} - If validation fails or a reference can't be resolved
+ */
+function resolveConfig(rawConfig, options = {}) {
+    const { configPath = null, manifest = null } = options;
+    const agencyDefaultsFile = resolveConfigPath(AGENCY_DEFAULTS_PATH);
+    const { config: agencyDefaults, secrets: agencySecrets } = interpolateConfig(
+        options.agencyDefaults || loadAgencyDefaults(agencyDefaultsFile),
+        { file: agencyDefaultsFile }
+    );
+    const templateDefaults = manifest ? getTemplateDefaults(manifest) : {};
+    const defaults = fillDefaults(agencyDefaults, templateDefaults);
+    
+    // Merge the configs it extends first, resolving their env and file references
+    const { config: merged, sources: fileSources, secrets } = resolveExtends(rawConfig, configPath);
+    
     // Apply defaults first
-    const configWithDefaults = applyDefaults(rawConfig);
+    const configWithDefaults = applyDefaults(merged, defaults);
     
     // Validate the processed config
     const errors = validateConfig(configWithDefaults);
@@ -101,26 +248,73 @@ function processConfig(rawConfig) {
             '💡 Example valid config:',
             JSON.stringify({
                 client_name: "John Doe, Acme Corporation",
-                date: "June 6, 2025",
-                payment: {
-                    amount: "Pay $1,000",
-                    description: "Deposit to Start", 
-                    provider: "Bonsai",
-                    link: "https://bonsai.com/pay/abc123"
-                }
+                date: "June 6, 2025"
             }, null, 2)
         ].join('\n');
         
         throw new Error(errorMessage);
     }
     
-    return configWithDefaults;
+    // Derive computed values last, so they can build on defaults like date and use a valid locale
+    const { config, dates } = resolveComputed(configWithDefaults, { holidays: options.holidays || loadHolidays() });
+    
+    // Label every value with the layer that supplied it, in precedence order
+    const computedNames = Object.keys(merged.computed || {});
+    const sourceOf = keyPath => {
+        if (isSet(getNestedValue(merged, keyPath))) {
+            return fileSources[keyPath];
+        }
+        if (computedNames.includes(keyPath)) {
+            return 'computed';
+        }
+        if (isSet(getNestedValue(agencyDefaults, keyPath))) {
+            return getDisplayPath(agencyDefaultsFile);
+        }
+        if (isSet(getNestedValue(templateDefaults, keyPath))) {
+            return getDisplayPath(manifest.file);
+        }
+        return 'default';
+    };
+    
+    const sources = {};
+    for (const keyPath of Object.entries(config).flatMap(([key, value]) => listLeafPaths(value, key))) {
+        sources[keyPath] = sourceOf(keyPath);
+    }
+    
+    return { config, sources, secrets: [...agencySecrets, ...secrets], computed: computedNames, dates };
+}
+
+/**
+ * Read a dotted path from an object
+ * @param {Object} obj - Object to read
+ * @param {string} keyPath - Dotted path such as 'payment.link'
+ * @returns {*} - Value, or undefined
+ */
+function getNestedValue(obj, keyPath) {
+    return keyPath.split('.').reduce((current, key) => (isPlainObject(current) ? current[key] : undefined), obj);
+}
+
+/**
+ * Check whether a config value counts as set (defaults fill everything else)
+ * @param {*} value - Value to check
+ * @returns {boolean} - False for undefined, null and empty strings
+ */
+function isSet(value) {
+    return value !== undefined && value !== null && value !== '';
 }
 
 export {
     DEFAULT_CONFIG,
+    AGENCY_DEFAULTS_PATH,
+    HOLIDAYS_PATH,
     applyDefaults,
+    fillDefaults,
+    getTemplateDefaults,
+    loadAgencyDefaults,
+    loadHolidays,
+    isValidLocale,
     validateConfig,
-    processConfig
+    processConfig,
+    resolveConfig
 };
 
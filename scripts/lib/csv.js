@@ -0,0 +1,111 @@
+/**
+ * CSV reading for spreadsheet and CRM exports: quoted fields, doubled quotes,
+ * line breaks inside quotes, CRLF line endings, a leading BOM, and comma,
+ * semicolon or tab delimiters
+ */
+
+const DELIMITERS = [',', ';', '\t'];
+
+/**
+ * Parse CSV text into rows of fields
+ * @param {string} text - CSV content
+ * @param {Object} [options] - { delimiter: field separator (detected from the first line when omitted) }
+ * @returns {Object[]} - Rows ({ line: 1-based line the row starts on, fields: string[] })
+ * @throws {Error} - If a quoted field is never closed
+ */
+function parseCsv(text, options = {}) {
+    const source = text.replace(/^\uFEFF/, '');
+    const delimiter = options.delimiter || detectDelimiter(source);
+    const rows = [];
+    let fields = [];
+    let field = '';
+    let quoted = false;
+    let line = 1;
+    let rowLine = 1;
+    let quoteLine = 1;
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+
+        if (quoted) {
+            if (char === '"' && source[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                if (char === '\n') {
+                    line++;
+                }
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+            quoteLine = line;
+        } else if (char === delimiter) {
+            fields.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') {
+                i++;
+            }
+            fields.push(field);
+            rows.push({ line: rowLine, fields });
+            fields = [];
+            field = '';
+            line++;
+            rowLine = line;
+        } else {
+            field += char;
+        }
+    }
+
+    if (quoted) {
+        throw new Error(`❌ Unclosed quote in the field starting on line ${quoteLine}`);
+    }
+    if (field !== '' || fields.length > 0) {
+        fields.push(field);
+        rows.push({ line: rowLine, fields });
+    }
+
+    // Blank lines (often trailing ones) aren't rows
+    return rows.filter(row => row.fields.some(value => value.trim() !== ''));
+}
+
+/**
+ * Read CSV text with a header row into records keyed by column name
+ * @param {string} text - CSV content
+ * @param {Object} [options] - As for parseCsv
+ * @returns {Object} - { columns: header names, records: [{ line, values: { column: text } }] }
+ */
+function readCsvRecords(text, options = {}) {
+    const [header, ...rows] = parseCsv(text, options);
+    if (!header) {
+        return { columns: [], records: [] };
+    }
+
+    const columns = header.fields.map(name => name.trim());
+    const records = rows.map(row => ({
+        line: row.line,
+        values: Object.fromEntries(columns.map((column, index) => [column, (row.fields[index] ?? '').trim()]))
+    }));
+
+    return { columns, records };
+}
+
+/**
+ * Pick the delimiter that splits the first line into the most fields
+ * @param {string} text - CSV content
+ * @returns {string} - Delimiter character
+ */
+function detectDelimiter(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+    return DELIMITERS.reduce((best, delimiter) => (
+        firstLine.split(delimiter).length > firstLine.split(best).length ? delimiter : best
+    ));
+}
+
+export {
+    parseCsv,
+    readCsvRecords
+};
@@ -0,0 +1,167 @@
+/**
+ * Config inheritance: "extends" lists base configs that are deep-merged
+ * under the config, recording which file each value came from
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { resolveConfigPath } from './template.js';
+import { readConfigFile } from './config-file.js';
+import { interpolateConfig } from './interpolate.js';
+import { getDisplayPath } from './utils.js';
+
+/**
+ * Resolve a config's "extends" chain into one merged config
+ * Bases merge in order (later ones win) and the config's own values win over
+ * all of them. Objects merge key by key; arrays and other values replace,
+ * unless written as { "$append": [...] } or { "$prepend": [...] } to extend
+ * the inherited array. Each file's ${env:...} and ${file:...} references are
+ * resolved as it's read, so secrets paths are relative to the config naming them.
+ * @param {Object} config - Config as read from its file
+ * @param {string} [configPath] - The config's file, which relative "extends" paths start from
+ * @param {Object} [options] - { interpolate: false keeps references as written, e.g. to show a config without revealing its secrets }
+ * @returns {Object} - { config: merged config without "extends", sources: map of dotted path to the file that set it, secrets: values filled in from references }
+ * @throws {Error} - If a base is missing, unreadable or extends itself, or a reference can't be resolved
+ */
+function resolveExtends(config, configPath = null, options = {}) {
+    const { interpolate = true } = options;
+    const file = configPath ? path.resolve(configPath) : null;
+    return mergeLayers(config, file, file ? [file] : [], interpolate);
+}
+
+/**
+ * Merge a config over its resolved bases
+ * @param {Object} config - Config whose bases to resolve
+ * @param {string|null} file - Absolute path of the config's file
+ * @param {string[]} chain - Files being resolved, to catch cycles
+ * @param {boolean} interpolate - Whether to resolve references
+ * @returns {Object} - { config, sources, secrets }
+ */
+function mergeLayers(config, file, chain, interpolate) {
+    const { extends: bases = [], ...references } = config;
+    const { config: own, secrets } = interpolate ? interpolateConfig(references, { file }) : { config: references, secrets: [] };
+    const label = file ? getDisplayPath(file) : 'config';
+    const baseDir = file ? path.dirname(file) : process.cwd();
+    let result = {};
+    const sources = {};
+
+    if (![].concat(bases).every(base => typeof base === 'string')) {
+        throw new Error(`❌ ${label}: "extends" must be a config path or a list of them`);
+    }
+
+    for (const base of [].concat(bases)) {
+        const basePath = path.resolve(resolveConfigPath(base, baseDir));
+        if (chain.includes(basePath)) {
+            throw new Error(`❌ Config extends itself: ${[...chain, basePath].map(getDisplayPath).join(' → ')}`);
+        }
+
+        const layer = mergeLayers(readBaseConfig(basePath, label), basePath, [...chain, basePath], interpolate);
+        result = mergeConfig(result, layer.config, sources, keyPath => layer.sources[keyPath]);
+        secrets.unshift(...layer.secrets);
+    }
+
+    result = mergeConfig(result, own, sources, () => label);
+    return { config: result, sources, secrets };
+}
+
+/**
+ * Read a base config file
+ * @param {string} file - Absolute path of the base
+ * @param {string} from - Display name of the config extending it, for errors
+ * @returns {Object} - Parsed config
+ */
+function readBaseConfig(file, from) {
+    if (!fs.existsSync(file)) {
+        throw new Error(`❌ ${from} extends ${getDisplayPath(file)}, which was not found`);
+    }
+    return readConfigFile(file);
+}
+
+/**
+ * Deep-merge an override into a base config, updating the sources map
+ * @param {Object} base - Merged values so far
+ * @param {Object} override - Values that win over the base
+ * @param {Object} sources - Map of dotted path to source, updated in place
+ * @param {Function} sourceOf - Gives the source of an override path
+ * @param {string} [prefix] - Dotted path of base and override
+ * @returns {Object} - New merged object
+ */
+function mergeConfig(base, override, sources, sourceOf, prefix = '') {
+    const result = { ...base };
+
+    for (const [key, value] of Object.entries(override)) {
+        const keyPath = prefix ? `${prefix}.${key}` : key;
+
+        if (isArrayDirective(value)) {
+            const inherited = Array.isArray(result[key]) ? result[key] : [];
+            result[key] = [...(value.$prepend || []), ...inherited, ...(value.$append || [])];
+            sources[keyPath] = inherited.length > 0 ? `${sources[keyPath]} + ${sourceOf(keyPath)}` : sourceOf(keyPath);
+        } else if (isPlainObject(value) && isPlainObject(result[key])) {
+            result[key] = mergeConfig(result[key], value, sources, sourceOf, keyPath);
+        } else {
+            forgetSources(sources, keyPath);
+            result[key] = value;
+            for (const leaf of listLeafPaths(value, keyPath)) {
+                sources[leaf] = sourceOf(leaf);
+            }
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Check for { "$append": [...] } / { "$prepend": [...] } array directives
+ * @param {*} value - Config value
+ * @returns {boolean} - True for an array directive
+ */
+function isArrayDirective(value) {
+    if (!isPlainObject(value)) {
+        return false;
+    }
+    const keys = Object.keys(value);
+    return keys.length > 0 &&
+        keys.every(key => key === '$append' || key === '$prepend') &&
+        keys.every(key => Array.isArray(value[key]));
+}
+
+/**
+ * Drop the sources recorded under a path that is being replaced
+ * @param {Object} sources - Map of dotted path to source
+ * @param {string} keyPath - Path being replaced
+ */
+function forgetSources(sources, keyPath) {
+    for (const recorded of Object.keys(sources)) {
+        if (recorded === keyPath || recorded.startsWith(`${keyPath}.`)) {
+            delete sources[recorded];
+        }
+    }
+}
+
+/**
+ * List the dotted paths of a value's leaves (arrays count as leaves)
+ * @param {*} value - Config value
+ * @param {string} prefix - Path of the value
+ * @returns {string[]} - Leaf paths; [prefix] for non-objects and empty objects
+ */
+function listLeafPaths(value, prefix) {
+    if (!isPlainObject(value) || Object.keys(value).length === 0) {
+        return [prefix];
+    }
+    return Object.entries(value).flatMap(([key, child]) => listLeafPaths(child, `${prefix}.${key}`));
+}
+
+/**
+ * Check whether a value is a plain object (not an array or null)
+ * @param {*} value - Value to check
+ * @returns {boolean} - True for {...} objects
+ */
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+export {
+    resolveExtends,
+    mergeConfig,
+    listLeafPaths
+};
@@ -0,0 +1,186 @@
+/**
+ * Config references: ${env:NAME} and ${file:path#key} in config strings are
+ * replaced with environment variables and values from secrets files, so
+ * payment links and phone numbers don't have to be committed
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { readConfigFile } from './config-file.js';
+import { getDisplayPath } from './utils.js';
+
+// $${...} is an escaped reference and stays as literal ${...}
+const REFERENCE_PATTERN = /\$(\$?)\{(env|file):([^}]*)\}/g;
+const ENV_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// Shorter values are left visible when masking, so a secret like "1" doesn't blank every digit
+const MIN_MASKED_LENGTH = 4;
+const MASK = '••••••';
+
+/**
+ * Replace the references in a config's string values
+ * A value that is a single reference takes the referenced value as-is (so a
+ * secrets file can supply a list or a number); references inside longer text
+ * are joined into it.
+ * @param {Object} config - Config values
+ * @param {Object} [options] - { file: the config's file, which file references are relative to; env: variables (process.env) }
+ * @returns {Object} - { config: config with references resolved, secrets: the values that were filled in }
+ * @throws {Error} - Listing every reference that couldn't be resolved
+ */
+function interpolateConfig(config, options = {}) {
+    const { file = null, env = process.env } = options;
+    const context = {
+        baseDir: file ? path.dirname(file) : process.cwd(),
+        env,
+        secrets: [],
+        errors: []
+    };
+
+    const resolved = interpolateValue(config, '', context);
+
+    if (context.errors.length > 0) {
+        const label = file ? getDisplayPath(file) : 'Config';
+        throw new Error(`❌ ${label} references values that are not available:\n${context.errors.map(error => `   ${error}`).join('\n')}`);
+    }
+    return { config: resolved, secrets: context.secrets };
+}
+
+/**
+ * Resolve references in a value and everything inside it
+ * @param {*} value - Config value
+ * @param {string} keyPath - Dotted path of the value, for errors
+ * @param {Object} context - { baseDir, env, secrets, errors }
+ * @returns {*} - Value with references resolved
+ */
+function interpolateValue(value, keyPath, context) {
+    if (Array.isArray(value)) {
+        return value.map((item, index) => interpolateValue(item, `${keyPath}[${index}]`, context));
+    }
+    if (value !== null && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, child]) => [
+            key,
+            interpolateValue(child, keyPath ? `${keyPath}.${key}` : key, context)
+        ]));
+    }
+    if (typeof value !== 'string' || !value.includes('${')) {
+        return value;
+    }
+
+    const whole = value.match(/^\$\{(env|file):([^}]*)\}$/);
+    if (whole) {
+        return resolveReference(whole[1], whole[2], keyPath, context);
+    }
+
+    return value.replace(REFERENCE_PATTERN, (match, escaped, kind, target) => {
+        if (escaped) {
+            return match.slice(1);
+        }
+        const resolved = resolveReference(kind, target, keyPath, context);
+        if (resolved !== null && typeof resolved === 'object') {
+            context.errors.push(`${keyPath}: ${kind}:${target} is a list or object and can't be part of a longer text`);
+            return match;
+        }
+        return resolved === undefined ? match : String(resolved);
+    });
+}
+
+/**
+ * Look up one reference, recording the value as a secret or the reason it failed
+ * @param {string} kind - 'env' or 'file'
+ * @param {string} target - Variable name, or file path with an optional #key
+ * @param {string} keyPath - Dotted path of the config value, for errors
+ * @param {Object} context - { baseDir, env, secrets, errors }
+ * @returns {*} - Referenced value, or undefined when it isn't available
+ */
+function resolveReference(kind, target, keyPath, context) {
+    const value = kind === 'env'
+        ? readEnvReference(target.trim(), keyPath, context)
+        : readFileReference(target.trim(), keyPath, context);
+
+    if (value !== undefined) {
+        context.secrets.push(value);
+    }
+    return value;
+}
+
+/**
+ * Read an ${env:NAME} reference
+ */
+function readEnvReference(name, keyPath, context) {
+    if (!ENV_NAME_PATTERN.test(name)) {
+        context.errors.push(`${keyPath}: '${name}' is not a valid environment variable name`);
+        return undefined;
+    }
+    if (context.env[name] === undefined) {
+        context.errors.push(`${keyPath}: environment variable ${name} is not set`);
+        return undefined;
+    }
+    return context.env[name];
+}
+
+/**
+ * Read a ${file:path#key} reference; without #key the file's text is the value
+ */
+function readFileReference(target, keyPath, context) {
+    const [filePart, key] = target.split('#');
+    const file = path.resolve(context.baseDir, filePart);
+    const displayPath = getDisplayPath(file);
+
+    if (!fs.existsSync(file)) {
+        context.errors.push(`${keyPath}: ${displayPath} not found`);
+        return undefined;
+    }
+    if (!key) {
+        return fs.readFileSync(file, 'utf8').trim();
+    }
+
+    const value = key.split('.').reduce(
+        (current, part) => (current !== null && typeof current === 'object' ? current[part] : undefined),
+        readConfigFile(file)
+    );
+    if (value === undefined) {
+        context.errors.push(`${keyPath}: ${displayPath} has no '${key}'`);
+    }
+    return value;
+}
+
+/**
+ * Check whether a value or anything inside it holds a ${env:...} or ${file:...} reference
+ * @param {*} value - Config value
+ * @returns {boolean} - True when a reference (not an escaped $${...}) is found
+ */
+function hasReferences(value) {
+    if (value !== null && typeof value === 'object') {
+        return Object.values(value).some(hasReferences);
+    }
+    return typeof value === 'string' && [...value.matchAll(REFERENCE_PATTERN)].some(match => !match[1]);
+}
+
+/**
+ * Hide secret values in text
+ * @param {string} text - Text that may contain secrets
+ * @param {Array} secrets - Values from interpolateConfig
+ * @returns {string} - Text with each secret replaced by a mask
+ */
+function maskSecrets(text, secrets) {
+    const values = secrets
+        .flatMap(listValues)
+        .map(String)
+        .filter(secret => secret.length >= MIN_MASKED_LENGTH)
+        .sort((a, b) => b.length - a.length);
+
+    return values.reduce((masked, secret) => masked.split(secret).join(MASK), text);
+}
+
+/**
+ * Flatten a secret into its scalar values (secrets files can supply lists and objects)
+ */
+function listValues(value) {
+    return value !== null && typeof value === 'object' ? Object.values(value).flatMap(listValues) : [value];
+}
+
+export {
+    interpolateConfig,
+    hasReferences,
+    maskSecrets
+};
@@ -1,3 +1,7 @@
+import fs from 'fs';
+import path from 'path';
+import { CONFIG_EXTENSIONS, hasConfigExtension } from './config-file.js';
+
 /**
  * Template mapping configuration
  * Maps short names to full template directory names
@@ -18,19 +22,30 @@ function resolveTemplateName(input) {
 
 /**
  * Resolve config file path with smart fallbacks
- * 1. If path contains .json or /, use as exact path
+ * 1. If path contains / or a config extension, use as exact path (relative to baseDir when given)
  * 2. Otherwise, look in configs/ directory
- * 3. Add .json extension if missing
+ * 3. If the extension is missing, use the first of .json, .json5, .yaml and .yml that exists (.json if none do)
  */
-function resolveConfigPath(input) {
-    // If it looks like a path (contains / or .json), use as-is
-    if (input.includes('/') || input.includes('.json')) {
-        return input;
+function resolveConfigPath(input, baseDir = null) {
+    // If it looks like a path (contains / or an extension), use as-is
+    const configPath = input.includes('/') || hasConfigExtension(input)
+        ? (baseDir ? path.resolve(baseDir, input) : input)
+        : `configs/${input}`;
+    
+    if (hasConfigExtension(configPath) || isFile(configPath)) {
+        return configPath;
     }
     
-    // Otherwise, assume it's a config name in configs/ directory
-    const configName = input.endsWith('.json') ? input : `${input}.json`;
-    return `configs/${configName}`;
+    // Named without an extension: find the config in whichever format it's written
+    const found = CONFIG_EXTENSIONS.map(extension => `${configPath}${extension}`).find(isFile);
+    return found || `${configPath}.json`;
+}
+
+/**
+ * Check whether a path is an existing file
+ */
+function isFile(filePath) {
+    return fs.existsSync(filePath) && fs.statSync(filePath).isFile();
 }
 
 /**
@@ -0,0 +1,75 @@
+/**
+ * Validation reports: config problems, warnings and untranslated strings,
+ * printed the same way by validate and customize
+ */
+
+import path from 'path';
+import ConfigValidator from '../token-replacement/config-validator.js';
+import StringCatalog from '../token-replacement/string-catalog.js';
+import { getDisplayPath } from './utils.js';
+
+/**
+ * Print config problems found against the template manifest, with the
+ * description and an example value for each token so the fix is obvious,
+ * and the date rules the config breaks
+ * @param {Object} validation - Result of ConfigValidator.validateManifest
+ * @param {Object} manifest - Manifest from TemplateManifest.load
+ */
+function reportManifestErrors(validation, manifest) {
+    console.log(`❌ Config doesn't match ${getDisplayPath(manifest.file)}:`);
+    for (const entry of [...validation.missing, ...validation.invalid]) {
+        console.log(`   ${entry.token} (${entry.type}): ${entry.reason}`);
+        if (entry.description || entry.example !== undefined) {
+            const example = entry.example !== undefined ? ` (e.g. ${JSON.stringify(entry.example)})` : '';
+            console.log(`      ${entry.description}${example}`);
+        }
+    }
+    for (const violation of validation.violations) {
+        console.log(`   📅 ${violation.rule}: ${violation.message}`);
+    }
+    console.log('');
+}
+
+/**
+ * Print validation warnings, such as links left as the "#" placeholder
+ * @param {Object} validation - Result of ConfigValidator.validateManifest
+ */
+function reportManifestWarnings(validation) {
+    for (const warning of validation.warnings) {
+        console.log(`⚠️  ${warning}`);
+    }
+    if (validation.warnings.length > 0) {
+        console.log('');
+    }
+}
+
+/**
+ * Print the string pack keys each locale of a template doesn't translate yet
+ * Pass a locale to report only the pack a build in that locale reads from.
+ * Untranslated strings render in English, so they are warnings.
+ * @param {string} templateDir - Template directory (its packs are in i18n/)
+ * @param {string} [locale] - Locale of the build, or null for every locale
+ * @returns {Object} - Untranslated keys by pack locale, for locales with any
+ */
+function reportUntranslatedStrings(templateDir, locale = null) {
+    const report = ConfigValidator.validateTranslations(path.join(templateDir, 'i18n'));
+    const locales = locale
+        ? StringCatalog.getPackLocales(locale).filter(packLocale => packLocale in report).slice(0, 1)
+        : Object.keys(report);
+    const untranslated = locales.filter(packLocale => report[packLocale].length > 0);
+
+    for (const packLocale of untranslated) {
+        const keys = report[packLocale];
+        console.log(`🌐 ${keys.length} untranslated string${keys.length === 1 ? '' : 's'} for ${packLocale}: ${keys.join(', ')}`);
+    }
+    if (untranslated.length > 0) {
+        console.log('');
+    }
+    return Object.fromEntries(untranslated.map(packLocale => [packLocale, report[packLocale]]));
+}
+
+export {
+    reportManifestErrors,
+    reportManifestWarnings,
+    reportUntranslatedStrings
+};
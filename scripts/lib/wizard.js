@@ -0,0 +1,199 @@
+/**
+ * Config wizard: asks for each token a template needs, slide by slide,
+ * checking every answer against the token's type and saving as it goes
+ */
+
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import TemplateManifest from '../token-replacement/template-manifest.js';
+import ConfigSchema from '../token-replacement/config-schema.js';
+import ConfigValidator from '../token-replacement/config-validator.js';
+import { readConfigFile, saveConfigFile } from './config-file.js';
+import { resolveExtends } from './extends.js';
+import { hasReferences } from './interpolate.js';
+import { getDisplayPath } from './utils.js';
+
+/**
+ * Walk through a template's tokens and fill in a client config
+ * A new config is asked for every token. An existing one is only asked for
+ * values that are invalid or that are required and have no default, so a
+ * wizard that was stopped picks up where it left off. Pressing Enter keeps the
+ * value shown in brackets: the current one, or the template default, which is
+ * then left to the defaults instead of being written. Values that hold ${env:...}
+ * or ${file:...} references are shown as written and never resolved, so secrets
+ * stay off the screen; they are checked when the config is built.
+ * @param {string} templateDir - Template directory
+ * @param {string} configPath - Config file to fill in; created when missing
+ * @param {Object} [options] - { input: answers stream (stdin), output: prompts stream (stdout) }
+ * @returns {Promise<Object>} - { config: the saved config, asked: number of tokens asked for }
+ * @throws {Error} - If the input ends (or Ctrl-C is pressed) first; answers so far are saved
+ */
+async function runConfigWizard(templateDir, configPath, options = {}) {
+    const { input = process.stdin, output = process.stdout } = options;
+    const manifest = TemplateManifest.load(templateDir);
+    const resuming = fs.existsSync(configPath);
+    const config = resuming ? readConfigFile(configPath) : {};
+    const current = resolveExtends(config, configPath, { interpolate: false }).config;
+    const computed = Object.keys(current.computed || {});
+
+    const groups = TemplateManifest.groupTokensBySlide(templateDir, manifest);
+    if (!groups.some(group => group.tokens.includes('client_name'))) {
+        groups.unshift({ slide: null, tokens: ['client_name'] });
+    }
+
+    const rl = readline.createInterface({ input, output, terminal: Boolean(output.isTTY) });
+    rl.on('SIGINT', () => rl.close());
+    const lines = rl[Symbol.asyncIterator]();
+    const ask = async (prompt) => {
+        output.write(prompt);
+        const { value, done } = await lines.next();
+        if (done) {
+            throw new Error(`Stopped before the config was complete; answers so far are saved in ${getDisplayPath(path.resolve(configPath))}`);
+        }
+        return value.trim();
+    };
+
+    let asked = 0;
+    try {
+        for (const group of groups) {
+            const pending = group.tokens.filter(token => {
+                const spec = getTokenSpec(manifest, token);
+                const value = getNestedValue(current, token);
+                if (computed.includes(token) || hasReferences(value)) {
+                    return false;
+                }
+                if (isSet(value)) {
+                    return ConfigSchema.validate(value, ConfigSchema.forToken(spec)).length > 0;
+                }
+                return !resuming || (spec.required && spec.default === undefined);
+            });
+            if (pending.length === 0) {
+                continue;
+            }
+
+            output.write(`\n📄 ${group.slide || 'Other tokens'}\n`);
+            for (const token of pending) {
+                const value = await askToken(ask, output, token, getTokenSpec(manifest, token), getNestedValue(current, token));
+                asked++;
+
+                if (value !== undefined) {
+                    ConfigValidator.setNestedValue(config, token, value);
+                    ConfigValidator.setNestedValue(current, token, value);
+                    saveConfigFile(configPath, config);
+                }
+            }
+        }
+    } finally {
+        rl.close();
+    }
+
+    saveConfigFile(configPath, config);
+    return { config, asked };
+}
+
+/**
+ * Ask for one token until the answer is valid for its type
+ * @param {Function} ask - Prompts and resolves with the answer line
+ * @param {Object} output - Prompts stream
+ * @param {string} token - Token path
+ * @param {Object} spec - Token spec from the manifest
+ * @param {*} currentValue - The config's current value, if any
+ * @returns {Promise<*>} - Value to write, or undefined to leave the token unset
+ */
+async function askToken(ask, output, token, spec, currentValue) {
+    const schema = ConfigSchema.forToken(spec);
+    const fallback = isSet(currentValue) ? currentValue : spec.default;
+
+    output.write(`   ${token} (${spec.type}${spec.required ? ', required' : ''})${spec.description ? ` - ${spec.description}` : ''}\n`);
+    if (spec.example !== undefined) {
+        output.write(`   e.g. ${formatValue(spec.example)}\n`);
+    }
+
+    while (true) {
+        let value = spec.type === 'array'
+            ? await askList(ask, output)
+            : parseAnswer(await ask(`   ${token}${fallback !== undefined ? ` [${formatValue(fallback)}]` : ''}: `), spec.type);
+
+        if (value === undefined || (Array.isArray(value) && value.length === 0)) {
+            if (fallback !== undefined) {
+                // A template default stays implicit; a current value is kept
+                value = isSet(currentValue) ? currentValue : undefined;
+            } else if (!spec.required) {
+                return undefined;
+            }
+        }
+
+        const errors = value === undefined ? [] : ConfigSchema.validate(value, schema);
+        if (value === undefined && fallback === undefined) {
+            output.write(`   ⚠️  ${token} is required\n`);
+        } else if (errors.length > 0) {
+            output.write(`   ⚠️  ${token} ${errors[0].message}\n`);
+        } else {
+            return value;
+        }
+    }
+}
+
+/**
+ * Ask for list items, one per line, until a blank line
+ */
+async function askList(ask, output) {
+    output.write('   One item per line, blank line to finish\n');
+    const items = [];
+    for (let item = await ask('   - '); item !== ''; item = await ask('   - ')) {
+        items.push(item);
+    }
+    return items;
+}
+
+/**
+ * Turn an answer into a config value: undefined for a blank answer, true or
+ * false for yes/no answers to boolean tokens, and the text otherwise
+ */
+function parseAnswer(answer, type) {
+    if (answer === '') {
+        return undefined;
+    }
+    if (type === 'boolean') {
+        if (/^(y|yes|true)$/i.test(answer)) {
+            return true;
+        }
+        if (/^(n|no|false)$/i.test(answer)) {
+            return false;
+        }
+    }
+    return answer;
+}
+
+/**
+ * Show a value in a prompt
+ */
+function formatValue(value) {
+    return Array.isArray(value) ? value.join(', ') : String(value);
+}
+
+/**
+ * Get a token's manifest spec; tokens only found in the slides are optional text
+ */
+function getTokenSpec(manifest, token) {
+    return manifest.tokens[token] || { type: 'string', required: false, description: '' };
+}
+
+/**
+ * Read a dotted path from an object
+ */
+function getNestedValue(obj, keyPath) {
+    return keyPath.split('.').reduce((value, key) => (value !== null && typeof value === 'object' ? value[key] : undefined), obj);
+}
+
+/**
+ * Check whether a config value counts as set
+ */
+function isSet(value) {
+    return value !== undefined && value !== null && value !== '' && !(Array.isArray(value) && value.length === 0);
+}
+
+export {
+    runConfigWizard
+};
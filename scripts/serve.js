@@ -6,8 +6,12 @@ import fs from 'fs';
 import path from 'path';
 import http from 'http';
 import { fileURLToPath } from 'url';
-import { processConfig } from './lib/config.js';
-import { processTemplate } from './token-replacement/index.js';
+import { resolveConfig, loadHolidays } from './lib/config.js';
+import { readConfigFile } from './lib/config-file.js';
+import { resolveConfigPath } from './lib/template.js';
+import { getDisplayPath } from './lib/utils.js';
+import { processTemplate, TemplateManifest, ConfigValidator } from './token-replacement/index.js';
+import HtmlEscaper from './token-replacement/html-escaper.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -101,10 +105,13 @@ function createServer(rootDir, port = 3000) {
 /**
  * Generate index.html with links to all slides
  */
-function generateIndex(slides, templateName) {
+function generateIndex(slides, manifest) {
     const slideLinks = slides.map(slide => 
         `<li><a href="${slide}" target="_blank">${slide}</a></li>`
     ).join('\n        ');
+    const templateName = HtmlEscaper.escapeText(manifest.title);
+    const version = manifest.version ? ` <small>v${HtmlEscaper.escapeText(manifest.version)}</small>` : '';
+    const description = manifest.description ? `\n    <p>${HtmlEscaper.escapeText(manifest.description)}</p>` : '';
     
     return `<!DOCTYPE html>
 <html lang="en">
@@ -123,7 +130,7 @@ function generateIndex(slides, templateName) {
     </style>
 </head>
 <body>
-    <h1>${templateName} - Development Server</h1>
+    <h1>${templateName}${version} - Development Server</h1>${description}
     <div class="info">
         <strong>Development Mode:</strong> Templates are served with development configuration and asset paths.
     </div>
@@ -141,7 +148,6 @@ function generateIndex(slides, templateName) {
 async function serveTemplate(templateName) {
     try {
         console.log(`🚀 Development Server Starting...`);
-        console.log(`📋 Template: ${templateName}`);
         
         // Check if template exists
         const templateDir = path.join(__dirname, '..', 'templates', templateName);
@@ -151,28 +157,41 @@ async function serveTemplate(templateName) {
             const templatesDir = path.join(__dirname, '..', 'templates');
             if (fs.existsSync(templatesDir)) {
                 const templates = fs.readdirSync(templatesDir, { withFileTypes: true })
-                    .filter(entry => entry.isDirectory())
+                    .filter(entry => entry.isDirectory() && !entry.name.startsWith('_'))
                     .map(entry => entry.name);
                 templates.forEach(name => console.error(`  - ${name}`));
             }
             process.exit(1);
         }
         
+        const manifest = TemplateManifest.load(templateDir);
+        console.log(`📋 Template: ${TemplateManifest.describe(manifest)}`);
+        
         // Load development config
-        const configPath = path.join(__dirname, '..', 'configs', 'dev', `${templateName}.json`);
+        const configPath = resolveConfigPath(path.join(__dirname, '..', 'configs', 'dev', templateName));
         if (!fs.existsSync(configPath)) {
-            console.error(`❌ Development config not found: configs/dev/${templateName}.json`);
+            console.error(`❌ Development config not found: ${getDisplayPath(configPath)}`);
             process.exit(1);
         }
         
-        const rawConfig = JSON.parse(fs.readFileSync(configPath, 'utf8'));
-        const config = processConfig(rawConfig);
+        const rawConfig = readConfigFile(configPath);
+        const { config, computed, dates } = resolveConfig(rawConfig, { configPath, manifest });
         
         // Add system tokens for development context
         config.asset_path = '../../assets';
-        console.log(`📖 Config: configs/dev/${templateName}.json`);
+        console.log(`📖 Config: ${getDisplayPath(configPath)}`);
         console.log(`👤 Client: ${config.client_name}`);
         
+        // Dev configs should satisfy the manifest too; report problems but keep serving
+        const validation = ConfigValidator.validateManifest(config, manifest, {
+            computed,
+            dates,
+            holidays: loadHolidays()
+        });
+        for (const problem of [...validation.errors, ...validation.warnings]) {
+            console.log(`⚠️  ${problem}`);
+        }
+        
         // Create temp directory for this template
         const tempDir = path.join(__dirname, '..', 'temp', templateName);
         if (fs.existsSync(tempDir)) {
@@ -180,10 +199,8 @@ async function serveTemplate(templateName) {
         }
         fs.mkdirSync(tempDir, { recursive: true });
         
-        // Process all HTML files in template directory
-        const templateFiles = fs.readdirSync(templateDir)
-            .filter(file => file.endsWith('.html'))
-            .sort();
+        // Process slides in manifest order
+        const templateFiles = manifest.slides;
         
         console.log(`🔍 Found ${templateFiles.length} template files`);
         
@@ -212,7 +229,7 @@ async function serveTemplate(templateName) {
         }
         
         // Generate index.html
-        const indexContent = generateIndex(processedSlides, templateName);
+        const indexContent = generateIndex(processedSlides, manifest);
         fs.writeFileSync(path.join(tempDir, 'index.html'), indexContent);
         
         // Start HTTP server
@@ -0,0 +1,137 @@
+/**
+ * ChronologyRules - Ordering checks between a template's date tokens
+ *
+ * A manifest lists its rules next to its tokens, and marks dates that have to
+ * land on a working day:
+ *
+ *   "rules": [
+ *     "phase1_end_date < phase2_start_date",
+ *     "content_due_date between phase1_start_date and phase1_end_date"
+ *   ],
+ *   "tokens": {
+ *     "content_due_date": { "type": "date", "business_day": true }
+ *   }
+ *
+ * Comparisons use <, <=, =, >= and >; `between` includes both ends. A rule
+ * with an unset date is left to the schema check, but a set date the rule
+ * can't read breaks it, so a rule never passes without being checked.
+ * Computed dates are rendered in the deck's locale, so they are compared by
+ * the ISO days the computed section reports instead of their text.
+ */
+
+import TokenFilters from './token-filters.js';
+import TemplateCompiler from './template-compiler.js';
+
+const COMPARISONS = {
+    '<': { test: (a, b) => a < b, reads: 'before' },
+    '<=': { test: (a, b) => a <= b, reads: 'on or before' },
+    '=': { test: (a, b) => a === b, reads: 'on' },
+    '>=': { test: (a, b) => a >= b, reads: 'on or after' },
+    '>': { test: (a, b) => a > b, reads: 'after' }
+};
+
+const TOKEN = '([A-Za-z_][\\w.]*)';
+const COMPARISON_PATTERN = new RegExp(`^${TOKEN}\\s*(<=|>=|<|>|=)\\s*${TOKEN}$`);
+const BETWEEN_PATTERN = new RegExp(`^${TOKEN}\\s+between\\s+${TOKEN}\\s+and\\s+${TOKEN}$`);
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+class ChronologyRules {
+    /**
+     * Parse a rule
+     * @param {string} rule - e.g. 'phase1_end_date < phase2_start_date' or 'content_due_date between phase1_start_date and phase1_end_date'
+     * @returns {Object} - { rule, tokens, operator, left, right } for comparisons, { rule, tokens, token, from, to } for between
+     * @throws {Error} - If the rule isn't a comparison or a between
+     */
+    static parse(rule) {
+        const text = typeof rule === 'string' ? rule.trim() : '';
+
+        const comparison = text.match(COMPARISON_PATTERN);
+        if (comparison) {
+            const [, left, operator, right] = comparison;
+            return { rule: text, tokens: [left, right], operator, left, right };
+        }
+
+        const between = text.match(BETWEEN_PATTERN);
+        if (between) {
+            const [, token, from, to] = between;
+            return { rule: text, tokens: [token, from, to], token, from, to };
+        }
+
+        throw new Error(`rule ${JSON.stringify(rule)} must compare two dates ("a <= b") or bound one ("a between b and c")`);
+    }
+
+    /**
+     * Check a config's dates against a manifest's rules and business days
+     * @param {Object} config - Processed configuration object
+     * @param {Object} manifest - Manifest from TemplateManifest.load
+     * @param {Object} [options] - { holidays: Map of ISO date (2025-07-04) to holiday name, dates: ISO day of each computed date, from resolveConfig }
+     * @returns {Object} - { violations: [{ rule, tokens, message }] for broken rules, warnings: [{ token, message }] for business-day dates on weekends or holidays, e.g. "is July 4, 2025, Independence Day" }
+     */
+    static check(config, manifest, options = {}) {
+        const { holidays = new Map(), dates: isoDates = {} } = options;
+        const violations = [];
+        const warnings = [];
+
+        const read = token => {
+            const value = TemplateCompiler.resolvePath(config, token);
+            const text = isoDates[token] ?? value;
+            const date = typeof text === 'string' || typeof text === 'number' ? TokenFilters.toDate(text) : null;
+            return { token, value, set: value !== undefined && value !== null && value !== '', day: date && this.toIsoDate(date), date };
+        };
+        const show = entry => `${entry.token} (${entry.value})`;
+
+        for (const rule of (manifest.rules || []).map(entry => this.parse(entry))) {
+            const dates = rule.tokens.map(read);
+            if (dates.some(date => !date.set)) {
+                continue;
+            }
+
+            const unreadable = dates.find(date => !date.date);
+            if (unreadable) {
+                violations.push({ rule: rule.rule, tokens: rule.tokens, message: `${show(unreadable)} is not a date the rule can compare` });
+                continue;
+            }
+
+            if (rule.operator) {
+                const [left, right] = dates;
+                const comparison = COMPARISONS[rule.operator];
+                if (!comparison.test(left.day, right.day)) {
+                    violations.push({ rule: rule.rule, tokens: rule.tokens, message: `${show(left)} must be ${comparison.reads} ${show(right)}` });
+                }
+            } else {
+                const [date, from, to] = dates;
+                if (date.day < from.day || date.day > to.day) {
+                    violations.push({ rule: rule.rule, tokens: rule.tokens, message: `${show(date)} must be between ${show(from)} and ${show(to)}` });
+                }
+            }
+        }
+
+        for (const [token, spec] of Object.entries(manifest.tokens || {})) {
+            const entry = spec.business_day ? read(token) : null;
+            if (!entry || !entry.date) {
+                continue;
+            }
+
+            const weekday = entry.date.getDay();
+            if (holidays.has(entry.day)) {
+                warnings.push({ token, message: `is ${entry.value}, ${holidays.get(entry.day) || 'a holiday'}` });
+            } else if (weekday === 0 || weekday === 6) {
+                warnings.push({ token, message: `is ${entry.value}, a ${WEEKDAYS[weekday]}` });
+            }
+        }
+
+        return { violations, warnings };
+    }
+
+    /**
+     * Format a date as an ISO day, which compares in date order as text
+     * @param {Date} date - Date to format
+     * @returns {string} - e.g. '2025-06-10'
+     */
+    static toIsoDate(date) {
+        return TokenFilters.formatDate(date, 'yyyy-MM-dd');
+    }
+}
+
+export default ChronologyRules;
@@ -0,0 +1,362 @@
+/**
+ * ConfigSchema - JSON Schema for client configs, generated from a template's token list
+ *
+ * Each manifest token becomes a property (dotted tokens become nested objects)
+ * with the JSON Schema type and format for its manifest type. The validator
+ * covers the keywords these schemas use: type, properties, required, items,
+ * minItems, minLength, pattern, format and x-format.
+ *
+ * Checks that follow what configs actually contain go in `x-format`, which
+ * other JSON Schema validators ignore: `date` accepts real calendar dates
+ * written as ISO dates or date text such as "June 10, 2025", `phone` accepts
+ * E.164-style numbers with the usual spaces, dashes and parentheses, and
+ * `https-url` accepts absolute https:// URLs. Links default to the "#"
+ * placeholder, which passes the `https-url-or-placeholder` check used unless
+ * validation is strict; each such link's description says so, since the
+ * check is invisible to other validators. The standard `format` is only set where it means the
+ * same: `email` for RFC 5321 addresses, and `uri` (or `uri-reference`, which
+ * "#" is) for links.
+ */
+
+import TokenFilters from './token-filters.js';
+
+// Whole amounts or cents, with thousands grouped in threes when commas are used
+const AMOUNT_PATTERN = '^[$€£]?\\s*-?(\\d{1,3}(,\\d{3})+|\\d+)(\\.\\d{1,2})?$';
+
+// The placeholder link manifests default to, e.g. payment.link
+const PLACEHOLDER_URL = '#';
+
+// Added to link descriptions in schemas that accept the placeholder
+const PLACEHOLDER_NOTE = `"${PLACEHOLDER_URL}" is accepted as a placeholder; --strict rejects it`;
+
+// RFC 5321 dot-atom local part and hostname labels
+const EMAIL_LOCAL_PATTERN = /^[A-Za-z0-9!#$%&'*+/=?^_`{|}~-]+(\.[A-Za-z0-9!#$%&'*+/=?^_`{|}~-]+)*$/;
+const HOSTNAME_LABEL_PATTERN = /^[A-Za-z0-9]([A-Za-z0-9-]{0,61}[A-Za-z0-9])?$/;
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+
+const FORMATS = {
+    date: isCalendarDate,
+    email: isEmail,
+    phone: isPhoneNumber,
+    'https-url': isHttpsUrl,
+    'https-url-or-placeholder': value => value === PLACEHOLDER_URL || isHttpsUrl(value)
+};
+
+// How each failed check reads in messages, by type or format
+const EXPECTED = {
+    string: 'text',
+    number: 'a number',
+    boolean: 'true or false',
+    array: 'a list',
+    object: 'an object',
+    date: 'a date such as 2025-06-10 or "June 10, 2025"',
+    email: 'an email address',
+    phone: 'a phone number such as +1 313 286 5991',
+    'https-url': 'an https:// URL',
+    'https-url-or-placeholder': 'an https:// URL'
+};
+
+/**
+ * Check that text is a date on the calendar: ISO dates must exist (no
+ * 2025-02-30), and date text needs a four-digit year and a day its month has
+ */
+function isCalendarDate(value) {
+    const date = TokenFilters.toDate(value);
+    if (date === null) {
+        return false;
+    }
+
+    const text = value.trim();
+    const iso = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (iso) {
+        return date.getMonth() === Number(iso[2]) - 1 && date.getDate() === Number(iso[3]);
+    }
+    if (!/\b\d{4}\b/.test(text)) {
+        return false;
+    }
+
+    // "June 31, 2025" parses as July 1; the month named must be the one parsed
+    const monthDay = text.match(/^(?:[A-Za-z]+,?\s+)?([A-Za-z]+)\.?\s+(\d{1,2}),?\s+\d{4}$/) || text.match(/^(\d{1,2})\s+([A-Za-z]+)\.?,?\s+\d{4}$/);
+    if (monthDay) {
+        const [month, day] = /^\d/.test(monthDay[1]) ? [monthDay[2], monthDay[1]] : [monthDay[1], monthDay[2]];
+        const monthIndex = MONTHS.findIndex(name => name.startsWith(month.toLowerCase()));
+        return monthIndex === date.getMonth() && Number(day) === date.getDate();
+    }
+    return true;
+}
+
+/**
+ * Check an email address: a dot-atom local part of up to 64 characters and a
+ * domain of hostname labels ending in a letter-only top-level domain
+ */
+function isEmail(value) {
+    const at = value.lastIndexOf('@');
+    if (at < 1 || value.length > 254) {
+        return false;
+    }
+
+    const local = value.slice(0, at);
+    const labels = value.slice(at + 1).split('.');
+    return local.length <= 64
+        && EMAIL_LOCAL_PATTERN.test(local)
+        && labels.length >= 2
+        && labels.every(label => HOSTNAME_LABEL_PATTERN.test(label))
+        && /^[A-Za-z]{2,}$/.test(labels[labels.length - 1]);
+}
+
+/**
+ * Check a phone number: an optional leading +, then 7 to 15 digits that may
+ * be grouped with spaces, dashes, dots or parentheses, and an optional extension
+ */
+function isPhoneNumber(value) {
+    const [number, extension] = value.trim().split(/\s*(?:ext\.?|x)\s*(?=\d+$)/i);
+    if (extension !== undefined && !/^\d{1,6}$/.test(extension)) {
+        return false;
+    }
+    if (!/^\+?[\d\s().-]+$/.test(number) || (number.match(/\(/g) || []).length !== (number.match(/\)/g) || []).length) {
+        return false;
+    }
+    const digits = number.replace(/\D/g, '');
+    return digits.length >= 7 && digits.length <= 15;
+}
+
+/**
+ * Check for an absolute https:// URL with a hostname that has a dot (or is localhost)
+ */
+function isHttpsUrl(value) {
+    if (/\s/.test(value)) {
+        return false;
+    }
+    try {
+        const url = new URL(value);
+        return url.protocol === 'https:' && (url.hostname.includes('.') || url.hostname === 'localhost');
+    } catch {
+        return false;
+    }
+}
+
+class ConfigSchema {
+    static SCHEMA_VERSION = 'https://json-schema.org/draft/2020-12/schema';
+
+    static PLACEHOLDER_URL = PLACEHOLDER_URL;
+
+    /**
+     * Get the JSON Schema for a manifest token type
+     * @param {Object} spec - Token spec from the manifest ({ type, required, description, example, default })
+     * @param {Object} [options] - { strict: reject the "#" placeholder for URLs }
+     * @returns {Object} - Property schema
+     */
+    static forToken(spec, options = {}) {
+        const schema = {};
+
+        switch (spec.type) {
+            case 'number':
+                Object.assign(schema, { type: ['number', 'string'], pattern: '^-?\\d+(\\.\\d+)?$' });
+                break;
+            case 'currency':
+                Object.assign(schema, { type: ['number', 'string'], pattern: AMOUNT_PATTERN });
+                break;
+            case 'boolean':
+                schema.type = 'boolean';
+                break;
+            case 'date':
+                // RFC 3339 dates are ISO only, so date text such as "June 10, 2025" needs the custom check
+                Object.assign(schema, { type: 'string', 'x-format': 'date' });
+                break;
+            case 'url':
+                Object.assign(schema, options.strict
+                    ? { type: 'string', format: 'uri', 'x-format': 'https-url' }
+                    : { type: 'string', format: 'uri-reference', 'x-format': 'https-url-or-placeholder' });
+                break;
+            case 'email':
+                Object.assign(schema, { type: 'string', format: 'email' });
+                break;
+            case 'phone':
+                Object.assign(schema, { type: 'string', 'x-format': 'phone' });
+                break;
+            case 'array':
+                schema.type = 'array';
+                if (spec.required) {
+                    schema.minItems = 1;
+                }
+                break;
+            default:
+                schema.type = ['string', 'number'];
+        }
+
+        if (spec.required && schema.type !== 'array' && schema.type !== 'boolean') {
+            schema.minLength = 1;
+        }
+        if (schema['x-format'] === 'https-url-or-placeholder') {
+            schema.description = spec.description ? `${spec.description} (${PLACEHOLDER_NOTE})` : PLACEHOLDER_NOTE;
+        } else if (spec.description) {
+            schema.description = spec.description;
+        }
+        if (spec.example !== undefined) {
+            schema.examples = [spec.example];
+        }
+        if (spec.default !== undefined) {
+            schema.default = spec.default;
+        }
+
+        return schema;
+    }
+
+    /**
+     * Generate the config schema for a template manifest
+     * @param {Object} manifest - Manifest from TemplateManifest.load
+     * @param {Object} [options] - { skip: token names to leave out, e.g. values a config computes; strict: as for forToken }
+     * @returns {Object} - JSON Schema object
+     */
+    static fromManifest(manifest, options = {}) {
+        const { skip = [], strict = false } = options;
+        const schema = {
+            $schema: this.SCHEMA_VERSION,
+            title: `${manifest.title} config`,
+            type: 'object',
+            properties: {},
+            required: []
+        };
+
+        for (const [token, spec] of Object.entries(manifest.tokens)) {
+            if (skip.includes(token)) {
+                continue;
+            }
+
+            // payment.link → properties.payment.properties.link
+            const parts = token.split('.');
+            let parent = schema;
+            for (const part of parts.slice(0, -1)) {
+                parent.properties[part] = parent.properties[part] || { type: 'object', properties: {}, required: [] };
+                if (spec.required && !parent.required.includes(part)) {
+                    parent.required.push(part);
+                }
+                parent = parent.properties[part];
+            }
+
+            const name = parts[parts.length - 1];
+            parent.properties[name] = this.forToken(spec, { strict });
+            if (spec.required) {
+                parent.required.push(name);
+            }
+        }
+
+        return schema;
+    }
+
+    /**
+     * Validate a value against a schema
+     * @param {*} value - Value to check (a config object at the top level)
+     * @param {Object} schema - JSON Schema
+     * @param {string} [path] - Path of the value, for error messages
+     * @returns {Object[]} - Errors as { path, keyword, message, schema, value }; empty when valid
+     */
+    static validate(value, schema, path = '') {
+        const errors = [];
+        const fail = (keyword, message) => errors.push({ path, keyword, message, schema, value });
+
+        if (schema.type && !this.matchesType(value, schema.type)) {
+            const types = [].concat(schema.type);
+            fail('type', `must be ${types.map(type => EXPECTED[type]).join(' or ')} (got ${this.describeValue(value)})`);
+            return errors;
+        }
+
+        if (typeof value === 'string') {
+            if (schema.minLength !== undefined && value.length < schema.minLength) {
+                fail('minLength', 'must not be empty');
+                return errors;
+            }
+            if (schema.pattern && !new RegExp(schema.pattern).test(value.trim())) {
+                fail('pattern', `must be ${schema.pattern === AMOUNT_PATTERN ? 'an amount' : 'a number'} (got ${this.describeValue(value)})`);
+            }
+            // x-format holds the custom checks; the standard format is only checked where there's no custom one
+            const format = schema['x-format'] || schema.format;
+            if (format && FORMATS[format] && !FORMATS[format](value)) {
+                fail('format', `must be ${EXPECTED[format]} (got ${this.describeValue(value)})`);
+            }
+        }
+
+        if (Array.isArray(value)) {
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                fail('minItems', value.length === 0 ? 'must not be empty' : `must have at least ${schema.minItems} items`);
+            }
+            if (schema.items) {
+                value.forEach((item, index) => errors.push(...this.validate(item, schema.items, `${path}[${index}]`)));
+            }
+        }
+
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            for (const name of schema.required || []) {
+                if (value[name] === undefined) {
+                    errors.push({
+                        path: this.joinPath(path, name),
+                        keyword: 'required',
+                        message: 'is required',
+                        schema: schema.properties?.[name] || {}
+                    });
+                }
+            }
+            for (const [name, propertySchema] of Object.entries(schema.properties || {})) {
+                if (value[name] !== undefined) {
+                    errors.push(...this.validate(value[name], propertySchema, this.joinPath(path, name)));
+                }
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Check a value against a JSON Schema type or list of types
+     * @param {*} value - Value to check
+     * @param {string|string[]} type - JSON Schema type(s)
+     * @returns {boolean} - True if the value has one of the types
+     */
+    static matchesType(value, type) {
+        return [].concat(type).some(expected => {
+            switch (expected) {
+                case 'array':
+                    return Array.isArray(value);
+                case 'object':
+                    return value !== null && typeof value === 'object' && !Array.isArray(value);
+                case 'number':
+                    return typeof value === 'number' && Number.isFinite(value);
+                case 'null':
+                    return value === null;
+                default:
+                    return typeof value === expected;
+            }
+        });
+    }
+
+    /**
+     * Join a property name onto a dotted path
+     * @param {string} path - Parent path ('' at the top level)
+     * @param {string} name - Property name
+     * @returns {string} - e.g. 'payment.link'
+     */
+    static joinPath(path, name) {
+        return path ? `${path}.${name}` : name;
+    }
+
+    /**
+     * Show a value in an error message
+     * @param {*} value - Value that failed
+     * @returns {string} - e.g. "'acme.com'", 'array' or 'null'
+     */
+    static describeValue(value) {
+        if (value === null) {
+            return 'null';
+        }
+        if (Array.isArray(value)) {
+            return 'array';
+        }
+        if (typeof value === 'object') {
+            return 'object';
+        }
+        return `'${value}'`;
+    }
+}
+
+export default ConfigSchema;
@@ -2,7 +2,12 @@
  * ConfigValidator - Validates configuration against required tokens
  */
 
-import TokenReplacer from './token-replacer.js';
+import TemplateCompiler from './template-compiler.js';
+import TokenExtractor from './token-extractor.js';
+import StringCatalog from './string-catalog.js';
+import TemplateManifest from './template-manifest.js';
+import ConfigSchema from './config-schema.js';
+import ChronologyRules from './chronology-rules.js';
 
 class ConfigValidator {
     /**
@@ -16,7 +21,9 @@ class ConfigValidator {
         const defaultOptions = {
             strictMode: false, // If true, all tokens must be present
             allowEmpty: false, // If true, empty strings are considered valid
-            warnOnUnused: false // If true, warn about config values not used in templates
+            warnOnUnused: false, // If true, warn about config values not used in templates
+            arrayTokens: [], // Tokens iterated with {{#each}}, which must hold arrays
+            defaultedTokens: [] // Tokens with an inline template fallback, never reported as missing
         };
         
         const opts = { ...defaultOptions, ...options };
@@ -25,6 +32,7 @@ class ConfigValidator {
             errors: [],
             warnings: [],
             missing: [],
+            defaulted: [],
             found: [],
             unused: []
         };
@@ -39,10 +47,20 @@ class ConfigValidator {
                     value: validation.value,
                     type: typeof validation.value
                 });
+            } else if (opts.defaultedTokens.includes(token)) {
+                // The template supplies its own fallback, so this is informational only
+                result.defaulted.push({
+                    token,
+                    reason: validation.reason
+                });
             } else {
+                const suggestions = this.suggestConfigPaths(config, token);
+                
                 result.missing.push({
                     token,
-                    reason: validation.reason
+                    reason: validation.reason,
+                    ...(opts.arrayTokens.includes(token) ? { type: 'array' } : {}),
+                    ...(suggestions.length > 0 ? { suggestions } : {})
                 });
                 
                 if (opts.strictMode) {
@@ -67,6 +85,125 @@ class ConfigValidator {
         return result;
     }
     
+    /**
+     * Validate config against a compiled template
+     * The tokens, loop lists and inline fallbacks come from the same AST the
+     * renderer walks, so validation and output always agree.
+     * @param {Object} config - Configuration object to validate
+     * @param {string|Object} template - Template content or a compiled template
+     * @param {Object} options - Validation options (as for validateAgainstTokens), plus strings: a StringCatalog for {{t "key"}} checks
+     * @returns {Object} - Validation result, plus the tokens the template needs and its untranslated strings
+     */
+    static validateTemplate(config, template, options = {}) {
+        const { strings = null, ...tokenOptions } = options;
+        const analysis = TokenExtractor.analyzeTemplate(template, config);
+        const validation = this.validateAgainstTokens(config, analysis.tokens, {
+            ...tokenOptions,
+            arrayTokens: analysis.iterables,
+            defaultedTokens: analysis.defaulted
+        });
+        const untranslated = StringCatalog.findUntranslated(strings ?? { locale: StringCatalog.BASE_LOCALE, packs: [] }, analysis.translations);
+        
+        for (const entry of untranslated) {
+            validation.warnings.push(entry.fallback
+                ? `String '${entry.key}' has no ${entry.locale} translation (using ${StringCatalog.BASE_LOCALE})`
+                : `String '${entry.key}' is not in any string pack`);
+        }
+        
+        return {
+            ...validation,
+            tokens: analysis.tokens,
+            untranslated
+        };
+    }
+    
+    /**
+     * Validate config against a template's manifest (template.json)
+     * The config is checked with the JSON Schema generated from the manifest's
+     * tokens, so required tokens must be set and values must match their types.
+     * Tokens the slides use without declaring them are warnings, and so are
+     * links left as the "#" placeholder unless strict makes them errors.
+     * Dates must follow the manifest's rules (see ChronologyRules); business-day
+     * dates on weekends or holidays are warnings.
+     * @param {Object} config - Processed configuration object
+     * @param {Object} manifest - Manifest from TemplateManifest.load
+     * @param {Object} options - { usedTokens: tokens found in the slides, computed: tokens the config's computed section derives (checked when computed), strict: reject placeholder links, holidays: Map of ISO date to holiday name, dates: ISO day of each computed date, from resolveConfig }
+     * @returns {Object} - { valid, errors, warnings, missing, invalid, violations, undeclared }; missing and invalid entries carry the path, reason and token spec, violations the broken rule and message
+     */
+    static validateManifest(config, manifest, options = {}) {
+        const { usedTokens = [], computed = [], strict = false, holidays, dates } = options;
+        const result = {
+            valid: true,
+            errors: [],
+            warnings: [],
+            missing: [],
+            invalid: [],
+            violations: [],
+            undeclared: []
+        };
+        
+        const schema = ConfigSchema.fromManifest(manifest, { skip: computed, strict });
+        for (const error of ConfigSchema.validate(config, schema)) {
+            const spec = manifest.tokens[error.path.replace(/\[\d+\]$/, '')] || { type: [].concat(error.schema.type || 'object')[0] };
+            const entry = { token: error.path, reason: error.message, ...spec };
+            
+            if (['required', 'minLength', 'minItems'].includes(error.keyword)) {
+                result.missing.push(entry);
+            } else {
+                result.invalid.push({ ...entry, value: error.value });
+            }
+            result.errors.push(`Token '${error.path}' ${error.message}`);
+            result.valid = false;
+        }
+        
+        // Computed dates are checked too: a rule can catch a computed section that puts phases out of order
+        const chronology = ChronologyRules.check(config, manifest, { holidays, dates });
+        for (const violation of chronology.violations) {
+            result.violations.push(violation);
+            result.errors.push(`Rule '${violation.rule}' is broken: ${violation.message}`);
+            result.valid = false;
+        }
+        for (const warning of chronology.warnings) {
+            result.warnings.push(`Token '${warning.token}' ${warning.message}, but should be a business day`);
+        }
+        
+        if (!strict) {
+            for (const [token, spec] of Object.entries(manifest.tokens)) {
+                if (spec.type === 'url' && TemplateCompiler.resolvePath(config, token) === ConfigSchema.PLACEHOLDER_URL) {
+                    result.warnings.push(`Token '${token}' is still the "${ConfigSchema.PLACEHOLDER_URL}" placeholder (--strict makes this an error)`);
+                }
+            }
+        }
+        
+        result.undeclared = TemplateManifest.findUndeclaredTokens(manifest, usedTokens);
+        for (const token of result.undeclared) {
+            result.warnings.push(`Token '${token}' is used by the slides but not declared in ${TemplateManifest.FILE_NAME}`);
+        }
+        
+        return result;
+    }
+    
+    /**
+     * Check every locale's string pack against the base-language pack
+     * @param {string} i18nDir - Directory holding <locale>.json packs (templates/<name>/i18n)
+     * @returns {Object} - Map of locale to the base keys it doesn't translate; complete locales map to []
+     */
+    static validateTranslations(i18nDir) {
+        const base = StringCatalog.load(i18nDir, StringCatalog.BASE_LOCALE);
+        const baseKeys = base.packs.flatMap(pack => StringCatalog.listKeys(pack.strings));
+        const report = {};
+        
+        for (const locale of StringCatalog.listLocales(i18nDir)) {
+            if (StringCatalog.getLanguage(locale) === StringCatalog.BASE_LOCALE) {
+                continue;
+            }
+            report[locale] = StringCatalog.findUntranslated(StringCatalog.load(i18nDir, locale), [...new Set(baseKeys)])
+                .map(entry => entry.key);
+        }
+        
+        return report;
+    }
+    
     /**
      * Validate a single token against config
      * @param {Object} config - Configuration object
@@ -76,7 +213,7 @@ class ConfigValidator {
      */
     static validateSingleToken(config, token, options) {
         try {
-            const value = TokenReplacer.getNestedValue(config, token);
+            const value = TemplateCompiler.resolvePath(config, token);
             
             if (value === undefined) {
                 return {
@@ -99,6 +236,22 @@ class ConfigValidator {
                 };
             }
             
+            if (options.arrayTokens && options.arrayTokens.includes(token)) {
+                if (!Array.isArray(value)) {
+                    return {
+                        found: false,
+                        reason: `value must be an array (got ${typeof value})`
+                    };
+                }
+                
+                if (!options.allowEmpty && value.length === 0) {
+                    return {
+                        found: false,
+                        reason: 'array is empty'
+                    };
+                }
+            }
+            
             return {
                 found: true,
                 value: value
@@ -146,6 +299,7 @@ class ConfigValidator {
                 total: tokens.length,
                 found: validation.found.length,
                 missing: validation.missing.length,
+                defaulted: validation.defaulted.length,
                 valid: validation.valid
             },
             details: validation,
@@ -173,7 +327,9 @@ class ConfigValidator {
     
     /**
      * Generate config suggestions for missing tokens
-     * @param {Array} missingTokens - Array of missing token objects
+     * Tokens with an example (from template.json) suggest it; the rest get a [token] placeholder.
+     * Keys keep the order of the tokens given.
+     * @param {Array} missingTokens - Array of missing token objects ({ token, type, example })
      * @returns {Object} - Suggested config structure
      */
     static generateConfigSuggestions(missingTokens) {
@@ -181,13 +337,16 @@ class ConfigValidator {
         
         for (const missing of missingTokens) {
             const token = missing.token;
+            const placeholder = missing.example !== undefined
+                ? missing.example
+                : missing.type === 'array' ? [`[${token}]`] : `[${token}]`;
             
             if (token.includes('.')) {
                 // Nested token - create nested structure
-                this.setNestedValue(suggestions, token, `[${token}]`);
+                this.setNestedValue(suggestions, token, placeholder);
             } else {
                 // Simple token
-                suggestions[token] = `[${token}]`;
+                suggestions[token] = placeholder;
             }
         }
         
@@ -259,7 +418,48 @@ class ConfigValidator {
         
         return paths;
     }
+    
+    /**
+     * Suggest config paths close to a token name, for "did you mean" hints
+     * Paths that are already set but only differ by a typo are the usual culprit.
+     * @param {Object} config - Configuration object
+     * @param {string} token - Token name that wasn't found
+     * @param {number} [limit] - Maximum number of suggestions
+     * @returns {string[]} - Closest config paths, best first
+     */
+    static suggestConfigPaths(config, token, limit = 3) {
+        const maxDistance = Math.max(2, Math.floor(token.length / 3));
+        
+        return this.getAllConfigPaths(config)
+            .filter(configPath => configPath !== token)
+            .map(configPath => ({ configPath, distance: this.editDistance(token, configPath) }))
+            .filter(candidate => candidate.distance <= maxDistance)
+            .sort((a, b) => a.distance - b.distance || a.configPath.localeCompare(b.configPath))
+            .slice(0, limit)
+            .map(candidate => candidate.configPath);
+    }
+    
+    /**
+     * Count the single-character edits needed to turn one string into another (Levenshtein distance)
+     * @param {string} a - First string
+     * @param {string} b - Second string
+     * @returns {number} - Edit distance
+     */
+    static editDistance(a, b) {
+        let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+        
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            
+            for (let j = 1; j <= b.length; j++) {
+                const substitution = previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, substitution);
+            }
+            previous = current;
+        }
+        
+        return previous[b.length];
+    }
 }
 
 export default ConfigValidator;
-
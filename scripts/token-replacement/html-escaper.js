@@ -0,0 +1,130 @@
+/**
+ * HtmlEscaper - Context-aware escaping for token values inserted into HTML
+ */
+
+// Attributes whose values are URLs and need scheme checks as well as escaping
+const URL_ATTRIBUTES = new Set(['href', 'src', 'action', 'formaction', 'poster', 'cite', 'srcset', 'background']);
+
+// Schemes that can execute script when followed
+const UNSAFE_URL_SCHEME = /^\s*(javascript|vbscript|data):/i;
+
+// Filter output that is already HTML (e.g. from the markdown filter), so text escaping leaves it alone
+class SafeHtml {
+    constructor(html) {
+        this.html = html;
+    }
+
+    toString() {
+        return this.html;
+    }
+}
+
+class HtmlEscaper {
+    /**
+     * Escape a value for the given output context
+     * Safe HTML (see markSafe) is left as-is in element text.
+     * @param {*} value - Value to escape
+     * @param {string} context - 'text', 'attribute' or 'url'
+     * @returns {string} - Escaped value
+     */
+    static escape(value, context = 'text') {
+        if (context === 'text' && this.isSafe(value)) {
+            return String(value);
+        }
+
+        switch (context) {
+            case 'url':
+                return this.escapeUrl(value);
+            case 'attribute':
+                return this.escapeAttribute(value);
+            default:
+                return this.escapeText(value);
+        }
+    }
+
+    /**
+     * Mark generated HTML as safe to insert into element text
+     * Attribute and URL contexts still escape it.
+     * @param {string} html - HTML built from escaped parts
+     * @returns {SafeHtml} - Wrapped HTML
+     */
+    static markSafe(html) {
+        return new SafeHtml(String(html));
+    }
+
+    /**
+     * Check whether a value was marked with markSafe
+     * @param {*} value - Value to check
+     * @returns {boolean} - True for safe HTML
+     */
+    static isSafe(value) {
+        return value instanceof SafeHtml;
+    }
+
+    /**
+     * Escape a value for use as element text
+     * @param {*} value - Value to escape
+     * @returns {string} - Escaped text
+     */
+    static escapeText(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    }
+
+    /**
+     * Escape a value for use inside a quoted attribute
+     * @param {*} value - Value to escape
+     * @returns {string} - Escaped attribute value
+     */
+    static escapeAttribute(value) {
+        return this.escapeText(value)
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;')
+            .replace(/`/g, '&#96;');
+    }
+
+    /**
+     * Escape a value for use in a URL attribute such as href or src
+     * Script-capable schemes are replaced with '#'.
+     * @param {*} value - Value to escape
+     * @returns {string} - Safe, attribute-escaped URL
+     */
+    static escapeUrl(value) {
+        const url = String(value);
+
+        if (UNSAFE_URL_SCHEME.test(url)) {
+            return '#';
+        }
+
+        // Percent-encode characters that can't appear literally in a URL
+        const encoded = url.replace(/[\s"'<>`]/g, char => encodeURIComponent(char));
+        return this.escapeAttribute(encoded);
+    }
+
+    /**
+     * Work out whether a position in HTML is element text, an attribute or a URL attribute
+     * @param {string} content - HTML content
+     * @param {number} offset - Position of the token in content
+     * @returns {string} - 'text', 'attribute' or 'url'
+     */
+    static detectContext(content, offset) {
+        const before = content.slice(0, offset);
+        const tagStart = before.lastIndexOf('<');
+
+        // Outside any tag when the last '<' has already been closed
+        if (tagStart === -1 || before.lastIndexOf('>') > tagStart) {
+            return 'text';
+        }
+
+        const attribute = before.slice(tagStart).match(/([^\s"'<>\/=]+)\s*=\s*(["']?)[^"']*$/);
+        if (!attribute) {
+            return 'attribute';
+        }
+
+        return URL_ATTRIBUTES.has(attribute[1].toLowerCase()) ? 'url' : 'attribute';
+    }
+}
+
+export default HtmlEscaper;
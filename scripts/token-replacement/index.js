@@ -20,12 +20,32 @@ import TokenExtractor from './token-extractor.js';
 import TokenReplacer from './token-replacer.js';
 import ConfigValidator from './config-validator.js';
 import TemplateProcessor from './template-processor.js';
+import TemplateCompiler from './template-compiler.js';
+import TemplateDiagnostics from './template-diagnostics.js';
+import TokenFilters from './token-filters.js';
+import TemplateHelpers from './template-helpers.js';
+import StringCatalog from './string-catalog.js';
+import TemplateManifest from './template-manifest.js';
+import ConfigSchema from './config-schema.js';
+import ChronologyRules from './chronology-rules.js';
+import PartialResolver from './partial-resolver.js';
+import LayoutResolver from './layout-resolver.js';
 
 export {
     TokenExtractor,
     TokenReplacer,
     ConfigValidator,
-    TemplateProcessor
+    TemplateProcessor,
+    TemplateCompiler,
+    TemplateDiagnostics,
+    TokenFilters,
+    TemplateHelpers,
+    StringCatalog,
+    TemplateManifest,
+    ConfigSchema,
+    ChronologyRules,
+    PartialResolver,
+    LayoutResolver
 };
 
 // Convenience factory function
@@ -40,6 +60,12 @@ export const processTemplate = async (templatePath, config, options = {}) => {
 // Quick token extraction
 export const extractTokens = (templateContent) => TokenExtractor.extractTokens(templateContent);
 
+// Register a custom filter for {{token | name:args}}
+export const registerFilter = (name, fn) => TokenFilters.register(name, fn);
+
+// Register a custom helper for {{name arg "literal"}}
+export const registerHelper = (name, fn) => TemplateHelpers.register(name, fn);
+
 // Quick validation
 export const validateConfig = (config, tokens, options = {}) => 
     ConfigValidator.validateAgainstTokens(config, tokens, options);
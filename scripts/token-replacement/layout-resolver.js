@@ -0,0 +1,137 @@
+/**
+ * LayoutResolver - Wraps slide content in a shared layout via {{!layout "name"}} and {{#block "name"}}
+ */
+
+import fs from 'fs';
+import path from 'path';
+import PartialResolver from './partial-resolver.js';
+
+class LayoutResolver {
+    /**
+     * Apply the layout a template declares, filling the layout's blocks with the template's blocks
+     * Templates without a {{!layout}} directive are returned unchanged.
+     * @param {string} content - Template content
+     * @param {Object} config - Configuration object, used for layout parameters and conditions
+     * @param {Object} options - Options with layoutsDir, layoutVariant, partialsDir and autoEscape
+     * @returns {string} - Complete document with the template's blocks in place
+     */
+    static applyLayout(content, config, options = {}) {
+        const directive = this.parseDirective(content);
+        if (!directive) {
+            return content;
+        }
+
+        const { layoutsDir, layoutVariant = null } = options;
+        if (!layoutsDir) {
+            throw new Error(`Layout '${directive.name}' used but no layouts directory is configured`);
+        }
+
+        const layoutContent = this.loadLayout(directive.name, layoutsDir, layoutVariant);
+        const params = PartialResolver.parseParams(directive.rawParams, config);
+
+        // Layout parameters only apply to the layout itself, never to the slide's blocks
+        const rendered = PartialResolver.renderWithParams(layoutContent, params, config, options);
+        return this.fillBlocks(rendered, this.extractBlocks(content));
+    }
+
+    /**
+     * Find the {{!layout "name" key="value"}} directive in template content
+     * @param {string} content - Template content
+     * @returns {Object|null} - Object with name and rawParams, or null when there is no layout
+     */
+    static parseDirective(content) {
+        const match = content.match(/(?<!\\)\{\{!\s*layout\s+["']([\w\-\/]+)["']((?:\s+[\w-]+\s*=\s*(?:"[^"]*"|'[^']*'|[^\s}]+))*)\s*\}\}/);
+
+        return match ? { name: match[1], rawParams: match[2] } : null;
+    }
+
+    /**
+     * Collect {{#block "name"}}...{{/block}} sections from template content
+     * A newline directly after the opening tag and before the closing tag is
+     * dropped, so blocks written on their own lines don't add blank lines.
+     * @param {string} content - Template content
+     * @returns {Object} - Map of block name to content
+     */
+    static extractBlocks(content) {
+        const blockRegex = /\{\{#block\s+["']([\w-]+)["']\s*\}\}([\s\S]*?)\{\{\/block\s*\}\}/g;
+        const blocks = {};
+        let match;
+
+        while ((match = blockRegex.exec(content)) !== null) {
+            if (match[1] in blocks) {
+                throw new Error(`Block "${match[1]}" is defined more than once`);
+            }
+            blocks[match[1]] = match[2].replace(/^\r?\n/, '').replace(/\r?\n$/, '');
+        }
+
+        return blocks;
+    }
+
+    /**
+     * Replace the layout's block placeholders with template blocks or the layout's defaults
+     * A placeholder on its own line that ends up empty removes the whole line.
+     * @param {string} layout - Rendered layout content
+     * @param {Object} blocks - Template blocks from extractBlocks
+     * @returns {string} - Layout with blocks filled in
+     */
+    static fillBlocks(layout, blocks) {
+        const placeholderRegex = /\{\{#block\s+["']([\w-]+)["']\s*\}\}([\s\S]*?)\{\{\/block\s*\}\}/g;
+        let result = '';
+        let lastIndex = 0;
+        let match;
+
+        while ((match = placeholderRegex.exec(layout)) !== null) {
+            const [placeholder, name, defaultContent] = match;
+            const filled = name in blocks ? blocks[name] : defaultContent;
+            let start = match.index;
+            let end = start + placeholder.length;
+
+            if (filled === '') {
+                const lineStart = layout.lastIndexOf('\n', start - 1) + 1;
+                const lineEnd = layout.slice(end).match(/^[ \t]*(\r?\n|$)/);
+
+                if (lineEnd && /^[ \t]*$/.test(layout.slice(lineStart, start))) {
+                    start = lineStart;
+                    end += lineEnd[0].length;
+                }
+            }
+
+            result += layout.slice(lastIndex, start) + filled;
+            lastIndex = end;
+        }
+
+        return result + layout.slice(lastIndex);
+    }
+
+    /**
+     * Read a layout file, preferring the variant directory (e.g., _layouts/4x3/slide.html)
+     * @param {string} name - Layout name
+     * @param {string} layoutsDir - Directory holding layouts
+     * @param {string|null} variant - Optional layout variant such as '4x3'
+     * @returns {string} - Layout content
+     */
+    static loadLayout(name, layoutsDir, variant = null) {
+        const candidates = [
+            ...(variant ? [path.join(layoutsDir, variant, `${name}.html`)] : []),
+            path.join(layoutsDir, `${name}.html`)
+        ];
+        const layoutPath = candidates.find(candidate => fs.existsSync(candidate));
+
+        if (!layoutPath) {
+            throw new Error(`Layout not found: ${name} (looked in ${candidates.join(', ')})`);
+        }
+
+        return fs.readFileSync(layoutPath, 'utf8');
+    }
+
+    /**
+     * Default layouts directory for a template file: templates/_layouts/
+     * @param {string} templatePath - Path to a template file in templates/<name>/
+     * @returns {string} - Layouts directory path
+     */
+    static getDefaultLayoutsDir(templatePath) {
+        return path.join(path.dirname(path.dirname(path.resolve(templatePath))), '_layouts');
+    }
+}
+
+export default LayoutResolver;
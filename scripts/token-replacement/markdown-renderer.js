@@ -0,0 +1,100 @@
+/**
+ * MarkdownRenderer - Renders a safe subset of Markdown (paragraphs, bold, bullet lists, links) to Tailwind-styled HTML
+ */
+
+import HtmlEscaper from './html-escaper.js';
+
+// Bullet lines start with -, * or a pasted •
+const BULLET_LINE = /^\s*[-*•]\s+(.*)$/;
+
+// [label](url) links; the URL can't contain spaces or a closing parenthesis
+const LINK = /\[([^\]\n]+)\]\(([^)\s]+)\)/g;
+
+class MarkdownRenderer {
+    // Tailwind classes for generated elements; paragraphs take their styling from the slide's wrapper
+    static classes = {
+        list: 'list-disc pl-6 space-y-1',
+        strong: 'font-semibold',
+        link: 'underline'
+    };
+
+    /**
+     * Render Markdown text as block HTML
+     * Blank lines separate paragraphs; consecutive bullet lines become a list.
+     * All text is escaped, so any HTML in the source shows as text.
+     * @param {string} text - Markdown text
+     * @returns {string} - HTML
+     */
+    static render(text) {
+        return this.splitBlocks(String(text)).map(block => {
+            if (block.type === 'list') {
+                const items = block.lines.map(line => `<li>${this.renderInline(line)}</li>`).join('');
+                return `<ul class="${this.classes.list}">${items}</ul>`;
+            }
+            return `<p>${this.renderInline(block.lines.join(' '))}</p>`;
+        }).join('\n');
+    }
+
+    /**
+     * Render inline Markdown (bold and links) without block elements
+     * @param {string} text - Markdown text
+     * @returns {string} - HTML
+     */
+    static renderInline(text) {
+        const source = String(text);
+        let html = '';
+        let cursor = 0;
+        let match;
+
+        LINK.lastIndex = 0;
+        while ((match = LINK.exec(source)) !== null) {
+            const [, label, url] = match;
+
+            html += this.renderEmphasis(source.slice(cursor, match.index));
+            html += `<a href="${HtmlEscaper.escapeUrl(url)}" class="${this.classes.link}">${this.renderEmphasis(label)}</a>`;
+            cursor = LINK.lastIndex;
+        }
+
+        return html + this.renderEmphasis(source.slice(cursor));
+    }
+
+    /**
+     * Escape text and turn **bold** runs into <strong>
+     * @param {string} text - Plain text segment
+     * @returns {string} - HTML
+     */
+    static renderEmphasis(text) {
+        return HtmlEscaper.escapeText(text)
+            .replace(/\*\*(?=\S)(.+?)\*\*/g, `<strong class="${this.classes.strong}">$1</strong>`);
+    }
+
+    /**
+     * Group lines into paragraphs and bullet lists
+     * @param {string} text - Markdown text
+     * @returns {Object[]} - Blocks ({ type: 'paragraph'|'list', lines })
+     */
+    static splitBlocks(text) {
+        const blocks = [];
+        let current = null;
+
+        for (const line of text.split(/\r?\n/)) {
+            if (line.trim() === '') {
+                current = null;
+                continue;
+            }
+
+            const bullet = line.match(BULLET_LINE);
+            const type = bullet ? 'list' : 'paragraph';
+
+            if (!current || current.type !== type) {
+                current = { type, lines: [] };
+                blocks.push(current);
+            }
+            current.lines.push(bullet ? bullet[1].trim() : line.trim());
+        }
+
+        return blocks;
+    }
+}
+
+export default MarkdownRenderer;
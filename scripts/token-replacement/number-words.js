@@ -0,0 +1,120 @@
+/**
+ * NumberWords - Spells out whole numbers in English and Spanish for the {{words n}} helper
+ */
+
+const ENGLISH = {
+    ones: ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten',
+        'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen'],
+    tens: ['', '', 'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety']
+};
+
+const SPANISH = {
+    ones: ['cero', 'uno', 'dos', 'tres', 'cuatro', 'cinco', 'seis', 'siete', 'ocho', 'nueve', 'diez',
+        'once', 'doce', 'trece', 'catorce', 'quince', 'dieciséis', 'diecisiete', 'dieciocho', 'diecinueve',
+        'veinte', 'veintiuno', 'veintidós', 'veintitrés', 'veinticuatro', 'veinticinco', 'veintiséis',
+        'veintisiete', 'veintiocho', 'veintinueve'],
+    tens: ['', '', '', 'treinta', 'cuarenta', 'cincuenta', 'sesenta', 'setenta', 'ochenta', 'noventa'],
+    hundreds: ['', 'ciento', 'doscientos', 'trescientos', 'cuatrocientos', 'quinientos',
+        'seiscientos', 'setecientos', 'ochocientos', 'novecientos']
+};
+
+// Numbers from a billion up are left as digits
+const LIMIT = 1e9;
+
+class NumberWords {
+    static languages = {
+        en: (n, options) => NumberWords.english(n, options),
+        es: (n, options) => NumberWords.spanish(n, options)
+    };
+
+    /**
+     * Spell out a whole number for a locale
+     * Languages without word tables, fractions and very large numbers fall back to
+     * the locale's digits, so the output is always readable.
+     * @param {number} n - Number to spell out
+     * @param {string} [locale] - Locale such as 'en-US' or 'es'
+     * @param {Object} [options] - { feminine: use feminine forms where the language has them (una, doscientas) }
+     * @returns {string} - Words, or formatted digits
+     */
+    static toWords(n, locale = 'en-US', options = {}) {
+        const language = String(locale).split(/[-_]/)[0].toLowerCase();
+        const speller = this.languages[language];
+
+        if (!speller || !Number.isInteger(n) || Math.abs(n) >= LIMIT) {
+            return new Intl.NumberFormat(locale).format(n);
+        }
+        return speller(n, options);
+    }
+
+    /**
+     * Spell out a whole number in English ("one hundred twenty-five")
+     * @param {number} n - Whole number below a billion
+     * @returns {string} - Words
+     */
+    static english(n) {
+        if (n < 0) {
+            return `minus ${this.english(-n)}`;
+        }
+        if (n < 20) {
+            return ENGLISH.ones[n];
+        }
+        if (n < 100) {
+            const unit = n % 10;
+            return ENGLISH.tens[Math.floor(n / 10)] + (unit ? `-${ENGLISH.ones[unit]}` : '');
+        }
+
+        for (const [size, name] of [[1e6, 'million'], [1e3, 'thousand'], [100, 'hundred']]) {
+            if (n >= size) {
+                const rest = n % size;
+                return `${this.english(Math.floor(n / size))} ${name}` + (rest ? ` ${this.english(rest)}` : '');
+            }
+        }
+        return String(n);
+    }
+
+    /**
+     * Spell out a whole number in Spanish ("ciento veinticinco", "veintiún mil")
+     * @param {number} n - Whole number below a billion
+     * @param {Object} [options] - { feminine, apocope: 'un' instead of 'uno' before a noun such as mil }
+     * @returns {string} - Words
+     */
+    static spanish(n, options = {}) {
+        const { feminine = false, apocope = false } = options;
+
+        if (n < 0) {
+            return `menos ${this.spanish(-n, options)}`;
+        }
+        if (n >= 1e6) {
+            const millions = Math.floor(n / 1e6);
+            const rest = n % 1e6;
+            const head = millions === 1 ? 'un millón' : `${this.spanish(millions, { apocope: true })} millones`;
+            return head + (rest ? ` ${this.spanish(rest, options)}` : '');
+        }
+        if (n >= 1e3) {
+            const thousands = Math.floor(n / 1e3);
+            const rest = n % 1e3;
+            const head = thousands === 1 ? 'mil' : `${this.spanish(thousands, { feminine, apocope: true })} mil`;
+            return head + (rest ? ` ${this.spanish(rest, options)}` : '');
+        }
+        if (n >= 100) {
+            const rest = n % 100;
+            let hundreds = n === 100 ? 'cien' : SPANISH.hundreds[Math.floor(n / 100)];
+            if (feminine) {
+                hundreds = hundreds.replace(/ientos$/, 'ientas');
+            }
+            return hundreds + (rest ? ` ${this.spanish(rest, options)}` : '');
+        }
+
+        const word = n < 30
+            ? SPANISH.ones[n]
+            : SPANISH.tens[Math.floor(n / 10)] + (n % 10 ? ` y ${SPANISH.ones[n % 10]}` : '');
+
+        // "uno" shortens before a noun (veintiún mil) and agrees with feminine nouns (veintiuna semanas)
+        if (feminine) {
+            return word.replace(/uno$/, 'una');
+        }
+        return apocope ? word.replace(/veintiuno$/, 'veintiún').replace(/uno$/, 'un') : word;
+    }
+}
+
+export default NumberWords;
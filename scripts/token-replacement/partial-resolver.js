@@ -0,0 +1,169 @@
+/**
+ * PartialResolver - Expands {{> partial key="value"}} includes from a shared partials directory
+ */
+
+import fs from 'fs';
+import path from 'path';
+import TemplateCompiler from './template-compiler.js';
+import TokenReplacer from './token-replacer.js';
+
+class PartialResolver {
+    static MAX_DEPTH = 10;
+
+    /**
+     * Expand all partial includes in template content
+     * Parameters are filled in when the partial is included; any other tokens
+     * inside it are left for the normal replacement pass.
+     * @param {string} content - Template content with {{> name}} tags
+     * @param {Object} config - Configuration object, used for unquoted parameters and block conditions
+     * @param {Object} options - Options with partialsDir and autoEscape
+     * @param {string[]} [stack] - Names of partials currently being expanded (cycle detection)
+     * @returns {string} - Content with partials expanded
+     */
+    static resolvePartials(content, config, options = {}, stack = []) {
+        const { partialsDir } = options;
+        const partialRegex = /(?<!\\)\{\{>\s*([\w\-\/]+)((?:\s+[\w-]+\s*=\s*(?:"[^"]*"|'[^']*'|[^\s}]+))*)\s*\}\}/g;
+
+        return content.replace(partialRegex, (tag, name, rawParams) => {
+            if (!partialsDir) {
+                throw new Error(`Partial '${name}' used but no partials directory is configured`);
+            }
+            if (stack.includes(name)) {
+                throw new Error(`Circular partial include: ${[...stack, name].join(' → ')}`);
+            }
+            if (stack.length >= this.MAX_DEPTH) {
+                throw new Error(`Partials nested more than ${this.MAX_DEPTH} levels deep at '${name}'`);
+            }
+
+            const params = this.parseParams(rawParams, config);
+            const partialContent = this.loadPartial(name, partialsDir);
+
+            return this.renderWithParams(partialContent, params, config, options, [...stack, name]);
+        });
+    }
+
+    /**
+     * Render included markup (a partial or layout) against its parameters
+     * Nested partials are expanded first, then the markup is compiled once:
+     * blocks see the parameters as conditions and parameter tokens are filled in.
+     * Values from config have their tags escaped, since the output is compiled again.
+     * @param {string} content - Partial or layout content
+     * @param {Object} params - Parameters from parseParams
+     * @param {Object} config - Configuration object
+     * @param {Object} options - Options with partialsDir and autoEscape
+     * @param {string[]} [stack] - Names of partials currently being expanded (cycle detection)
+     * @returns {string} - Rendered content, with non-parameter tokens left in place
+     */
+    static renderWithParams(content, params, config, options = {}, stack = []) {
+        const { autoEscape = true } = options;
+        const expanded = this.resolvePartials(content, config, options, stack);
+        const scope = { ...config, ...this.paramValues(params) };
+        const renderContext = TokenReplacer.getRenderContext(config, options);
+        const insert = (value, node, escape) => TemplateCompiler.escapeTags(TokenReplacer.formatValue(value, node, escape ? node.context : null, renderContext));
+
+        return TemplateCompiler.evaluate(TemplateCompiler.compile(expanded).body, scope, {
+            literal: TemplateCompiler.keepEscaped,
+            token: (node, tokenScope, inLoop) => {
+                const param = params[node.path];
+
+                // Loop tokens resolve from the item; other non-parameter tokens wait for the main pass
+                if (!param) {
+                    const value = inLoop ? TokenReplacer.resolveValue(node, tokenScope, false) : undefined;
+                    return value === undefined ? node.tag : insert(value, node, autoEscape);
+                }
+                if (param.value === undefined || param.value === null) {
+                    return node.tag;
+                }
+
+                // Literal parameters come from the template author and are inserted as-is;
+                // values taken from config are escaped like any other token
+                if (param.literal) {
+                    return TokenReplacer.formatValue(param.value, node, null, renderContext);
+                }
+                return insert(param.value, node, autoEscape);
+            },
+            helper: (node, tokenScope, inLoop) => {
+                // Helpers reading a parameter or a loop item run now; the rest wait for the main pass
+                const usesParam = node.args.some(arg => 'path' in arg && params[arg.path]);
+                const value = inLoop || usesParam ? TokenReplacer.resolveHelper(node, tokenScope, renderContext, false) : undefined;
+                return value === undefined ? node.tag : insert(value, node, autoEscape);
+            }
+        });
+    }
+
+    /**
+     * Parse partial parameters
+     * Quoted values are literal template text; unquoted values are config paths.
+     * @param {string} rawParams - Parameter text after the partial name
+     * @param {Object} config - Configuration object for path parameters
+     * @returns {Object} - Map of parameter name to { value, literal }
+     */
+    static parseParams(rawParams, config) {
+        const paramRegex = /([\w-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s}]+))/g;
+        const params = {};
+        let match;
+
+        while ((match = paramRegex.exec(rawParams)) !== null) {
+            const [, key, doubleQuoted, singleQuoted, configPath] = match;
+
+            params[key] = configPath === undefined
+                ? { value: doubleQuoted ?? singleQuoted, literal: true }
+                : { value: TokenReplacer.getNestedValue(config, configPath), literal: false };
+        }
+
+        return params;
+    }
+
+    /**
+     * Flatten parsed parameters to plain values
+     * @param {Object} params - Parameters from parseParams
+     * @returns {Object} - Map of parameter name to value
+     */
+    static paramValues(params) {
+        return Object.fromEntries(Object.entries(params).map(([key, param]) => [key, param.value]));
+    }
+
+    /**
+     * Read a partial file by name
+     * @param {string} name - Partial name (e.g., 'header' or 'cards/contact')
+     * @param {string} partialsDir - Directory holding partials
+     * @returns {string} - Partial content without its trailing newline
+     */
+    static loadPartial(name, partialsDir) {
+        const partialPath = path.join(partialsDir, `${name}.html`);
+
+        if (!fs.existsSync(partialPath)) {
+            throw new Error(`Partial not found: ${name} (looked in ${partialPath})`);
+        }
+
+        return fs.readFileSync(partialPath, 'utf8').replace(/\r?\n$/, '');
+    }
+
+    /**
+     * List the partial names used in template content
+     * @param {string} templateContent - Raw template content
+     * @returns {string[]} - Array of unique partial names
+     */
+    static extractPartials(templateContent) {
+        const partialRegex = /(?<!\\)\{\{>\s*([\w\-\/]+)/g;
+        const partials = new Set();
+        let match;
+
+        while ((match = partialRegex.exec(templateContent)) !== null) {
+            partials.add(match[1]);
+        }
+
+        return Array.from(partials).sort();
+    }
+
+    /**
+     * Default partials directory for a template file: templates/_partials/
+     * @param {string} templatePath - Path to a template file in templates/<name>/
+     * @returns {string} - Partials directory path
+     */
+    static getDefaultPartialsDir(templatePath) {
+        return path.join(path.dirname(path.dirname(path.resolve(templatePath))), '_partials');
+    }
+}
+
+export default PartialResolver;
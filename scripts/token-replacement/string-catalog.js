@@ -0,0 +1,194 @@
+/**
+ * StringCatalog - Loads per-template string packs (templates/<name>/i18n/<locale>.json) for {{t "key"}}
+ *
+ * A catalog is an ordered list of packs: the exact locale (es-MX.json), its
+ * language (es.json), then the base language (en.json). Lookups take the first
+ * pack that has the key, so untranslated strings fall back to English.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import TemplateCompiler from './template-compiler.js';
+
+class StringCatalog {
+    static BASE_LOCALE = 'en';
+    static PLURAL_CATEGORIES = ['zero', 'one', 'two', 'few', 'many', 'other']; // Intl.PluralRules categories, in CLDR order
+    static cache = new Map();
+
+    /**
+     * Load the string packs for a locale
+     * @param {string} i18nDir - Directory holding <locale>.json packs
+     * @param {string} [locale] - Locale such as 'es' or 'es-MX' (defaults to the base locale)
+     * @returns {Object} - Catalog ({ locale, packs: [{ locale, file, strings }] })
+     */
+    static load(i18nDir, locale = this.BASE_LOCALE) {
+        const packs = this.getPackLocales(locale)
+            .map(packLocale => ({ locale: packLocale, file: path.join(i18nDir, `${packLocale}.json`) }))
+            .filter(pack => fs.existsSync(pack.file))
+            .map(pack => ({ ...pack, strings: this.readPack(pack.file) }));
+
+        return { locale, packs };
+    }
+
+    /**
+     * List the pack names a locale reads from, most specific first
+     * @param {string} locale - Locale such as 'es-MX'
+     * @returns {string[]} - e.g. ['es-MX', 'es', 'en']
+     */
+    static getPackLocales(locale) {
+        const language = this.getLanguage(locale);
+        return [...new Set([locale, language, this.BASE_LOCALE])];
+    }
+
+    /**
+     * Get the language part of a locale
+     * @param {string} locale - Locale such as 'es-MX'
+     * @returns {string} - Language such as 'es'
+     */
+    static getLanguage(locale) {
+        return String(locale).split(/[-_]/)[0].toLowerCase();
+    }
+
+    /**
+     * Look up a string, falling back through the catalog's packs
+     * Keys may be nested objects ({ "commitments": { "title": ... } }) or flat dotted names.
+     * @param {Object} catalog - Catalog from load()
+     * @param {string} key - Dotted key such as 'commitments.title'
+     * @param {boolean} [ownPacksOnly] - Skip the base-language fallback
+     * @returns {string|undefined} - Translated string, or undefined when no pack has it
+     */
+    static lookup(catalog, key, ownPacksOnly = false) {
+        const value = this.find(catalog, key, ownPacksOnly);
+        return typeof value === 'string' ? value : undefined;
+    }
+
+    /**
+     * Look up plural forms such as { "one": "# round", "other": "# rounds" }
+     * @param {Object} catalog - Catalog from load()
+     * @param {string} key - Dotted key such as 'units.round'
+     * @returns {Object|undefined} - Forms keyed by plural category, or undefined when no pack has them
+     */
+    static lookupPlural(catalog, key) {
+        const value = this.find(catalog, key);
+        return this.isPluralForms(value) ? value : undefined;
+    }
+
+    /**
+     * Find the first pack entry for a key that is a string or a set of plural forms
+     * @param {Object} catalog - Catalog from load()
+     * @param {string} key - Dotted key
+     * @param {boolean} [ownPacksOnly] - Skip the base-language fallback
+     * @returns {string|Object|undefined} - Entry, or undefined when no pack has one
+     */
+    static find(catalog, key, ownPacksOnly = false) {
+        if (!catalog) {
+            return undefined;
+        }
+        const packs = ownPacksOnly ? this.getOwnPacks(catalog) : catalog.packs;
+
+        for (const pack of packs) {
+            const value = key in pack.strings ? pack.strings[key] : TemplateCompiler.resolvePath(pack.strings, key);
+            if (typeof value === 'string' || this.isPluralForms(value)) {
+                return value;
+            }
+        }
+        return undefined;
+    }
+
+    /**
+     * Check whether a pack entry holds plural forms (CLDR categories with at least "other")
+     * @param {*} value - Pack entry
+     * @returns {boolean} - True for { "one": ..., "other": ... } style objects
+     */
+    static isPluralForms(value) {
+        return Boolean(value) && typeof value === 'object' && typeof value.other === 'string'
+            && Object.keys(value).every(category => this.PLURAL_CATEGORIES.includes(category));
+    }
+
+    /**
+     * Find the keys a locale doesn't translate itself
+     * Nothing is untranslated for the base language, since its strings are the source text.
+     * @param {Object} catalog - Catalog from load()
+     * @param {string[]} keys - Keys used by a template
+     * @returns {Object[]} - Entries ({ key, locale, fallback }), where fallback says whether the base language covers the key
+     */
+    static findUntranslated(catalog, keys) {
+        const base = this.getLanguage(catalog.locale) === this.BASE_LOCALE;
+
+        return keys
+            .filter(key => this.find(catalog, key, !base) === undefined)
+            .map(key => ({ key, locale: catalog.locale, fallback: this.find(catalog, key) !== undefined }));
+    }
+
+    /**
+     * Packs that belong to the catalog's own language (not the base-language fallback)
+     * @param {Object} catalog - Catalog from load()
+     * @returns {Object[]} - Packs
+     */
+    static getOwnPacks(catalog) {
+        const language = this.getLanguage(catalog.locale);
+        return catalog.packs.filter(pack => this.getLanguage(pack.locale) === language);
+    }
+
+    /**
+     * List every key in a pack as dotted names
+     * @param {Object} strings - Pack contents
+     * @param {string} [prefix] - Key prefix for nested objects
+     * @returns {string[]} - Keys
+     */
+    static listKeys(strings, prefix = '') {
+        return Object.entries(strings).flatMap(([key, value]) => {
+            const fullKey = prefix ? `${prefix}.${key}` : key;
+            return value && typeof value === 'object' && !this.isPluralForms(value) ? this.listKeys(value, fullKey) : [fullKey];
+        });
+    }
+
+    /**
+     * List the locales that have a pack in a directory
+     * @param {string} i18nDir - Directory holding <locale>.json packs
+     * @returns {string[]} - Sorted locales
+     */
+    static listLocales(i18nDir) {
+        if (!fs.existsSync(i18nDir)) {
+            return [];
+        }
+        return fs.readdirSync(i18nDir)
+            .filter(file => file.endsWith('.json'))
+            .map(file => path.basename(file, '.json'))
+            .sort();
+    }
+
+    /**
+     * Read a pack file, reusing the parsed contents while the file is unchanged
+     * @param {string} file - Path to the pack
+     * @returns {Object} - Pack contents
+     */
+    static readPack(file) {
+        const mtime = fs.statSync(file).mtime.getTime();
+        const cached = this.cache.get(file);
+        if (cached && cached.mtime === mtime) {
+            return cached.strings;
+        }
+
+        let strings;
+        try {
+            strings = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            throw new Error(`Invalid string pack ${file}: ${error.message}`);
+        }
+
+        this.cache.set(file, { mtime, strings });
+        return strings;
+    }
+
+    /**
+     * Get the default string pack directory for a template file
+     * @param {string} templatePath - Path to a template file
+     * @returns {string} - templates/<name>/i18n
+     */
+    static getDefaultDir(templatePath) {
+        return path.join(path.dirname(templatePath), 'i18n');
+    }
+}
+
+export default StringCatalog;
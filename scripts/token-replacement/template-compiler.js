@@ -0,0 +1,394 @@
+/**
+ * TemplateCompiler - Parses templates once into an AST shared by extraction, validation and rendering
+ *
+ * Node types:
+ * - { type: 'text', value }
+ * - { type: 'literal', value } - an escaped \{{tag}}, output without its backslash
+ * - { type: 'token', path, fallback, filters, raw, tag, start, end, context }
+ * - { type: 'helper', name, args, fallback, filters, raw, tag, start, end, context } - a {{name arg "literal"}} helper call
+ * - { type: 'block', kind: 'if'|'unless'|'each', path, tag, start, end, body, inverse }
+ */
+
+import TokenFilters from './token-filters.js';
+import TemplateHelpers from './template-helpers.js';
+import HtmlEscaper from './html-escaper.js';
+
+class TemplateCompiler {
+    /**
+     * Compile template content into an AST
+     * @param {string} source - Template content
+     * @returns {Object} - Compiled template with source and body (array of nodes)
+     */
+    static compile(source) {
+        return {
+            source,
+            body: this.parse(source, this.tokenize(source))
+        };
+    }
+
+    /**
+     * Split template content into text and tag tokens in a single scan
+     * Raw {{{token}}} is tried before {{token}} so its extra braces aren't read as part of the name;
+     * {{!-- comments --}} come first because they may contain braces. A backslash
+     * before a tag (\{{literal}}) makes it literal text.
+     * @param {string} source - Template content
+     * @returns {Object[]} - Lexer tokens ({ type: 'text'|'literal'|'tag', ... }) in document order
+     */
+    static tokenize(source) {
+        const tagRegex = /\{\{!--[\s\S]*?--\}\}|\{\{\{([^}]+)\}\}\}|\{\{([^}]+)\}\}/g;
+        const lexemes = [];
+        let cursor = 0;
+        let match;
+
+        while ((match = tagRegex.exec(source)) !== null) {
+            const escaped = source[match.index - 1] === '\\';
+            const textEnd = escaped ? match.index - 1 : match.index;
+
+            if (textEnd > cursor) {
+                lexemes.push({ type: 'text', value: source.slice(cursor, textEnd) });
+            }
+
+            if (escaped) {
+                lexemes.push({ type: 'literal', value: match[0] });
+            } else {
+                lexemes.push({
+                    type: 'tag',
+                    tag: match[0],
+                    body: (match[1] ?? match[2] ?? '!').trim(),
+                    raw: match[1] !== undefined,
+                    start: match.index,
+                    end: match.index + match[0].length
+                });
+            }
+            cursor = tagRegex.lastIndex;
+        }
+
+        if (cursor < source.length) {
+            lexemes.push({ type: 'text', value: source.slice(cursor) });
+        }
+
+        return lexemes;
+    }
+
+    /**
+     * Build the AST from lexer tokens, matching block tags with a stack
+     * Partials ({{> header}}) and unknown block tags such as {{#block}} are
+     * kept as text for the stage that handles them; comments are dropped.
+     * @param {string} source - Template content, used for HTML context detection
+     * @param {Object[]} lexemes - Tokens from tokenize()
+     * @returns {Object[]} - Top-level AST nodes
+     */
+    static parse(source, lexemes) {
+        const root = { body: [] };
+        const stack = [];
+        let current = root.body;
+
+        for (const lexeme of lexemes) {
+            if (lexeme.type === 'text') {
+                this.pushText(current, lexeme.value);
+                continue;
+            }
+            if (lexeme.type === 'literal') {
+                current.push({ type: 'literal', value: lexeme.value });
+                continue;
+            }
+
+            const { tag, body, raw, start, end } = lexeme;
+
+            // Comments ({{! note }} and {{!-- note --}}) never reach the output
+            if (!raw && body.startsWith('!')) {
+                continue;
+            }
+            const open = !raw && body.match(/^#(if|unless|each)\s+(.+)$/s);
+            const close = !raw && body.match(/^\/(if|unless|each)$/);
+
+            if (open) {
+                const block = { type: 'block', kind: open[1], path: open[2].trim(), tag, start, end, body: [], inverse: null };
+                current.push(block);
+                stack.push(block);
+                current = block.body;
+            } else if (!raw && body === 'else') {
+                const block = stack[stack.length - 1];
+                if (!block) {
+                    throw new Error(`Unexpected ${tag} without matching opening block`);
+                }
+                if (block.inverse) {
+                    throw new Error(`Block ${block.tag} has more than one ${tag}`);
+                }
+                block.inverse = [];
+                current = block.inverse;
+            } else if (close) {
+                const block = stack.pop();
+                if (!block) {
+                    throw new Error(`Unexpected ${tag} without matching opening block`);
+                }
+                if (block.kind !== close[1]) {
+                    throw new Error(`Block ${block.tag} closed with ${tag}`);
+                }
+                block.end = end;
+                block.inverse = block.inverse ?? [];
+                const parent = stack[stack.length - 1];
+                current = parent ? (parent.inverse ?? parent.body) : root.body;
+            } else if (body === '' || (!raw && this.isPassthroughTag(body))) {
+                this.pushText(current, tag);
+            } else {
+                // Filters ({{token | upper}}) and fallbacks don't change which config value is needed
+                const { path, fallback, filters } = TokenFilters.parseExpression(body);
+                const call = TemplateHelpers.parseCall(path);
+                current.push({
+                    type: call ? 'helper' : 'token',
+                    ...(call || { path }),
+                    fallback,
+                    filters,
+                    raw,
+                    tag,
+                    start,
+                    end,
+                    context: HtmlEscaper.detectContext(source, start)
+                });
+            }
+        }
+
+        if (stack.length > 0) {
+            throw new Error(`Unclosed block ${stack[stack.length - 1].tag}`);
+        }
+
+        return root.body;
+    }
+
+    /**
+     * Append text to a node list, merging with a preceding text node
+     * @param {Object[]} nodes - Node list
+     * @param {string} value - Text to append
+     */
+    static pushText(nodes, value) {
+        const last = nodes[nodes.length - 1];
+        if (last && last.type === 'text') {
+            last.value += value;
+        } else {
+            nodes.push({ type: 'text', value });
+        }
+    }
+
+    /**
+     * Check whether a tag belongs to a later or earlier stage rather than the engine
+     * @param {string} body - Trimmed content between the braces
+     * @returns {boolean} - True for partials and block tags other than if/unless/each
+     */
+    static isPassthroughTag(body) {
+        return ['#', '/', '>'].some(prefix => body.startsWith(prefix));
+    }
+
+    /**
+     * Write an escaped literal back in its escaped form
+     * Used by stages whose output is compiled again (partials, layouts), so the
+     * tag stays literal until the final render.
+     * @param {Object} node - Literal node
+     * @returns {string} - The literal with its backslash
+     */
+    static keepEscaped(node) {
+        return `\\${node.value}`;
+    }
+
+    /**
+     * Escape the tags in a value inserted by a stage whose output is compiled again
+     * Config values are data, so a "{{token}}" inside one is shown as text
+     * instead of being evaluated by the final render.
+     * @param {string} text - Rendered value
+     * @returns {string} - The value with every {{ escaped as \{{
+     */
+    static escapeTags(text) {
+        return String(text).replace(/\{\{/g, '\\{{');
+    }
+
+    /**
+     * Walk an AST against a scope, taking only the branches that apply
+     * Blocks are evaluated here so rendering and token analysis always agree;
+     * the visitor decides what tokens and text produce.
+     * @param {Object[]} nodes - AST nodes
+     * @param {Object} scope - Values visible to tokens and conditions
+     * @param {Object} visitor - { text(node), literal(node), token(node, scope, inLoop), helper(node, scope, inLoop), each(node, inLoop) }, each returning a string or nothing; helpers are kept as tags when the visitor has no helper()
+     * @param {boolean} [inLoop] - Whether the nodes are inside an {{#each}} body
+     * @returns {string} - Concatenated visitor output
+     */
+    static evaluate(nodes, scope, visitor, inLoop = false) {
+        let output = '';
+
+        for (const node of nodes) {
+            if (node.type === 'text') {
+                output += visitor.text ? visitor.text(node) ?? '' : node.value;
+            } else if (node.type === 'literal') {
+                output += visitor.literal ? visitor.literal(node) ?? '' : node.value;
+            } else if (node.type === 'token') {
+                output += visitor.token(node, scope, inLoop) ?? '';
+            } else if (node.type === 'helper') {
+                output += visitor.helper ? visitor.helper(node, scope, inLoop) ?? '' : node.tag;
+            } else if (node.kind === 'each') {
+                visitor.each?.(node, inLoop);
+                const items = this.resolvePath(scope, node.path);
+
+                if (Array.isArray(items) && items.length > 0) {
+                    items.forEach((item, index) => {
+                        output += this.evaluate(node.body, this.loopScope(scope, item, index, items.length), visitor, true);
+                    });
+                } else {
+                    output += this.evaluate(node.inverse, scope, visitor, inLoop);
+                }
+            } else {
+                let passes = this.isTruthy(this.resolvePath(scope, node.path));
+                if (node.kind === 'unless') {
+                    passes = !passes;
+                }
+                output += this.evaluate(passes ? node.body : node.inverse, scope, visitor, inLoop);
+            }
+        }
+
+        return output;
+    }
+
+    /**
+     * Build the scope for one {{#each}} iteration
+     * @param {Object} scope - Enclosing scope, still reachable inside the loop
+     * @param {*} item - Current item
+     * @param {number} index - Item index
+     * @param {number} length - Number of items
+     * @returns {Object} - Scope with the item's fields, this, @index, @first and @last
+     */
+    static loopScope(scope, item, index, length) {
+        return {
+            ...scope,
+            ...(item && typeof item === 'object' && !Array.isArray(item) ? item : {}),
+            this: item,
+            '@index': index,
+            '@first': index === 0,
+            '@last': index === length - 1
+        };
+    }
+
+    /**
+     * Collect every token node outside loop bodies, across all branches
+     * A {{#each list}} contributes a synthetic token for the list itself
+     * (marked iterable), because the tokens inside it refer to the list's items.
+     * Helper calls contribute a synthetic token for each config path argument.
+     * @param {Object[]} nodes - AST nodes
+     * @returns {Object[]} - Token nodes ({ path, fallback, filters, ... }) in document order
+     */
+    static collectTokens(nodes) {
+        const tokens = [];
+
+        for (const node of nodes) {
+            if (node.type === 'token') {
+                tokens.push(node);
+            } else if (node.type === 'helper') {
+                tokens.push(...this.helperTokens(node));
+            } else if (node.type === 'block' && node.kind === 'each') {
+                tokens.push({
+                    type: 'token',
+                    path: node.path,
+                    fallback: undefined,
+                    filters: [],
+                    raw: false,
+                    iterable: true,
+                    tag: node.tag,
+                    start: node.start,
+                    end: node.end
+                });
+                tokens.push(...this.collectTokens(node.inverse));
+            } else if (node.type === 'block') {
+                tokens.push(...this.collectTokens(node.body), ...this.collectTokens(node.inverse));
+            }
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Build token nodes for the config paths a helper call reads
+     * @param {Object} node - Helper node
+     * @returns {Object[]} - Token nodes, sharing the helper's fallback and position
+     */
+    static helperTokens(node) {
+        return node.args
+            .filter(arg => 'path' in arg)
+            .map(arg => ({
+                type: 'token',
+                path: arg.path,
+                fallback: node.fallback,
+                filters: [],
+                raw: node.raw,
+                tag: node.tag,
+                start: node.start,
+                end: node.end,
+                context: node.context
+            }));
+    }
+
+    /**
+     * Call a function for every node in an AST, including loop bodies and else branches
+     * @param {Object[]} nodes - AST nodes
+     * @param {Function} callback - Called as callback(node, inLoop)
+     * @param {boolean} [inLoop] - Whether the nodes are inside an {{#each}} body
+     */
+    static walk(nodes, callback, inLoop = false) {
+        for (const node of nodes) {
+            callback(node, inLoop);
+
+            if (node.type === 'block') {
+                this.walk(node.body, callback, inLoop || node.kind === 'each');
+                this.walk(node.inverse, callback, inLoop);
+            }
+        }
+    }
+
+    /**
+     * Convert a character offset into a 1-based line and column
+     * @param {string} source - Template content
+     * @param {number} offset - Character offset
+     * @returns {Object} - Object with line and column
+     */
+    static getPosition(source, offset) {
+        const before = source.slice(0, offset);
+        const lineStart = before.lastIndexOf('\n') + 1;
+
+        return {
+            line: before.split('\n').length,
+            column: offset - lineStart + 1
+        };
+    }
+
+    /**
+     * Get a value from a scope using dot notation
+     * @param {Object} scope - Object to traverse
+     * @param {string} path - Dot notation path (e.g., 'payment.amount')
+     * @returns {*} - Value at path, or undefined if not found
+     */
+    static resolvePath(scope, path) {
+        let current = scope;
+
+        for (const part of path.split('.')) {
+            if (current === null || current === undefined || typeof current !== 'object') {
+                return undefined;
+            }
+            current = current[part];
+        }
+
+        return current;
+    }
+
+    /**
+     * Determine whether a value counts as true for block conditions
+     * @param {*} value - Value to test
+     * @returns {boolean} - False for missing, empty or zero values and empty arrays
+     */
+    static isTruthy(value) {
+        if (Array.isArray(value)) {
+            return value.length > 0;
+        }
+        if (typeof value === 'string') {
+            return value.trim() !== '';
+        }
+        return Boolean(value);
+    }
+}
+
+export default TemplateCompiler;
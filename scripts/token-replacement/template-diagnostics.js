@@ -0,0 +1,109 @@
+/**
+ * TemplateDiagnostics - Locates missing tokens in template files and formats them with code frames
+ */
+
+import path from 'path';
+import TokenExtractor from './token-extractor.js';
+
+class TemplateDiagnostics {
+    /**
+     * Build one diagnostic per occurrence of each missing token
+     * Tokens that only appear in a layout or partial get a diagnostic without a position.
+     * @param {string} templatePath - Path to the template file
+     * @param {string|Object} template - Raw template file content or its compiled form
+     * @param {Object[]} missing - Missing entries from ConfigValidator ({ token, reason, suggestions })
+     * @returns {Object[]} - Diagnostics ({ file, line, column, token, reason, suggestions, source })
+     */
+    static forMissingTokens(templatePath, template, missing) {
+        const compiled = TokenExtractor.toCompiled(template);
+        const locations = TokenExtractor.extractTokenLocations(compiled);
+        const file = this.getDisplayName(templatePath);
+        const diagnostics = [];
+
+        for (const entry of missing) {
+            const base = {
+                file,
+                token: entry.token,
+                reason: entry.reason,
+                suggestions: entry.suggestions || [],
+                source: compiled.source
+            };
+            const occurrences = locations[entry.token] || [];
+
+            if (occurrences.length === 0) {
+                diagnostics.push({ ...base, line: null, column: null });
+            }
+            for (const { line, column } of occurrences) {
+                diagnostics.push({ ...base, line, column });
+            }
+        }
+
+        return diagnostics.sort((a, b) => (a.line ?? Infinity) - (b.line ?? Infinity) || (a.column ?? 0) - (b.column ?? 0));
+    }
+
+    /**
+     * Format a diagnostic as file:line:col message, with optional hint and code frame
+     * @param {Object} diagnostic - Diagnostic from forMissingTokens
+     * @param {Object} [options] - { frame: include a code-frame excerpt }
+     * @returns {string} - Formatted diagnostic
+     */
+    static format(diagnostic, options = {}) {
+        const { frame = false } = options;
+        const location = diagnostic.line === null
+            ? diagnostic.file
+            : `${diagnostic.file}:${diagnostic.line}:${diagnostic.column}`;
+        const reason = diagnostic.reason && diagnostic.reason !== 'not found in config' ? ` (${diagnostic.reason})` : '';
+        const lines = [`${location} missing ${diagnostic.token}${reason}`];
+
+        if (diagnostic.suggestions.length > 0) {
+            lines.push(`   Did you mean ${diagnostic.suggestions.map(suggestion => `'${suggestion}'`).join(' or ')}?`);
+        }
+        if (frame && diagnostic.line !== null) {
+            lines.push(this.codeFrame(diagnostic.source, diagnostic.line, diagnostic.column));
+        }
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Excerpt the lines around a position with a caret under the column
+     * @param {string} source - Template content
+     * @param {number} line - 1-based line
+     * @param {number} column - 1-based column
+     * @param {number} [contextLines] - Lines to show before and after
+     * @returns {string} - Code frame
+     */
+    static codeFrame(source, line, column, contextLines = 2) {
+        const sourceLines = source.split(/\r?\n/);
+        const first = Math.max(1, line - contextLines);
+        const last = Math.min(sourceLines.length, line + contextLines);
+        const gutterWidth = String(last).length;
+        const frame = [];
+
+        for (let current = first; current <= last; current++) {
+            const marker = current === line ? '>' : ' ';
+            const number = String(current).padStart(gutterWidth);
+            frame.push(`   ${marker} ${number} | ${sourceLines[current - 1]}`.trimEnd());
+
+            if (current === line) {
+                // Keep tabs so the caret lines up with the token
+                const padding = sourceLines[current - 1].slice(0, column - 1).replace(/[^\t]/g, ' ');
+                frame.push(`     ${' '.repeat(gutterWidth)} | ${padding}^`);
+            }
+        }
+
+        return frame.join('\n');
+    }
+
+    /**
+     * Short name for a template file: its template directory and file name
+     * @param {string} templatePath - Path to the template file
+     * @returns {string} - e.g. 'timeline-agreement/02-phase-schedule.html'
+     */
+    static getDisplayName(templatePath) {
+        const resolved = path.resolve(templatePath);
+        return `${path.basename(path.dirname(resolved))}/${path.basename(resolved)}`;
+    }
+}
+
+export default TemplateDiagnostics;
@@ -0,0 +1,136 @@
+/**
+ * TemplateHelpers - Registry of helpers called with {{name arg "literal"}} syntax
+ *
+ * Helpers are called with the render context ({ locale, strings }) as `this`,
+ * so they can format for the config's locale and read the template's string catalog.
+ */
+
+import TokenFilters from './token-filters.js';
+import StringCatalog from './string-catalog.js';
+import NumberWords from './number-words.js';
+
+class TemplateHelpers {
+    static registry = new Map();
+
+    /**
+     * Register a helper so templates can call it
+     * @param {string} name - Helper name used in templates
+     * @param {Function} fn - Helper function called as fn(...args) with the render context as this; returning undefined marks the value missing
+     */
+    static register(name, fn) {
+        if (typeof fn !== 'function') {
+            throw new Error(`Helper '${name}' must be a function`);
+        }
+        this.registry.set(name, fn);
+    }
+
+    /**
+     * Check whether a helper is registered
+     * @param {string} name - Helper name
+     * @returns {boolean} - True if the helper exists
+     */
+    static has(name) {
+        return this.registry.has(name);
+    }
+
+    /**
+     * Get names of all registered helpers
+     * @returns {string[]} - Sorted helper names
+     */
+    static list() {
+        return Array.from(this.registry.keys()).sort();
+    }
+
+    /**
+     * Parse a helper call such as 't "commitments.title"'
+     * Quoted strings, numbers and booleans are literals; anything else is a config path.
+     * @param {string} expression - Head of a token expression (before any ?? or filters)
+     * @returns {Object|null} - { name, args: [{ value }|{ path }] }, or null when it isn't a helper call
+     */
+    static parseCall(expression) {
+        const match = expression.trim().match(/^([A-Za-z_][\w-]*)\s+(.+)$/s);
+        if (!match || !this.has(match[1])) {
+            return null;
+        }
+
+        const args = (match[2].match(/"[^"]*"|'[^']*'|\S+/g) || []).map(arg => {
+            const value = TokenFilters.parseArgument(arg);
+            return typeof value === 'string' && !/^["']/.test(arg) ? { path: value } : { value };
+        });
+
+        return { name: match[1], args };
+    }
+
+    /**
+     * Pick the form for a count from positional forms
+     * Two forms are singular and plural; a form per plural category of the
+     * locale (e.g. one, few, many, other) is matched in CLDR order.
+     * @param {number} count - Count to pick a form for
+     * @param {string[]} forms - Forms from the template
+     * @param {string} locale - Locale whose plural rules apply
+     * @returns {string} - Chosen form
+     */
+    static pickForm(count, forms, locale) {
+        const rules = new Intl.PluralRules(locale);
+        const category = rules.select(count);
+        const order = StringCatalog.PLURAL_CATEGORIES;
+        const categories = rules.resolvedOptions().pluralCategories.sort((a, b) => order.indexOf(a) - order.indexOf(b));
+
+        if (forms.length === categories.length) {
+            return forms[categories.indexOf(category)];
+        }
+        return category === 'one' ? forms[0] : forms[forms.length - 1];
+    }
+
+    /**
+     * Call a helper
+     * @param {string} name - Helper name
+     * @param {*[]} args - Resolved argument values
+     * @param {Object} context - Render context ({ locale, strings })
+     * @returns {*} - Helper result, or undefined when it has no value
+     */
+    static call(name, args, context = {}) {
+        const fn = this.registry.get(name);
+        if (!fn) {
+            throw new Error(`Unknown helper '${name}'`);
+        }
+        return fn.apply(context, args);
+    }
+}
+
+// Built-in helpers
+
+TemplateHelpers.register('t', function (key) {
+    return StringCatalog.lookup(this.strings, String(key));
+});
+
+// {{plural n "round" "rounds"}} or {{plural n "units.round"}} for forms from the string pack;
+// # in a form is replaced by the number
+TemplateHelpers.register('plural', function (count, ...forms) {
+    const n = TokenFilters.toNumber(count);
+    if (n === null || forms.length === 0) {
+        return undefined;
+    }
+
+    const locale = TokenFilters.getLocale(this);
+    let form;
+    if (forms.length === 1) {
+        const packForms = StringCatalog.lookupPlural(this.strings, String(forms[0]));
+        form = packForms && (packForms[new Intl.PluralRules(locale).select(n)] ?? packForms.other);
+    } else {
+        form = TemplateHelpers.pickForm(n, forms.map(String), locale);
+    }
+
+    return form?.replace(/#/g, new Intl.NumberFormat(locale).format(n));
+});
+
+// {{words n}} → "five"; {{words n "feminine"}} for languages with gendered numbers (una, doscientas)
+TemplateHelpers.register('words', function (count, gender) {
+    const n = TokenFilters.toNumber(count);
+    if (n === null) {
+        return undefined;
+    }
+    return NumberWords.toWords(n, TokenFilters.getLocale(this), { feminine: gender === 'feminine' });
+});
+
+export default TemplateHelpers;
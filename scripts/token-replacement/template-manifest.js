@@ -0,0 +1,292 @@
+/**
+ * TemplateManifest - Reads the template.json that describes a template directory
+ *
+ * A manifest names the template, orders its slides and declares the config
+ * tokens it expects:
+ *
+ *   {
+ *     "title": "Timeline Agreement",
+ *     "version": "1.0.0",
+ *     "description": "Project schedule and the dates both sides commit to",
+ *     "slides": ["00-cover.html", "01-project-information.html"],
+ *     "tokens": {
+ *       "start_date": { "type": "date", "required": true, "description": "First day of work", "example": "June 10, 2025", "business_day": true },
+ *       "payment.link": { "type": "url", "default": "#" }
+ *     },
+ *     "rules": ["start_date <= phase1_start_date"]
+ *   }
+ *
+ * Templates without a manifest still work: their slides are the directory's
+ * HTML files in name order and they declare no tokens.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import ConfigSchema from './config-schema.js';
+import ChronologyRules from './chronology-rules.js';
+import TokenExtractor from './token-extractor.js';
+
+class TemplateManifest {
+    static FILE_NAME = 'template.json';
+
+    static TYPES = ['string', 'number', 'boolean', 'date', 'currency', 'url', 'email', 'phone', 'array'];
+
+    // Tokens the build scripts set themselves, so templates never declare them
+    static SYSTEM_TOKENS = ['asset_path', 'locale'];
+
+    static cache = new Map();
+
+    /**
+     * Load the manifest for a template directory
+     * @param {string} templateDir - Template directory (templates/<name>)
+     * @returns {Object} - { name, title, version, description, slides, tokens, rules, file }; file is null when the template has no manifest.
+     *   Each token is { type, required, description, example?, default?, business_day? }; processConfig fills in the defaults.
+     *   Rules are the ChronologyRules date ordering checks.
+     */
+    static load(templateDir) {
+        const name = path.basename(path.resolve(templateDir));
+        const file = path.join(templateDir, this.FILE_NAME);
+
+        if (!fs.existsSync(file)) {
+            return {
+                name,
+                title: name,
+                version: null,
+                description: '',
+                slides: this.listSlideFiles(templateDir),
+                tokens: {},
+                rules: [],
+                file: null
+            };
+        }
+
+        const raw = this.readFile(file);
+        const errors = this.validate(raw, templateDir);
+        if (errors.length > 0) {
+            throw new Error(`Invalid template manifest ${file}:\n   ${errors.join('\n   ')}`);
+        }
+
+        const tokens = {};
+        for (const [token, spec] of Object.entries(raw.tokens || {})) {
+            tokens[token] = {
+                type: spec.type || 'string',
+                required: spec.required === true,
+                description: spec.description || '',
+                ...(spec.example !== undefined ? { example: spec.example } : {}),
+                ...(spec.default !== undefined ? { default: spec.default } : {}),
+                ...(spec.business_day ? { business_day: true } : {})
+            };
+        }
+
+        return {
+            name,
+            title: raw.title,
+            version: raw.version || null,
+            description: raw.description || '',
+            slides: [...raw.slides],
+            tokens,
+            rules: [...(raw.rules || [])],
+            file
+        };
+    }
+
+    /**
+     * Read and parse a manifest file, cached until the file changes
+     * @param {string} file - Path to template.json
+     * @returns {Object} - Parsed manifest
+     */
+    static readFile(file) {
+        const mtime = fs.statSync(file).mtimeMs;
+        const cached = this.cache.get(file);
+        if (cached && cached.mtime === mtime) {
+            return cached.manifest;
+        }
+
+        let manifest;
+        try {
+            manifest = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            throw new Error(`Invalid template manifest ${file}: ${error.message}`);
+        }
+
+        this.cache.set(file, { mtime, manifest });
+        return manifest;
+    }
+
+    /**
+     * Check a parsed manifest's structure and that its slides exist
+     * @param {Object} manifest - Parsed template.json
+     * @param {string} templateDir - Template directory the slides live in
+     * @returns {string[]} - Error messages; empty when the manifest is valid
+     */
+    static validate(manifest, templateDir) {
+        const errors = [];
+
+        if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+            return ['manifest must be a JSON object'];
+        }
+        if (typeof manifest.title !== 'string' || manifest.title.trim() === '') {
+            errors.push('title is required');
+        }
+        if (manifest.version !== undefined && typeof manifest.version !== 'string') {
+            errors.push('version must be a string such as "1.0.0"');
+        }
+
+        if (!Array.isArray(manifest.slides) || manifest.slides.length === 0) {
+            errors.push('slides must list the slide files in order');
+        } else {
+            const seen = new Set();
+            for (const slide of manifest.slides) {
+                if (typeof slide !== 'string' || !slide.endsWith('.html')) {
+                    errors.push(`slide ${JSON.stringify(slide)} must be an .html file name`);
+                } else if (seen.has(slide)) {
+                    errors.push(`slide '${slide}' is listed twice`);
+                } else if (!fs.existsSync(path.join(templateDir, slide))) {
+                    errors.push(`slide '${slide}' not found`);
+                }
+                seen.add(slide);
+            }
+        }
+
+        if (manifest.tokens !== undefined && (typeof manifest.tokens !== 'object' || Array.isArray(manifest.tokens))) {
+            errors.push('tokens must map token names to their specs');
+        } else {
+            for (const [token, spec] of Object.entries(manifest.tokens || {})) {
+                if (!spec || typeof spec !== 'object') {
+                    errors.push(`tokens.${token} must be an object`);
+                    continue;
+                }
+                if (spec.type !== undefined && !this.TYPES.includes(spec.type)) {
+                    errors.push(`tokens.${token}.type '${spec.type}' is not one of ${this.TYPES.join(', ')}`);
+                }
+                if (spec.required !== undefined && typeof spec.required !== 'boolean') {
+                    errors.push(`tokens.${token}.required must be true or false`);
+                }
+                if (spec.default !== undefined && this.TYPES.includes(spec.type || 'string')) {
+                    for (const error of ConfigSchema.validate(spec.default, ConfigSchema.forToken({ type: spec.type || 'string' }))) {
+                        errors.push(`tokens.${token}.default ${error.message}`);
+                    }
+                }
+                if (spec.business_day !== undefined && (typeof spec.business_day !== 'boolean' || spec.type !== 'date')) {
+                    errors.push(`tokens.${token}.business_day must be true or false on a date token`);
+                }
+            }
+        }
+
+        if (manifest.rules !== undefined && !Array.isArray(manifest.rules)) {
+            errors.push('rules must list date rules such as "phase1_end_date < phase2_start_date"');
+        } else {
+            for (const rule of manifest.rules || []) {
+                let parsed;
+                try {
+                    parsed = ChronologyRules.parse(rule);
+                } catch (error) {
+                    errors.push(error.message);
+                    continue;
+                }
+                for (const token of parsed.tokens) {
+                    if (manifest.tokens?.[token]?.type !== 'date') {
+                        errors.push(`rule "${parsed.rule}" uses '${token}', which is not a date token`);
+                    }
+                }
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Describe a template for console output
+     * @param {Object} manifest - Loaded manifest
+     * @returns {string} - e.g. "Timeline Agreement v1.0.0 (timeline-agreement)", or the directory name without a manifest
+     */
+    static describe(manifest) {
+        if (!manifest.file) {
+            return manifest.name;
+        }
+        return `${manifest.title}${manifest.version ? ` v${manifest.version}` : ''} (${manifest.name})`;
+    }
+
+    /**
+     * List a directory's HTML files in name order
+     * @param {string} templateDir - Template directory
+     * @returns {string[]} - Slide file names
+     */
+    static listSlideFiles(templateDir) {
+        return fs.readdirSync(templateDir)
+            .filter(file => file.endsWith('.html'))
+            .sort();
+    }
+
+    /**
+     * Get the slide paths to build, in manifest order
+     * @param {string} templateDir - Template directory
+     * @param {Object} [manifest] - Loaded manifest (loaded from templateDir when omitted)
+     * @returns {string[]} - Absolute slide paths
+     */
+    static getSlidePaths(templateDir, manifest = this.load(templateDir)) {
+        return manifest.slides.map(slide => path.join(templateDir, slide));
+    }
+
+    /**
+     * Find HTML files in the directory that the manifest doesn't list
+     * They are not built, which is usually an oversight after adding a slide.
+     * @param {string} templateDir - Template directory
+     * @param {Object} manifest - Loaded manifest
+     * @returns {string[]} - Unlisted slide file names
+     */
+    static findUnlistedSlides(templateDir, manifest) {
+        return this.listSlideFiles(templateDir).filter(file => !manifest.slides.includes(file));
+    }
+
+    /**
+     * Get the declared required tokens
+     * @param {Object} manifest - Loaded manifest
+     * @returns {string[]} - Token names
+     */
+    static getRequiredTokens(manifest) {
+        return Object.keys(manifest.tokens).filter(token => manifest.tokens[token].required);
+    }
+
+    /**
+     * Group the config tokens by the first slide that uses them, in slide and document order
+     * Declared tokens no slide uses directly (e.g. ones only used in partials)
+     * come last in a group without a slide. System tokens are left out.
+     * @param {string} templateDir - Template directory
+     * @param {Object} manifest - Loaded manifest
+     * @returns {Object[]} - Groups ({ slide, tokens }) with at least one token each
+     */
+    static groupTokensBySlide(templateDir, manifest) {
+        const seen = new Set(this.SYSTEM_TOKENS);
+        const groups = [];
+
+        for (const slidePath of this.getSlidePaths(templateDir, manifest)) {
+            const tokens = [];
+            for (const expression of TokenExtractor.scanTokenExpressions(TokenExtractor.getCompiledTemplate(slidePath))) {
+                if (!seen.has(expression.path)) {
+                    seen.add(expression.path);
+                    tokens.push(expression.path);
+                }
+            }
+            groups.push({ slide: path.basename(slidePath), tokens });
+        }
+        groups.push({ slide: null, tokens: Object.keys(manifest.tokens).filter(token => !seen.has(token)) });
+
+        return groups.filter(group => group.tokens.length > 0);
+    }
+
+    /**
+     * Find tokens the slides use that the manifest doesn't declare
+     * @param {Object} manifest - Loaded manifest
+     * @param {string[]} usedTokens - Tokens found in the compiled slides
+     * @returns {string[]} - Undeclared token names
+     */
+    static findUndeclaredTokens(manifest, usedTokens) {
+        if (!manifest.file) {
+            return [];
+        }
+        return usedTokens.filter(token => !(token in manifest.tokens) && !this.SYSTEM_TOKENS.includes(token));
+    }
+}
+
+export default TemplateManifest;
@@ -6,7 +6,12 @@ import fs from 'fs';
 import path from 'path';
 import TokenExtractor from './token-extractor.js';
 import TokenReplacer from './token-replacer.js';
+import TemplateCompiler from './template-compiler.js';
 import ConfigValidator from './config-validator.js';
+import TemplateDiagnostics from './template-diagnostics.js';
+import PartialResolver from './partial-resolver.js';
+import LayoutResolver from './layout-resolver.js';
+import StringCatalog from './string-catalog.js';
 
 class TemplateProcessor {
     constructor(options = {}) {
@@ -17,6 +22,11 @@ class TemplateProcessor {
             allowEmptyValues: false,
             warnOnUnused: false,
             cacheTokens: true,
+            autoEscape: true,
+            partialsDir: null, // Defaults to templates/_partials/ next to the template directory
+            layoutsDir: null, // Defaults to templates/_layouts/ next to the template directory
+            layoutVariant: null, // e.g. '4x3' to prefer templates/_layouts/4x3/<layout>.html (falls back to config.layout_variant)
+            stringsDir: null, // Defaults to the i18n/ directory inside the template directory
             ...options
         };
     }
@@ -32,33 +42,58 @@ class TemplateProcessor {
         const opts = { ...this.options, ...processingOptions };
         
         try {
-            // Step 1: Read template content
+            // Step 1: Load the string pack for the config's locale, read template content,
+            // wrap it in its layout and expand shared partials
+            opts.strings = this.loadStrings(templatePath, config, opts);
             const templateContent = fs.readFileSync(templatePath, 'utf8');
+            const expandedContent = this.expandPartials(
+                this.applyLayout(templateContent, templatePath, config, opts),
+                templatePath,
+                config,
+                opts
+            );
             
-            // Step 2: Extract tokens from template
-            const tokens = opts.cacheTokens 
-                ? TokenExtractor.getCachedTokens(templatePath)
-                : TokenExtractor.extractTokens(templateContent);
+            // Step 2: Compile once; the compiled form is cached per file and reused while unchanged
+            const template = opts.cacheTokens
+                ? TokenExtractor.getCompiledTemplate(templatePath, expandedContent)
+                : TemplateCompiler.compile(expandedContent);
             
-            // Step 3: Validate config against required tokens
-            const validation = ConfigValidator.validateAgainstTokens(config, tokens, {
+            // Step 3: Find the tokens the branches that apply need and validate config against them
+            const validation = ConfigValidator.validateTemplate(config, template, {
                 strictMode: opts.strictValidation,
                 allowEmpty: opts.allowEmptyValues,
-                warnOnUnused: opts.warnOnUnused
+                warnOnUnused: opts.warnOnUnused,
+                strings: opts.strings
             });
+            const tokens = validation.tokens;
             
             // Step 4: Handle validation results
             if (!validation.valid && opts.errorHandling === 'fail') {
                 throw new Error(`Template validation failed for ${templatePath}:\n${validation.errors.join('\n')}`);
             }
             
-            // Step 5: Replace tokens in content
-            const processedContent = TokenReplacer.replaceTokens(templateContent, config, tokens, {
-                errorHandling: opts.errorHandling,
-                missingTokenPlaceholder: opts.missingTokenPlaceholder
+            // Step 5: Point at each missing token in the template file
+            const diagnostics = validation.missing.length > 0
+                ? TemplateDiagnostics.forMissingTokens(
+                    templatePath,
+                    opts.cacheTokens ? TokenExtractor.getCompiledTemplate(templatePath) : templateContent,
+                    validation.missing
+                )
+                : [];
+            if (opts.errorHandling === 'warn') {
+                diagnostics.forEach(diagnostic => console.warn(`⚠️  ${TemplateDiagnostics.format(diagnostic)}`));
+                validation.untranslated.forEach(entry => console.warn(`🌐 ${TemplateDiagnostics.getDisplayName(templatePath)}: no ${entry.locale} text for '${entry.key}'`));
+            }
+            
+            // Step 6: Render blocks and tokens in a single pass (warnings were given as diagnostics above)
+            const processedContent = TokenReplacer.render(template, config, {
+                errorHandling: opts.errorHandling === 'warn' ? 'graceful' : opts.errorHandling,
+                missingTokenPlaceholder: opts.missingTokenPlaceholder,
+                autoEscape: opts.autoEscape,
+                strings: opts.strings
             });
             
-            // Step 6: Return comprehensive result
+            // Step 7: Return comprehensive result
             return {
                 success: true,
                 templatePath,
@@ -68,9 +103,12 @@ class TemplateProcessor {
                     found: tokens,
                     total: tokens.length,
                     missing: validation.missing.map(m => m.token),
+                    defaulted: validation.defaulted.map(d => d.token),
                     replaced: validation.found.map(f => f.token)
                 },
                 validation,
+                diagnostics,
+                untranslated: validation.untranslated,
                 metadata: {
                     processedAt: new Date().toISOString(),
                     options: opts,
@@ -112,8 +150,11 @@ class TemplateProcessor {
             aggregatedTokens: new Set(),
             aggregatedValidation: {
                 errors: [],
-                warnings: []
-            }
+                warnings: [],
+                defaulted: []
+            },
+            diagnostics: [],
+            untranslated: []
         };
         
         for (const templatePath of templatePaths) {
@@ -134,6 +175,13 @@ class TemplateProcessor {
                     if (result.validation.warnings) {
                         results.aggregatedValidation.warnings.push(...result.validation.warnings);
                     }
+                    result.tokens.defaulted
+                        .filter(token => !results.aggregatedValidation.defaulted.includes(token))
+                        .forEach(token => results.aggregatedValidation.defaulted.push(token));
+                    results.diagnostics.push(...result.diagnostics);
+                    result.untranslated
+                        .filter(entry => !results.untranslated.some(existing => existing.key === entry.key))
+                        .forEach(entry => results.untranslated.push(entry));
                 } else {
                     results.failed.push(result);
                     results.summary.failed++;
@@ -164,16 +212,27 @@ class TemplateProcessor {
      */
     previewProcessing(templatePath, config) {
         try {
+            const opts = { ...this.options, strings: this.loadStrings(templatePath, config, this.options) };
             const templateContent = fs.readFileSync(templatePath, 'utf8');
-            const tokens = TokenExtractor.extractTokens(templateContent);
-            
-            const validation = ConfigValidator.validateAgainstTokens(config, tokens, {
-                strictMode: this.options.strictValidation,
-                allowEmpty: this.options.allowEmptyValues,
-                warnOnUnused: this.options.warnOnUnused
+            const expandedContent = this.expandPartials(
+                this.applyLayout(templateContent, templatePath, config, opts),
+                templatePath,
+                config,
+                opts
+            );
+            const validation = ConfigValidator.validateTemplate(config, expandedContent, {
+                strictMode: opts.strictValidation,
+                allowEmpty: opts.allowEmptyValues,
+                warnOnUnused: opts.warnOnUnused,
+                strings: opts.strings
             });
+            const tokens = validation.tokens;
             
-            const replacementPreview = TokenReplacer.previewReplacements(templateContent, config, tokens);
+            const replacementPreview = {
+                tokens: validation.found.map(entry => ({ token: entry.token, value: String(entry.value), status: 'found' })),
+                missing: [...validation.missing, ...validation.defaulted].map(entry => ({ token: entry.token, path: entry.token, status: 'missing' })),
+                errors: []
+            };
             
             return {
                 templatePath,
@@ -191,6 +250,55 @@ class TemplateProcessor {
         }
     }
     
+    /**
+     * Load the string catalog for {{t "key"}} in the config's locale
+     * @param {string} templatePath - Path to template file, used to find the default i18n directory
+     * @param {Object} config - Configuration object (locale)
+     * @param {Object} opts - Processing options (stringsDir)
+     * @returns {Object} - Catalog from StringCatalog.load
+     */
+    loadStrings(templatePath, config, opts) {
+        return StringCatalog.load(
+            opts.stringsDir || StringCatalog.getDefaultDir(templatePath),
+            config.locale || StringCatalog.BASE_LOCALE
+        );
+    }
+    
+    /**
+     * Wrap a template in the layout named by its {{!layout}} directive
+     * The variant comes from the layoutVariant option or the config's layout_variant.
+     * @param {string} templateContent - Raw template content
+     * @param {string} templatePath - Path to template file, used to find the default layouts directory
+     * @param {Object} config - Configuration object
+     * @param {Object} opts - Processing options (layoutsDir, layoutVariant, partialsDir, autoEscape, strings)
+     * @returns {string} - Full document, or the content unchanged when no layout is declared
+     */
+    applyLayout(templateContent, templatePath, config, opts) {
+        return LayoutResolver.applyLayout(templateContent, config, {
+            layoutsDir: opts.layoutsDir || LayoutResolver.getDefaultLayoutsDir(templatePath),
+            layoutVariant: opts.layoutVariant || config.layout_variant || null,
+            partialsDir: opts.partialsDir || PartialResolver.getDefaultPartialsDir(templatePath),
+            autoEscape: opts.autoEscape,
+            strings: opts.strings
+        });
+    }
+    
+    /**
+     * Expand {{> partial}} includes for a template
+     * @param {string} templateContent - Raw template content
+     * @param {string} templatePath - Path to template file, used to find the default partials directory
+     * @param {Object} config - Configuration object
+     * @param {Object} opts - Processing options (partialsDir, autoEscape, strings)
+     * @returns {string} - Content with partials expanded
+     */
+    expandPartials(templateContent, templatePath, config, opts) {
+        return PartialResolver.resolvePartials(templateContent, config, {
+            partialsDir: opts.partialsDir || PartialResolver.getDefaultPartialsDir(templatePath),
+            autoEscape: opts.autoEscape,
+            strings: opts.strings
+        });
+    }
+    
     /**
      * Set error handling strategy
      * @param {string} strategy - 'fail', 'warn', or 'graceful'
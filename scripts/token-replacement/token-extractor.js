@@ -4,70 +4,202 @@
 
 import fs from 'fs';
 import path from 'path';
+import TemplateCompiler from './template-compiler.js';
 
 class TokenExtractor {
     static cache = new Map();
+    static MAX_EXPANDED_PER_FILE = 8;
     
     /**
      * Extract all tokens from template content
-     * @param {string} templateContent - Raw template content
+     * @param {string|Object} templateContent - Raw template content or a compiled template
      * @returns {string[]} - Array of unique token names
      */
     static extractTokens(templateContent) {
-        const tokenRegex = /\{\{([^}]+)\}\}/g;
         const tokens = new Set();
-        let match;
         
-        while ((match = tokenRegex.exec(templateContent)) !== null) {
-            // Clean up token name (remove whitespace)
-            const tokenName = match[1].trim();
-            tokens.add(tokenName);
+        for (const expression of this.scanTokenExpressions(templateContent)) {
+            tokens.add(expression.path);
         }
         
         return Array.from(tokens).sort();
     }
     
+    /**
+     * Parse every top-level token tag in template content
+     * Block tags are skipped, and a {{#each list}} contributes the list itself
+     * because the tokens inside it refer to the list's items.
+     * @param {string|Object} template - Raw template content or a compiled template
+     * @returns {Object[]} - Token nodes ({ path, fallback, filters, ... }) in document order
+     */
+    static scanTokenExpressions(template) {
+        return TemplateCompiler.collectTokens(this.toCompiled(template).body);
+    }
+    
+    /**
+     * Record where every token and loop list occurs, including inside loops and skipped branches
+     * @param {string|Object} template - Raw template content or a compiled template
+     * @returns {Object} - Map of token name to occurrences ({ line, column, offset, tag })
+     */
+    static extractTokenLocations(template) {
+        const compiled = this.toCompiled(template);
+        const locations = {};
+        
+        TemplateCompiler.walk(compiled.body, node => {
+            // A {{#each list}} needs its list just like a token does, and helpers need their path arguments
+            const located = node.type === 'helper' ? TemplateCompiler.helperTokens(node) : [node];
+            
+            for (const token of located) {
+                if (token.type !== 'token' && token.kind !== 'each') {
+                    continue;
+                }
+                (locations[token.path] ??= []).push({
+                    ...TemplateCompiler.getPosition(compiled.source, token.start),
+                    offset: token.start,
+                    tag: token.tag
+                });
+            }
+        });
+        
+        return locations;
+    }
+    
+    /**
+     * Work out which tokens a template needs for a specific config
+     * Only branches that apply are followed. Inside loops, tokens the loop
+     * scope can't fill are reported, since they fall through to the config.
+     * @param {string|Object} template - Raw template content or a compiled template
+     * @param {Object} config - Configuration object
+     * @returns {Object} - Object with tokens, iterables and defaulted (sorted arrays of paths), and the string pack keys used (translations)
+     */
+    static analyzeTemplate(template, config) {
+        const tokens = new Set();
+        const iterables = new Set();
+        const defaulted = new Map();
+        const translations = new Set();
+        
+        const addToken = (node, scope, inLoop) => {
+            if (inLoop && TemplateCompiler.resolvePath(scope, node.path) != null) {
+                return;
+            }
+            tokens.add(node.path);
+            defaulted.set(node.path, (defaulted.get(node.path) ?? true) && node.fallback !== undefined);
+        };
+        
+        TemplateCompiler.evaluate(this.toCompiled(template).body, config, {
+            text: () => '',
+            token: addToken,
+            helper: (node, scope, inLoop) => {
+                TemplateCompiler.helperTokens(node).forEach(token => addToken(token, scope, inLoop));
+                // {{t "key"}} and {{plural n "key"}} read their text from the string pack
+                const key = node.name === 't' ? node.args[0] : node.name === 'plural' && node.args.length === 2 ? node.args[1] : null;
+                if (key && 'value' in key) {
+                    translations.add(String(key.value));
+                }
+            },
+            each: (node, inLoop) => {
+                if (!inLoop) {
+                    tokens.add(node.path);
+                    iterables.add(node.path);
+                    defaulted.set(node.path, false);
+                }
+            }
+        });
+        
+        return {
+            tokens: Array.from(tokens).sort(),
+            iterables: Array.from(iterables).sort(),
+            defaulted: Array.from(defaulted.keys()).filter(token => defaulted.get(token)).sort(),
+            translations: Array.from(translations).sort()
+        };
+    }
+    
+    /**
+     * Compile template content unless it is already compiled
+     * @param {string|Object} template - Raw template content or a compiled template
+     * @returns {Object} - Compiled template
+     */
+    static toCompiled(template) {
+        return typeof template === 'string' ? TemplateCompiler.compile(template) : template;
+    }
+    
     /**
      * Extract tokens from template file with caching
      * @param {string} templatePath - Path to template file
      * @returns {string[]} - Array of unique token names
      */
     static getCachedTokens(templatePath) {
-        const absolutePath = path.resolve(templatePath);
+        const entry = this.getCacheEntry(templatePath);
         
-        // Check if we have cached tokens for this file
-        if (this.cache.has(absolutePath)) {
-            const cached = this.cache.get(absolutePath);
-            
-            // Check if file has been modified since caching
-            try {
-                const stats = fs.statSync(absolutePath);
-                if (stats.mtime.getTime() === cached.mtime) {
-                    return cached.tokens;
+        if (!entry.tokens) {
+            entry.tokens = this.extractTokens(this.getCompiledTemplate(templatePath));
+        }
+        
+        return entry.tokens;
+    }
+    
+    /**
+     * Get the compiled form of a template file, compiling at most once per modification
+     * @param {string} templatePath - Path to template file
+     * @param {string} [content] - Content to compile in place of the file, e.g. after layouts and partials are applied
+     * @returns {Object} - Compiled template from TemplateCompiler.compile
+     */
+    static getCompiledTemplate(templatePath, content = null) {
+        const entry = this.getCacheEntry(templatePath);
+        
+        if (content === null) {
+            if (!entry.template) {
+                try {
+                    entry.template = TemplateCompiler.compile(fs.readFileSync(path.resolve(templatePath), 'utf8'));
+                } catch (error) {
+                    throw new Error(`Error reading template file ${templatePath}: ${error.message}`);
                 }
-            } catch (error) {
-                // File doesn't exist, remove from cache
-                this.cache.delete(absolutePath);
-                throw new Error(`Template file not found: ${templatePath}`);
             }
+            return entry.template;
+        }
+        
+        // Expanded content depends on layouts, partials and config, so a few variants are kept per file
+        if (!entry.expanded.has(content)) {
+            if (entry.expanded.size >= this.MAX_EXPANDED_PER_FILE) {
+                entry.expanded.delete(entry.expanded.keys().next().value);
+            }
+            entry.expanded.set(content, TemplateCompiler.compile(content));
         }
         
-        // Read file and extract tokens
+        return entry.expanded.get(content);
+    }
+    
+    /**
+     * Get the cache entry for a template file, starting a fresh one when the file has changed
+     * @param {string} templatePath - Path to template file
+     * @returns {Object} - Cache entry with mtime, tokens, template and expanded variants
+     */
+    static getCacheEntry(templatePath) {
+        const absolutePath = path.resolve(templatePath);
+        let mtime;
+        
         try {
-            const content = fs.readFileSync(absolutePath, 'utf8');
-            const tokens = this.extractTokens(content);
-            
-            // Cache the results with file modification time
-            const stats = fs.statSync(absolutePath);
-            this.cache.set(absolutePath, {
-                tokens,
-                mtime: stats.mtime.getTime()
-            });
-            
-            return tokens;
+            mtime = fs.statSync(absolutePath).mtime.getTime();
         } catch (error) {
-            throw new Error(`Error reading template file ${templatePath}: ${error.message}`);
+            // File doesn't exist, remove from cache
+            this.cache.delete(absolutePath);
+            throw new Error(`Template file not found: ${templatePath}`);
+        }
+        
+        const cached = this.cache.get(absolutePath);
+        if (cached && cached.mtime === mtime) {
+            return cached;
         }
+        
+        const entry = {
+            mtime,
+            tokens: null,
+            template: null,
+            expanded: new Map()
+        };
+        this.cache.set(absolutePath, entry);
+        
+        return entry;
     }
     
     /**
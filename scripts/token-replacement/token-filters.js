@@ -0,0 +1,299 @@
+/**
+ * TokenFilters - Registry of formatting filters applied with {{token | filter:arg}} syntax
+ */
+
+import HtmlEscaper from './html-escaper.js';
+import MarkdownRenderer from './markdown-renderer.js';
+
+class TokenFilters {
+    static registry = new Map();
+
+    /**
+     * Register a filter so templates can use it in pipes
+     * @param {string} name - Filter name used in templates
+     * @param {Function} fn - Filter function called as fn(value, ...args), with the render context ({ locale }) as this
+     */
+    static register(name, fn) {
+        if (typeof fn !== 'function') {
+            throw new Error(`Filter '${name}' must be a function`);
+        }
+        this.registry.set(name, fn);
+    }
+
+    /**
+     * Check whether a filter is registered
+     * @param {string} name - Filter name
+     * @returns {boolean} - True if the filter exists
+     */
+    static has(name) {
+        return this.registry.has(name);
+    }
+
+    /**
+     * Get names of all registered filters
+     * @returns {string[]} - Sorted filter names
+     */
+    static list() {
+        return Array.from(this.registry.keys()).sort();
+    }
+
+    /**
+     * Parse a token expression into its path, fallback and filter chain
+     * @param {string} expression - Content between the braces (e.g., 'launch_date | date:"MMMM d, yyyy"')
+     * @returns {Object} - Object with path, fallback and filters ({ name, args }) properties
+     */
+    static parseExpression(expression) {
+        const [head, ...filterParts] = this.splitOutsideQuotes(expression, '|');
+        const [path, fallbackPart] = this.splitOutsideQuotes(head, '??');
+
+        const filters = filterParts.map(part => {
+            const separator = part.indexOf(':');
+            const name = (separator === -1 ? part : part.slice(0, separator)).trim();
+            const rawArgs = separator === -1 ? '' : part.slice(separator + 1);
+
+            return {
+                name,
+                args: rawArgs.trim() === ''
+                    ? []
+                    : this.splitOutsideQuotes(rawArgs, ',').map(arg => this.parseArgument(arg))
+            };
+        });
+
+        // {{token ?? "text"}} wins over {{token | default:"text"}} when both are given
+        const defaultFilter = filters.find(filter => filter.name === 'default');
+        const fallback = fallbackPart !== undefined
+            ? this.parseArgument(fallbackPart)
+            : defaultFilter ? defaultFilter.args[0] : undefined;
+
+        return {
+            path: path.trim(),
+            fallback,
+            filters
+        };
+    }
+
+    /**
+     * Apply a filter chain to a value
+     * @param {*} value - Value from config
+     * @param {Object[]} filters - Filters from parseExpression
+     * @param {Object} [context] - Render context ({ locale }) passed to filters as this
+     * @returns {*} - Filtered value
+     */
+    static apply(value, filters, context = {}) {
+        return filters.reduce((current, filter) => {
+            const fn = this.registry.get(filter.name);
+            if (!fn) {
+                throw new Error(`Unknown filter '${filter.name}'`);
+            }
+            return fn.call(context, current, ...filter.args);
+        }, value);
+    }
+
+    /**
+     * Get the locale a filter should format for
+     * @param {Object} [context] - Render context
+     * @returns {string} - The context's locale, or en-US
+     */
+    static getLocale(context) {
+        return context?.locale || 'en-US';
+    }
+
+    /**
+     * Split a string on a separator, ignoring separators inside quotes
+     * @param {string} str - String to split
+     * @param {string} separator - Separator text (e.g., '|' or '??')
+     * @returns {string[]} - Parts of the string
+     */
+    static splitOutsideQuotes(str, separator) {
+        const parts = [];
+        let current = '';
+        let quote = null;
+        let i = 0;
+
+        while (i < str.length) {
+            const char = str[i];
+
+            if (quote) {
+                if (char === quote) {
+                    quote = null;
+                }
+            } else if (char === '"' || char === "'") {
+                quote = char;
+            } else if (str.startsWith(separator, i)) {
+                parts.push(current);
+                current = '';
+                i += separator.length;
+                continue;
+            }
+
+            current += char;
+            i++;
+        }
+
+        parts.push(current);
+        return parts;
+    }
+
+    /**
+     * Convert a filter argument to a string, number or boolean
+     * @param {string} arg - Raw argument text
+     * @returns {*} - Parsed argument
+     */
+    static parseArgument(arg) {
+        const trimmed = arg.trim();
+        const quoted = trimmed.match(/^(["'])(.*)\1$/s);
+
+        if (quoted) {
+            return quoted[2];
+        }
+        if (trimmed === 'true' || trimmed === 'false') {
+            return trimmed === 'true';
+        }
+        if (trimmed !== '' && !isNaN(Number(trimmed))) {
+            return Number(trimmed);
+        }
+        return trimmed;
+    }
+
+    /**
+     * Convert a number or numeric string (e.g., '$12,500') to a number
+     * @param {*} value - Value to convert
+     * @returns {number|null} - Parsed number, or null if not numeric
+     */
+    static toNumber(value) {
+        if (typeof value === 'number') {
+            return Number.isFinite(value) ? value : null;
+        }
+        if (typeof value !== 'string') {
+            return null;
+        }
+
+        const cleaned = value.replace(/[$€£,\s]/g, '');
+        if (cleaned === '' || isNaN(Number(cleaned))) {
+            return null;
+        }
+        return Number(cleaned);
+    }
+
+    /**
+     * Convert a Date, ISO date string or date text to a Date
+     * Plain ISO dates (2025-06-10) are read as local dates so they don't shift a day.
+     * @param {*} value - Value to convert
+     * @returns {Date|null} - Parsed date, or null if not a date
+     */
+    static toDate(value) {
+        if (value instanceof Date) {
+            return isNaN(value.getTime()) ? null : value;
+        }
+        if (typeof value !== 'string' && typeof value !== 'number') {
+            return null;
+        }
+
+        const isoDate = typeof value === 'string' && value.trim().match(/^(\d{4})-(\d{2})-(\d{2})$/);
+        const date = isoDate
+            ? new Date(Number(isoDate[1]), Number(isoDate[2]) - 1, Number(isoDate[3]))
+            : new Date(value);
+
+        return isNaN(date.getTime()) ? null : date;
+    }
+
+    /**
+     * Format a date with a pattern such as 'MMMM d, yyyy'
+     * Supported: yyyy, yy, MMMM, MMM, MM, M, dd, d, EEEE, EEE. The patterns
+     * 'full', 'long', 'medium' and 'short' use the locale's own date order
+     * (long is "June 10, 2025" in en-US and "10 de junio de 2025" in es).
+     * @param {Date} date - Date to format
+     * @param {string} pattern - Format pattern
+     * @param {string} locale - Locale for month and weekday names
+     * @returns {string} - Formatted date
+     */
+    static formatDate(date, pattern, locale = 'en-US') {
+        if (['full', 'long', 'medium', 'short'].includes(pattern)) {
+            return new Intl.DateTimeFormat(locale, { dateStyle: pattern }).format(date);
+        }
+
+        const parts = {
+            yyyy: String(date.getFullYear()),
+            yy: String(date.getFullYear()).slice(-2),
+            MMMM: date.toLocaleDateString(locale, { month: 'long' }),
+            MMM: date.toLocaleDateString(locale, { month: 'short' }),
+            MM: String(date.getMonth() + 1).padStart(2, '0'),
+            M: String(date.getMonth() + 1),
+            dd: String(date.getDate()).padStart(2, '0'),
+            d: String(date.getDate()),
+            EEEE: date.toLocaleDateString(locale, { weekday: 'long' }),
+            EEE: date.toLocaleDateString(locale, { weekday: 'short' })
+        };
+
+        return pattern.replace(/yyyy|yy|MMMM|MMM|MM|M|dd|d|EEEE|EEE/g, part => parts[part]);
+    }
+}
+
+// Built-in filters. Values that can't be formatted pass through unchanged,
+// so pre-formatted strings in existing configs keep working.
+
+TokenFilters.register('default', (value, fallback = '') => {
+    const isEmpty = value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+    return isEmpty ? fallback : value;
+});
+
+TokenFilters.register('upper', value => String(value).toUpperCase());
+
+TokenFilters.register('lower', value => String(value).toLowerCase());
+
+TokenFilters.register('capitalize', value => {
+    const str = String(value);
+    return str.charAt(0).toUpperCase() + str.slice(1);
+});
+
+TokenFilters.register('truncate', (value, length = 100, suffix = '…') => {
+    const str = String(value);
+    if (str.length <= length) {
+        return str;
+    }
+
+    // Cut back to the last word boundary when there is one
+    const cut = str.slice(0, length);
+    const lastSpace = cut.lastIndexOf(' ');
+    return (lastSpace > 0 ? cut.slice(0, lastSpace) : cut).replace(/[\s.,;:]+$/, '') + suffix;
+});
+
+TokenFilters.register('currency', function (value, currency = 'USD', locale = TokenFilters.getLocale(this)) {
+    const amount = TokenFilters.toNumber(value);
+    if (amount === null) {
+        return value;
+    }
+
+    return new Intl.NumberFormat(locale, {
+        style: 'currency',
+        currency,
+        minimumFractionDigits: Number.isInteger(amount) ? 0 : 2,
+        maximumFractionDigits: 2
+    }).format(amount);
+});
+
+TokenFilters.register('number', function (value, decimals = 0, locale = TokenFilters.getLocale(this)) {
+    const amount = TokenFilters.toNumber(value);
+    if (amount === null) {
+        return value;
+    }
+
+    return new Intl.NumberFormat(locale, {
+        minimumFractionDigits: decimals,
+        maximumFractionDigits: decimals
+    }).format(amount);
+});
+
+TokenFilters.register('date', function (value, pattern = 'long', locale = TokenFilters.getLocale(this)) {
+    const date = TokenFilters.toDate(value);
+    return date ? TokenFilters.formatDate(date, pattern, locale) : value;
+});
+
+// Markdown output is built from escaped text, so it is marked safe for element text.
+// {{notes | markdown:"inline"}} renders bold and links only, for use inside an existing <p>.
+TokenFilters.register('markdown', (value, mode = 'block') => {
+    const html = mode === 'inline' ? MarkdownRenderer.renderInline(value) : MarkdownRenderer.render(value);
+    return HtmlEscaper.markSafe(html);
+});
+
+export default TokenFilters;
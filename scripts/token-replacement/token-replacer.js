@@ -2,57 +2,80 @@
  * TokenReplacer - Handles generic token replacement with nested object support
  */
 
+import TemplateCompiler from './template-compiler.js';
+import TokenFilters from './token-filters.js';
+import TemplateHelpers from './template-helpers.js';
+import HtmlEscaper from './html-escaper.js';
+
 class TokenReplacer {
     /**
      * Replace all tokens in content with values from config
      * @param {string} content - Template content with {{tokens}}
      * @param {Object} config - Configuration object with values
-     * @param {string[]} tokens - Array of tokens to replace (optional, will extract if not provided)
+     * @param {string[]} [tokens] - Limit replacement to these tokens; all tokens are replaced when omitted
      * @param {Object} options - Replacement options
      * @returns {string} - Content with tokens replaced
      */
     static replaceTokens(content, config, tokens = null, options = {}) {
+        return this.render(TemplateCompiler.compile(content), config, { ...options, tokens });
+    }
+    
+    /**
+     * Render a compiled template in a single pass
+     * Blocks are resolved, loops expanded and tokens filled in one walk of the AST.
+     * @param {Object} template - Compiled template from TemplateCompiler.compile
+     * @param {Object} config - Configuration object with values
+     * @param {Object} options - Replacement options
+     * @returns {string} - Rendered content
+     */
+    static render(template, config, options = {}) {
         const defaultOptions = {
             errorHandling: 'warn', // 'fail', 'warn', 'graceful'
             missingTokenPlaceholder: '[MISSING]',
-            preserveUnknownTokens: false
+            preserveUnknownTokens: false, // Leave unresolved tags in place without reporting them
+            autoEscape: true, // Escape values for their HTML context; {{{token}}} opts out
+            tokens: null, // Optional list of the only top-level tokens to replace
+            locale: null, // Locale for filters and helpers; defaults to config.locale
+            strings: null // String catalog for {{t "key"}} (see StringCatalog)
         };
         
         const opts = { ...defaultOptions, ...options };
-        let result = content;
+        const only = opts.tokens ? new Set(opts.tokens) : null;
+        const renderContext = this.getRenderContext(config, opts);
         const warnings = [];
+        const missing = new Map();
         
-        // Extract tokens if not provided
-        if (!tokens) {
-            // Dynamic import would be needed here, but for simplicity we'll assume tokens are provided
-            // const { default: TokenExtractor } = await import('./token-extractor.js');
-            // tokens = TokenExtractor.extractTokens(content);
-            throw new Error('Tokens must be provided when using TokenReplacer directly');
-        }
-        
-        // Replace each token
-        for (const token of tokens) {
-            const tokenRegex = new RegExp(`\\{\\{\\s*${this.escapeRegex(token)}\\s*\\}\\}`, 'g');
+        const fill = (node, value, name) => {
+            if (value !== undefined) {
+                return this.formatValue(value, node, opts.autoEscape ? node.context : null, renderContext);
+            }
+            if (opts.preserveUnknownTokens) {
+                return node.tag;
+            }
             
-            try {
-                const value = this.getNestedValue(config, token);
-                
-                if (value !== undefined && value !== null) {
-                    result = result.replace(tokenRegex, String(value));
-                } else {
-                    // Handle missing token based on strategy
-                    const handled = this.handleMissingToken(token, opts, warnings);
-                    if (handled.shouldReplace) {
-                        result = result.replace(tokenRegex, handled.replacement);
-                    }
+            // Each missing token is reported once, however often it appears
+            if (!missing.has(name)) {
+                missing.set(name, this.handleMissingToken(name, opts, warnings));
+            }
+            const handled = missing.get(name);
+            return handled.shouldReplace ? handled.replacement : node.tag;
+        };
+        
+        const output = TemplateCompiler.evaluate(template.body, config, {
+            token: (node, scope, inLoop) => {
+                if (only && !inLoop && !only.has(node.path)) {
+                    return node.tag;
                 }
-            } catch (error) {
-                const handled = this.handleMissingToken(token, opts, warnings, error);
-                if (handled.shouldReplace) {
-                    result = result.replace(tokenRegex, handled.replacement);
+                return fill(node, this.resolveValue(node, scope), node.path);
+            },
+            helper: (node, scope, inLoop) => {
+                // Helpers aren't tokens, so a limited replacement leaves them for a later pass
+                if (only && !inLoop) {
+                    return node.tag;
                 }
+                return fill(node, this.resolveHelper(node, scope, renderContext), this.describeHelper(node));
             }
-        }
+        });
         
         // Handle warnings/errors based on strategy
         if (warnings.length > 0) {
@@ -64,42 +87,100 @@ class TokenReplacer {
             // 'graceful' mode just continues silently
         }
         
-        return result;
+        return output;
     }
     
     /**
-     * Get nested value from object using dot notation
-     * @param {Object} obj - Object to traverse
-     * @param {string} path - Dot notation path (e.g., 'payment.amount')
-     * @returns {*} - Value at path, or undefined if not found
+     * Look up a token's value, falling back to its inline default
+     * Like the default filter, {{token ?? "text"}} also replaces an empty string,
+     * which the validator reports as defaulted rather than set.
+     * @param {Object} node - Token node
+     * @param {Object} scope - Values visible to the token
+     * @param {boolean} [useFallback] - Whether {{token ?? "text"}} fallbacks apply
+     * @returns {*} - Value to render, or undefined when the token can't be filled
      */
-    static getNestedValue(obj, path) {
-        if (!obj || typeof obj !== 'object') {
-            return undefined;
-        }
+    static resolveValue(node, scope, useFallback = true) {
+        const value = TemplateCompiler.resolvePath(scope, node.path);
+        const isBlank = typeof value === 'string' && value.trim() === '';
         
-        // Handle simple property access
-        if (!path.includes('.')) {
-            return obj[path];
+        if (value !== undefined && value !== null && !(isBlank && useFallback && node.fallback !== undefined)) {
+            return value;
         }
+        return useFallback ? node.fallback : undefined;
+    }
+    
+    /**
+     * Call a helper with its arguments resolved from scope, falling back to its inline default
+     * @param {Object} node - Helper node
+     * @param {Object} scope - Values visible to the helper's path arguments
+     * @param {Object} renderContext - Render context from getRenderContext
+     * @param {boolean} [useFallback] - Whether {{helper arg ?? "text"}} fallbacks apply
+     * @returns {*} - Value to render, or undefined when an argument or the helper's result is missing
+     */
+    static resolveHelper(node, scope, renderContext, useFallback = true) {
+        const args = node.args.map(arg => ('path' in arg ? TemplateCompiler.resolvePath(scope, arg.path) : arg.value));
+        const fallback = useFallback ? node.fallback : undefined;
         
-        // Handle nested property access
-        const parts = path.split('.');
-        let current = obj;
-        
-        for (const part of parts) {
-            if (current === null || current === undefined) {
-                return undefined;
-            }
-            
-            if (typeof current !== 'object') {
-                return undefined;
-            }
-            
-            current = current[part];
+        if (args.some(arg => arg === undefined || arg === null)) {
+            return fallback;
         }
+        return TemplateHelpers.call(node.name, args, renderContext) ?? fallback;
+    }
+    
+    /**
+     * Name a helper call for warnings, e.g. 't "commitments.title"'
+     * @param {Object} node - Helper node
+     * @returns {string} - Helper call as written, without braces, fallback or filters
+     */
+    static describeHelper(node) {
+        const args = node.args.map(arg => ('path' in arg ? arg.path : JSON.stringify(arg.value)));
+        return [node.name, ...args].join(' ');
+    }
+    
+    /**
+     * Build the context filters and helpers run with
+     * @param {Object} config - Configuration object
+     * @param {Object} options - Rendering options (locale, strings)
+     * @returns {Object} - { locale, strings }
+     */
+    static getRenderContext(config, options = {}) {
+        return {
+            locale: options.locale || config.locale || null,
+            strings: options.strings || null
+        };
+    }
+    
+    /**
+     * Convert a config value to output text, applying filters and escaping
+     * @param {*} value - Value from config
+     * @param {Object} node - Token node with filters and raw flag
+     * @param {string|null} context - HTML context for escaping ('text', 'attribute', 'url'), or null for none
+     * @param {Object} [renderContext] - Locale and strings passed to filters
+     * @returns {string} - Formatted value
+     */
+    static formatValue(value, node, context = null, renderContext = {}) {
+        const output = TokenFilters.apply(value, node.filters, renderContext);
         
-        return current;
+        return node.raw || !context ? String(output) : HtmlEscaper.escape(output, context);
+    }
+    
+    /**
+     * Determine whether a config value counts as true for block conditions
+     * @param {*} value - Value to test
+     * @returns {boolean} - False for missing, empty or zero values and empty arrays
+     */
+    static isTruthy(value) {
+        return TemplateCompiler.isTruthy(value);
+    }
+    
+    /**
+     * Get nested value from object using dot notation
+     * @param {Object} obj - Object to traverse
+     * @param {string} path - Dot notation path (e.g., 'payment.amount')
+     * @returns {*} - Value at path, or undefined if not found
+     */
+    static getNestedValue(obj, path) {
+        return TemplateCompiler.resolvePath(obj, path);
     }
     
     /**
@@ -140,62 +221,6 @@ class TokenReplacer {
                 return { shouldReplace: false, replacement: '' };
         }
     }
-    
-    /**
-     * Escape special regex characters in token name
-     * @param {string} str - String to escape
-     * @returns {string} - Escaped string
-     */
-    static escapeRegex(str) {
-        return str.replace(/[.*+?^${}()|[\\]\\\\]/g, '\\\\$&');
-    }
-    
-    /**
-     * Preview token replacements without actually replacing
-     * @param {string} content - Template content
-     * @param {Object} config - Configuration object
-     * @param {string[]} tokens - Array of tokens (optional)
-     * @returns {Object} - Preview of what would be replaced
-     */
-    static previewReplacements(content, config, tokens = null) {
-        if (!tokens) {
-            throw new Error('Tokens must be provided when using TokenReplacer directly');
-        }
-        
-        const preview = {
-            tokens: [],
-            missing: [],
-            errors: []
-        };
-        
-        for (const token of tokens) {
-            try {
-                const value = this.getNestedValue(config, token);
-                
-                if (value !== undefined && value !== null) {
-                    preview.tokens.push({
-                        token,
-                        value: String(value),
-                        status: 'found'
-                    });
-                } else {
-                    preview.missing.push({
-                        token,
-                        path: token,
-                        status: 'missing'
-                    });
-                }
-            } catch (error) {
-                preview.errors.push({
-                    token,
-                    error: error.message,
-                    status: 'error'
-                });
-            }
-        }
-        
-        return preview;
-    }
 }
 
 export default TokenReplacer;
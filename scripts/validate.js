@@ -0,0 +1,116 @@
+/**
+ * Validate Script - Check a client config against a template's token schema without rendering
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { TemplateManifest, ConfigValidator, ConfigSchema } from './token-replacement/index.js';
+import { resolveTemplateName, resolveConfigPath } from './lib/template.js';
+import { resolveConfig, loadHolidays } from './lib/config.js';
+import { readConfigFile } from './lib/config-file.js';
+import { reportManifestErrors, reportManifestWarnings, reportUntranslatedStrings } from './lib/validation-report.js';
+import { getDisplayPath } from './lib/utils.js';
+
+// Get __dirname equivalent in ESM
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Load the manifest for a template name or shortcut
+ */
+function loadTemplateManifest(templateName) {
+    const resolvedTemplateName = resolveTemplateName(templateName);
+    const templateDir = path.join(__dirname, '..', 'templates', resolvedTemplateName);
+    if (!fs.existsSync(templateDir)) {
+        throw new Error(`Template directory not found: ${templateDir}`);
+    }
+    return TemplateManifest.load(templateDir);
+}
+
+/**
+ * Validate a config file against a template's schema
+ * Pass { strict: true } to treat placeholder links as errors, as for a production build
+ */
+function validateClientConfig(templateName, configFile, options = {}) {
+    try {
+        const manifest = loadTemplateManifest(templateName);
+        const resolvedConfigPath = resolveConfigPath(configFile);
+
+        console.log(`📋 Template: ${TemplateManifest.describe(manifest)}`);
+        console.log(`📖 Config: ${getDisplayPath(resolvedConfigPath)}`);
+        console.log('');
+
+        const rawConfig = readConfigFile(resolvedConfigPath);
+
+        // Defaults and computed values apply first, exactly as in a build
+        const { config, computed, dates } = resolveConfig(rawConfig, { configPath: resolvedConfigPath, manifest });
+        const validation = ConfigValidator.validateManifest(config, manifest, {
+            computed,
+            dates,
+            strict: options.strict,
+            holidays: loadHolidays()
+        });
+        reportManifestWarnings(validation);
+        const untranslated = reportUntranslatedStrings(path.join(__dirname, '..', 'templates', manifest.name));
+
+        if (!validation.valid) {
+            reportManifestErrors(validation, manifest);
+            console.log(`❌ ${validation.errors.length} problem${validation.errors.length === 1 ? '' : 's'} found`);
+            return { success: false, validation, untranslated };
+        }
+
+        const tokenCount = Object.keys(manifest.tokens).length;
+        console.log(`✅ Config is valid (${tokenCount} token${tokenCount === 1 ? '' : 's'} checked)`);
+        return { success: true, validation, untranslated };
+
+    } catch (error) {
+        console.error('❌ Validation failed:', error.message);
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
+// Command line usage
+function showUsage() {
+    console.log('Usage: node validate.js <template> <config> [--strict]');
+    console.log('       node validate.js <template> --schema [--strict]');
+    console.log('');
+    console.log('Examples:');
+    console.log('  node validate.js timeline-agreement configs/dev/timeline-agreement.json');
+    console.log('  node validate.js discovery-agreement configs/prod/maria.json --strict');
+    console.log('  node validate.js scope-approval --schema > scope-approval.schema.json');
+    console.log('');
+    console.log('Options:');
+    console.log('  --strict  Treat links left as the "#" placeholder as errors, as production builds should');
+}
+
+// Main execution
+const isMainModule = import.meta.url === `file://${process.argv[1]}`;
+
+if (isMainModule) {
+    const args = process.argv.slice(2);
+    const [templateName, configFile] = args.filter(arg => arg === '--schema' || !arg.startsWith('--'));
+    const strict = args.includes('--strict');
+
+    if (!templateName || !configFile) {
+        showUsage();
+        process.exit(1);
+    }
+
+    if (configFile === '--schema') {
+        // Print the generated JSON Schema, e.g. for editor autocompletion
+        try {
+            console.log(JSON.stringify(ConfigSchema.fromManifest(loadTemplateManifest(templateName), { strict }), null, 2));
+        } catch (error) {
+            console.error('❌ Schema generation failed:', error.message);
+            process.exit(1);
+        }
+    } else if (!validateClientConfig(templateName, configFile, { strict }).success) {
+        process.exit(1);
+    }
+}
+
+export { validateClientConfig };
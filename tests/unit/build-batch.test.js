@@ -0,0 +1,134 @@
+/**
+ * Batch Build Tests - Verify CSV rows become client configs and every row is reported
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createTempDir, cleanupTempDir, assertEqual, assertTrue } from '../test-utils.js';
+import { buildBatch, mapColumns, rowToConfig } from '../../scripts/build-batch.js';
+import TemplateManifest from '../../scripts/token-replacement/template-manifest.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const templatesDir = path.join(__dirname, '..', '..', 'templates');
+
+// buildBatch reports progress on the console; keep test output readable
+async function quietly(fn) {
+    const { log, error } = console;
+    console.log = () => {};
+    console.error = () => {};
+    try {
+        return await fn();
+    } finally {
+        Object.assign(console, { log, error });
+    }
+}
+
+async function testRowConfigs(tempDir) {
+    console.log('🧪 Testing row configs...');
+
+    const columns = mapColumns(['Company', 'payment.amount', 'Notes', 'features', 'extends'], { Company: 'client_name', Notes: null });
+    assertEqual(columns.Company, 'client_name', 'Mapped columns fill their token');
+    assertEqual(columns['payment.amount'], 'payment.amount', 'Unmapped columns are token paths');
+    assertEqual(columns.Notes, null, 'Columns mapped to null are ignored');
+
+    const manifest = TemplateManifest.load(path.join(templatesDir, 'scope-approval'));
+    const config = rowToConfig({
+        Company: 'Acme Corp',
+        'payment.amount': '$500',
+        Notes: 'call first',
+        features: 'SEO; Blog\nShop',
+        extends: 'agency.json'
+    }, columns, manifest, tempDir);
+
+    assertEqual(config.payment.amount, '$500', 'Dotted columns become nested values');
+    assertEqual(config.features.join('|'), 'SEO|Blog|Shop', 'List cells split on semicolons and line breaks');
+    assertTrue(!('Notes' in config) && !('notes' in config), 'Ignored columns are left out');
+    assertEqual(config.extends[0], path.join(tempDir, 'agency.json'), 'extends paths are relative to the CSV');
+    assertTrue(!('project_name' in rowToConfig({ project_name: '' }, { project_name: 'project_name' }, manifest, tempDir)), 'Empty cells are left to the defaults');
+
+    console.log('✅ Row config tests passed');
+}
+
+async function testBatch(tempDir) {
+    console.log('🧪 Testing batch builds...');
+
+    const csvFile = path.join(tempDir, 'clients.csv');
+    fs.writeFileSync(csvFile, [
+        'Company,payment.amount,payment.link',
+        'Acme Corp,Pay $500,https://acme.com/pay',
+        'Broken Build LLC,Pay $900,',
+        ',Pay $100,',
+        'Acme Corp,Pay $700,',
+        'Bad Link Co,Pay $300,not a link',
+        'Gappy Inc,Pay $200,'
+    ].join('\n'));
+    const mapFile = path.join(tempDir, 'columns.json');
+    fs.writeFileSync(mapFile, JSON.stringify({ Company: 'client_name' }));
+
+    const calls = [];
+    const builder = async (templateName, configFile, options) => {
+        calls.push({ templateName, config: JSON.parse(fs.readFileSync(configFile, 'utf8')), options });
+        if (configFile.includes('broken-build')) {
+            return { success: false, error: 'Customization failed: disk full' };
+        }
+        const missing = configFile.includes('gappy') ? ['date'] : [];
+        return { success: true, customizeResult: { results: { missing } } };
+    };
+
+    const outputDir = path.join(tempDir, 'batch');
+    const result = await quietly(() => buildBatch('discovery-agreement', csvFile, { mapFile, builder, pdf: false, outputDir }));
+    assertTrue(result.success, 'The batch runs to the end');
+    assertEqual(calls.length, 3, 'Rows that fail their checks are not built');
+    assertEqual(calls[0].templateName, 'discovery-agreement', 'Rows are built with the batch template');
+    assertEqual(calls[0].config.payment.amount, 'Pay $500', 'Row configs hold the mapped values');
+    assertEqual(calls[0].options.pdf, false, 'The PDF option is passed to the builder');
+
+    const byRow = Object.fromEntries(result.rows.map(row => [row.row, row]));
+    assertEqual(byRow[2].status, 'built', 'Good rows are built');
+    assertEqual(byRow[2].output, 'exports/acme-corp/', 'Built rows point at their package');
+    assertEqual(byRow[3].status, 'failed', 'A failed build is recorded and the batch moves on');
+    assertTrue(byRow[3].error.includes('disk full'), 'Build errors are kept');
+    assertEqual(byRow[4].status, 'missing-tokens', 'Rows without a client name are missing tokens');
+    assertEqual(byRow[4].missing.join(','), 'client_name', 'The missing token is named');
+    assertTrue(byRow[5].error.includes('row 2'), 'Duplicate clients are refused');
+    assertTrue(byRow[6].error.includes('payment.link'), 'Invalid values fail the row');
+    assertEqual(byRow[7].status, 'missing-tokens', 'Builds with unfilled slide tokens are flagged');
+    assertTrue(byRow[7].built, 'Those rows are still built');
+
+    const report = JSON.parse(fs.readFileSync(path.join(outputDir, 'report.json'), 'utf8'));
+    assertEqual(JSON.stringify(report.summary), '{"total":6,"built":1,"missing_tokens":2,"failed":3}', 'The report summarizes the batch');
+    assertEqual(report.rows.length, 6, 'The report lists every row');
+    assertTrue(fs.existsSync(path.join(outputDir, 'configs', 'acme-corp.json')), 'Row configs are kept next to the report');
+
+    const missing = await quietly(() => buildBatch('scope-approval', csvFile, { mapFile, builder, outputDir }));
+    assertTrue(missing.rows[0].missing.includes('project_name'), 'Required tokens the CSV lacks are listed');
+
+    // Computed values are checked when they are computed, as in customize: Spanish dates aren't schema dates
+    const scheduleCsv = path.join(tempDir, 'schedules.csv');
+    fs.writeFileSync(scheduleCsv, 'Company,extends\nSpanish Co,spanish.json\n');
+    fs.writeFileSync(path.join(tempDir, 'spanish.json'), JSON.stringify({
+        extends: path.join(__dirname, '..', '..', 'configs', 'dev', 'timeline-agreement.json'),
+        locale: 'es'
+    }));
+    const spanish = await quietly(() => buildBatch('timeline-agreement', scheduleCsv, { mapFile, builder, pdf: false, outputDir }));
+    assertEqual(spanish.rows[0].status, 'built', 'Inherited computed values are not schema-checked again');
+
+    const noFile = await quietly(() => buildBatch('discovery-agreement', path.join(tempDir, 'nope.csv'), { builder, outputDir }));
+    assertEqual(noFile.success, false, 'A missing CSV stops the batch before it starts');
+
+    console.log('✅ Batch build tests passed');
+}
+
+// Run the tests
+const tempDir = createTempDir('build-batch-test-');
+try {
+    await testRowConfigs(tempDir);
+    await testBatch(tempDir);
+    console.log('🎉 All batch build tests passed!');
+} catch (error) {
+    console.error('❌ Batch build test failed:', error.message);
+    process.exit(1);
+} finally {
+    cleanupTempDir(tempDir);
+}
@@ -0,0 +1,124 @@
+/**
+ * Chronology Rules Tests - Verify date ordering rules and business-day checks
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { assertEqual, assertTrue } from '../test-utils.js';
+import ChronologyRules from '../../scripts/token-replacement/chronology-rules.js';
+import ConfigValidator from '../../scripts/token-replacement/config-validator.js';
+import TemplateManifest from '../../scripts/token-replacement/template-manifest.js';
+import { processConfig, resolveConfig } from '../../scripts/lib/config.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const templatesDir = path.join(__dirname, '..', '..', 'templates');
+
+const manifest = {
+    name: 'schedule',
+    title: 'Schedule',
+    file: 'template.json',
+    tokens: {
+        start: { type: 'date', required: true, description: '' },
+        end: { type: 'date', required: true, description: '' },
+        due: { type: 'date', required: false, description: '', business_day: true },
+        launch: { type: 'date', required: false, description: '', business_day: true }
+    },
+    rules: ['start < end', 'due between start and end', 'end <= launch']
+};
+
+async function testParsing() {
+    console.log('🧪 Testing rule parsing...');
+
+    const comparison = ChronologyRules.parse('phase1_end_date<=phase2_start_date');
+    assertEqual(`${comparison.left} ${comparison.operator} ${comparison.right}`, 'phase1_end_date <= phase2_start_date', 'Comparisons are parsed');
+    const between = ChronologyRules.parse(' due between start and end ');
+    assertEqual(between.tokens.join(','), 'due,start,end', 'Betweens list their tokens in order');
+    assertEqual(ChronologyRules.parse('payment.due = launch').left, 'payment.due', 'Dotted tokens are allowed');
+
+    for (const rule of ['start before end', 'start <', 'due between start', 42]) {
+        let error = '';
+        try {
+            ChronologyRules.parse(rule);
+        } catch (e) {
+            error = e.message;
+        }
+        assertTrue(error.includes('must compare two dates'), `${JSON.stringify(rule)} is rejected`);
+    }
+
+    console.log('✅ Rule parsing tests passed');
+}
+
+async function testChecks() {
+    console.log('🧪 Testing rule checks...');
+
+    const inOrder = ChronologyRules.check({ start: '2025-06-10', end: 'June 20, 2025', due: '2025-06-20', launch: '2025-06-20' }, manifest);
+    assertEqual(inOrder.violations.length, 0, 'Dates in order pass, whatever way they are written');
+    assertEqual(inOrder.warnings.length, 0, 'Weekday dates are not flagged');
+
+    const outOfOrder = ChronologyRules.check({ start: '2025-06-20', end: '2025-06-10', due: '2025-06-25', launch: '2025-06-09' }, manifest);
+    assertEqual(outOfOrder.violations.map(violation => violation.rule).join(' | '), 'start < end | due between start and end | end <= launch', 'Each broken rule is reported');
+    assertEqual(outOfOrder.violations[0].message, 'start (2025-06-20) must be before end (2025-06-10)', 'Violations show the dates involved');
+
+    const missing = ChronologyRules.check({ start: '2025-06-10', end: '' }, manifest);
+    assertEqual(missing.violations.length, 0, 'Rules with missing dates are left to the schema');
+
+    const unreadable = ChronologyRules.check({ start: '2025-06-10', end: 'someday' }, manifest);
+    assertEqual(unreadable.violations.map(violation => `${violation.rule}: ${violation.message}`).join(' | '),
+        'start < end: end (someday) is not a date the rule can compare', 'Rules with unreadable dates are broken, not skipped');
+
+    const localized = ChronologyRules.check({ start: '10 de junio de 2025', end: '9 de junio de 2025' }, manifest, { dates: { start: '2025-06-10', end: '2025-06-09' } });
+    assertEqual(localized.violations[0].message, 'start (10 de junio de 2025) must be before end (9 de junio de 2025)', 'ISO days stand in for localized text');
+
+    const holidays = new Map([['2025-07-04', 'Independence Day']]);
+    const flagged = ChronologyRules.check({ start: '2025-06-10', end: '2025-07-04', due: '2025-06-14', launch: 'July 4, 2025' }, manifest, { holidays });
+    assertEqual(flagged.warnings.map(warning => `${warning.token} ${warning.message}`).join(' | '),
+        'due is 2025-06-14, a Saturday | launch is July 4, 2025, Independence Day', 'Business-day dates on weekends and holidays are flagged');
+
+    console.log('✅ Rule check tests passed');
+}
+
+async function testManifestValidation() {
+    console.log('🧪 Testing rules in manifest validation...');
+
+    const validation = ConfigValidator.validateManifest({ start: '2025-06-20', end: '2025-06-10', due: '2025-06-14' }, manifest);
+    assertTrue(!validation.valid, 'Broken rules make a config invalid');
+    assertEqual(validation.violations.length, 2, 'Violations are collected');
+    assertTrue(validation.errors.includes("Rule 'start < end' is broken: start (2025-06-20) must be before end (2025-06-10)"), 'Violations are listed with the errors');
+    assertTrue(validation.warnings.includes("Token 'due' is 2025-06-14, a Saturday, but should be a business day"), 'Weekend dates are warnings');
+
+    // The repository's timeline computes its phases, so the rules see computed dates
+    const templateDir = path.join(templatesDir, 'timeline-agreement');
+    const timeline = TemplateManifest.load(templateDir);
+    const computed = {
+        phase1_start_date: { from: 'start_date', business_days: 0 },
+        phase1_end_date: { from: 'phase1_start_date', business_days: 4 },
+        phase2_start_date: { from: 'phase1_end_date', business_days: 1 }
+    };
+    const config = processConfig({ client_name: 'Acme', start_date: '2025-06-10', computed }, { manifest: timeline, holidays: new Map() });
+    assertEqual(ConfigValidator.validateManifest(config, timeline, { computed: Object.keys(computed) }).violations.length, 0, 'Computed phases follow the rules');
+
+    const pinned = processConfig({ client_name: 'Acme', start_date: '2025-06-10', phase2_start_date: 'June 12, 2025', computed }, { manifest: timeline, holidays: new Map() });
+    const broken = ConfigValidator.validateManifest(pinned, timeline, { computed: Object.keys(computed) });
+    assertEqual(broken.violations[0].rule, 'phase1_end_date < phase2_start_date', 'A date pinned out of order is caught');
+
+    // Spanish decks render computed dates as "16 de junio de 2025", so the rules read their ISO days
+    const spanish = resolveConfig({ client_name: 'Acme', locale: 'es', start_date: '2025-06-10', phase2_start_date: '2025-06-01', computed }, { manifest: timeline, holidays: new Map() });
+    assertEqual(spanish.config.phase1_end_date, '16 de junio de 2025', 'Computed dates render in the locale');
+    assertEqual(spanish.dates.phase1_end_date, '2025-06-16', 'Computed dates are also kept as ISO days');
+    const spanishRules = ConfigValidator.validateManifest(spanish.config, timeline, { computed: Object.keys(computed), dates: spanish.dates });
+    assertEqual(spanishRules.violations.map(violation => violation.rule).join(' | '), 'phase1_end_date < phase2_start_date',
+        'Rules are checked for non-English decks');
+
+    console.log('✅ Manifest rule tests passed');
+}
+
+// Run the tests
+try {
+    await testParsing();
+    await testChecks();
+    await testManifestValidation();
+    console.log('🎉 All chronology rule tests passed!');
+} catch (error) {
+    console.error('❌ Chronology rule test failed:', error.message);
+    process.exit(1);
+}
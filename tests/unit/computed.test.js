@@ -0,0 +1,140 @@
+/**
+ * Computed Config Tests - Verify business-day dates, payment splits and processConfig integration
+ */
+
+import { assertEqual, assertTrue } from '../test-utils.js';
+import { applyComputed, resolveComputed, addBusinessDays } from '../../scripts/lib/computed.js';
+import { processConfig } from '../../scripts/lib/config.js';
+
+async function testBusinessDays() {
+    console.log('🧪 Testing business-day arithmetic...');
+
+    const friday = new Date(2025, 5, 13);
+    const iso = date => `${date.getFullYear()}-${date.getMonth() + 1}-${date.getDate()}`;
+
+    assertEqual(iso(addBusinessDays(friday, 1)), '2025-6-16', 'Weekends are skipped');
+    assertEqual(iso(addBusinessDays(friday, 5)), '2025-6-20', 'A week of business days');
+    assertEqual(iso(addBusinessDays(new Date(2025, 5, 16), -1)), '2025-6-13', 'Negative counts go backwards');
+    assertEqual(iso(addBusinessDays(friday, 0)), '2025-6-13', 'Zero days keeps the date');
+
+    const holidays = new Map([['2025-06-16', 'Company retreat']]);
+    assertEqual(iso(addBusinessDays(friday, 1, holidays)), '2025-6-17', 'Holidays are skipped');
+    assertEqual(applyComputed({ start: '2025-06-13', computed: { next: { from: 'start', business_days: 1, format: 'yyyy-MM-dd' } } }, { holidays }).next,
+        '2025-06-17', 'Computed business days skip holidays');
+
+    console.log('✅ Business-day tests passed');
+}
+
+async function testDates() {
+    console.log('🧪 Testing computed dates...');
+
+    const config = applyComputed({
+        start_date: '2025-06-10',
+        computed: {
+            // Out of order on purpose: entries resolve their dependencies first
+            review_date: { from: 'phase1_end_date', business_days: 2, format: 'EEE, MMM d' },
+            phase1_end_date: { from: 'start_date', business_days: 4 },
+            media_due_date: { from: 'phase1_end_date', days: -2 }
+        }
+    });
+
+    assertEqual(config.phase1_end_date, 'June 16, 2025', 'Dates are formatted like the configs');
+    assertEqual(config.review_date, 'Wed, Jun 18', 'Chained dates can use their own format');
+    assertEqual(config.media_due_date, 'June 14, 2025', 'Calendar days are supported');
+    assertTrue(!('computed' in config), 'The computed section is removed');
+
+    const pinned = applyComputed({
+        start_date: 'June 10, 2025',
+        phase1_end_date: 'June 20, 2025',
+        computed: {
+            phase1_end_date: { from: 'start_date', business_days: 4 },
+            phase2_start_date: { from: 'phase1_end_date', business_days: 1 }
+        }
+    });
+    assertEqual(pinned.phase1_end_date, 'June 20, 2025', 'Values set in the config win');
+    assertEqual(pinned.phase2_start_date, 'June 23, 2025', 'Dependent dates follow a pinned value');
+
+    const spanish = resolveComputed({
+        locale: 'es',
+        start_date: '2025-06-10',
+        total: 1000,
+        computed: {
+            phase1_end_date: { from: 'start_date', business_days: 4 },
+            deposit: { from: 'total', percent: 50 }
+        }
+    });
+    assertEqual(spanish.config.phase1_end_date, '16 de junio de 2025', 'Dates render in the locale');
+    assertEqual(JSON.stringify(spanish.dates), '{"phase1_end_date":"2025-06-16"}', 'Computed dates are reported as ISO days');
+
+    console.log('✅ Computed date tests passed');
+}
+
+async function testAmounts() {
+    console.log('🧪 Testing computed amounts...');
+
+    const config = applyComputed({
+        total_investment: '$12,500',
+        planning_fee: 1500,
+        computed: {
+            development_deposit: { from: 'total_investment', percent: 44 },
+            final_payment: { from: 'total_investment', minus: ['planning_fee', 'development_deposit'] },
+            third: { from: 'total_investment', percent: 33.333 }
+        }
+    });
+
+    assertEqual(config.development_deposit, 5500, 'Percentages of the total');
+    assertEqual(config.final_payment, 5500, 'Remainders subtract other values');
+    assertEqual(config.third, 4166.63, 'Amounts are rounded to cents');
+
+    console.log('✅ Computed amount tests passed');
+}
+
+async function testErrors() {
+    console.log('🧪 Testing computed errors...');
+
+    const errorFor = (computed, config = {}) => {
+        try {
+            applyComputed({ ...config, computed });
+            return '';
+        } catch (error) {
+            return error.message;
+        }
+    };
+
+    assertTrue(errorFor({ a: { from: 'b', days: 1 }, b: { from: 'a', days: 1 } }).includes('cycle: a → b → a'), 'Cycles are reported');
+    assertTrue(errorFor({ end: { from: 'start_date', business_days: 2 } }).includes('"start_date" is not set'), 'Missing sources are reported');
+    assertTrue(errorFor({ end: { from: 'start_date', business_days: 2 } }, { start_date: 'TBD' }).includes('is not a date'), 'Bad dates are reported');
+    assertTrue(errorFor({ end: { from: 'start_date', business_days: 1.5 } }, { start_date: '2025-06-10' }).includes('whole number'), 'Fractional days are rejected');
+    assertTrue(errorFor({ end: 'start_date + 2' }).includes('needs a "from"'), 'Entries must be objects with from');
+
+    console.log('✅ Computed error tests passed');
+}
+
+async function testProcessConfig() {
+    console.log('🧪 Testing processConfig integration...');
+
+    const config = processConfig({
+        client_name: 'Acme',
+        date: 'June 6, 2025',
+        computed: { sign_by_date: { from: 'date', business_days: 5 } }
+    });
+
+    assertEqual(config.sign_by_date, 'June 13, 2025', 'Computed values become normal tokens');
+    assertEqual(config.locale, 'en-US', 'Defaults are still applied');
+    assertEqual(config.payment, undefined, 'Payment details are only filled in for decks that declare them');
+
+    console.log('✅ processConfig integration tests passed');
+}
+
+// Run the tests
+try {
+    await testBusinessDays();
+    await testDates();
+    await testAmounts();
+    await testErrors();
+    await testProcessConfig();
+    console.log('🎉 All computed config tests passed!');
+} catch (error) {
+    console.error('❌ Computed config test failed:', error.message);
+    process.exit(1);
+}
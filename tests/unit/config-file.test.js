@@ -0,0 +1,156 @@
+/**
+ * Config File Tests - Verify JSON, JSON5 and YAML config reading and saving, error locations and path resolution
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { isDeepStrictEqual } from 'util';
+import { createTempDir, cleanupTempDir, assertEqual, assertTrue } from '../test-utils.js';
+import { readConfigFile, saveConfigFile } from '../../scripts/lib/config-file.js';
+import { resolveConfigPath } from '../../scripts/lib/template.js';
+import { resolveExtends } from '../../scripts/lib/extends.js';
+
+function writeFile(dir, name, content) {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, content);
+    return file;
+}
+
+function errorFor(file) {
+    try {
+        readConfigFile(file);
+    } catch (error) {
+        return error.message;
+    }
+    return '';
+}
+
+async function testFormats(tempDir) {
+    console.log('🧪 Testing config formats...');
+
+    const json = readConfigFile(writeFile(tempDir, 'acme.json', '{ "client_name": "Acme", "features": ["SEO"] }'));
+    assertEqual(json.client_name, 'Acme', 'JSON configs are read');
+
+    const json5 = readConfigFile(writeFile(tempDir, 'acme.json5', [
+        '{',
+        '    // Agency notes are allowed',
+        '    client_name: "Acme",',
+        "    features: ['SEO', 'Blog',],",
+        '}'
+    ].join('\n')));
+    assertEqual(json5.client_name, 'Acme', 'JSON5 configs allow comments and unquoted keys');
+    assertEqual(json5.features.join(','), 'SEO,Blog', 'JSON5 configs allow trailing commas');
+
+    const yamlConfig = readConfigFile(writeFile(tempDir, 'acme.yaml', [
+        '# Client config',
+        'client_name: Acme',
+        'start_date: 2025-06-10',
+        'project_objectives: |',
+        '  Launch the new site.',
+        '  Double online sales.',
+        'payment:',
+        '  link: "https://acme.com/pay"'
+    ].join('\n')));
+    assertEqual(yamlConfig.project_objectives, 'Launch the new site.\nDouble online sales.\n', 'YAML configs allow multi-line strings');
+    assertEqual(yamlConfig.start_date, '2025-06-10', 'YAML dates stay text');
+    assertEqual(yamlConfig.payment.link, 'https://acme.com/pay', 'YAML configs nest objects');
+    assertEqual(readConfigFile(writeFile(tempDir, 'acme.yml', 'client_name: Acme')).client_name, 'Acme', '.yml is YAML too');
+
+    console.log('✅ Config format tests passed');
+}
+
+async function testErrors(tempDir) {
+    console.log('🧪 Testing config syntax errors...');
+
+    const jsonError = errorFor(writeFile(tempDir, 'broken.json', '{\n  "client_name": "Acme"\n  "locale": "en-US"\n}'));
+    assertTrue(jsonError.includes('broken.json:3:3 is not valid JSON'), `JSON errors give the line and column: ${jsonError.split('\n')[0]}`);
+    assertTrue(jsonError.includes('> 3 |   "locale": "en-US"'), 'JSON errors show the offending line');
+
+    const json5Error = errorFor(writeFile(tempDir, 'broken.json5', "{\n  client_name: 'Acme',\n  locale: @\n}"));
+    assertTrue(json5Error.includes('broken.json5:3:11 is not valid JSON5'), `JSON5 errors give the line and column: ${json5Error.split('\n')[0]}`);
+
+    const yamlError = errorFor(writeFile(tempDir, 'broken.yaml', 'client_name: Acme\npayment:\n  link: one\n link: two\n'));
+    assertTrue(/broken\.yaml:4:\d+ is not valid YAML/.test(yamlError), `YAML errors give the line and column: ${yamlError.split('\n')[0]}`);
+
+    assertTrue(errorFor(writeFile(tempDir, 'list.yaml', '- Acme\n- Beta\n')).includes('must hold an object'), 'Configs must be objects');
+    assertTrue(errorFor(path.join(tempDir, 'missing.yaml')).includes('Config file not found'), 'Missing files are reported');
+
+    console.log('✅ Config syntax error tests passed');
+}
+
+async function testRoundTrip(tempDir) {
+    console.log('🧪 Testing config round trips...');
+
+    // Text that other YAML and JSON5 readers turn into numbers, booleans, dates or null
+    const tricky = {
+        client_name: 'María González, "Café" Esperanza',
+        start_date: '2025-06-10',
+        code: '010',
+        approved: 'yes',
+        empty: '',
+        missing: 'null',
+        notes: 'Line one\nLine two\n',
+        total: 12500.5,
+        features: ['SEO', '0x1F', 'on'],
+        payment: { link: 'https://acme.com/pay?x=1#top', provider: 'Bonsai' }
+    };
+    const sources = {
+        'round.json': JSON.stringify({ client_name: 'Acme', payment: { link: '#' } }, null, 2),
+        'round.json5': "// Acme\n{\n  client_name: 'Acme', // legal name\n  payment: { link: '#' },\n}\n",
+        'round.yaml': '# Acme\nclient_name: Acme # legal name\nstart_date: 2025-06-10\ncode: 010\npayment:\n  link: "#"\n'
+    };
+
+    for (const [name, source] of Object.entries(sources)) {
+        const file = writeFile(tempDir, name, source);
+        const read = readConfigFile(file);
+        saveConfigFile(file, read);
+        assertTrue(isDeepStrictEqual(readConfigFile(file), read), `${name} reads back the same after an unchanged save`);
+
+        saveConfigFile(file, tricky);
+        assertTrue(isDeepStrictEqual(readConfigFile(file), tricky), `${name} reads back the values saved over it`);
+        saveConfigFile(file, { ...tricky, code: '011' });
+        assertEqual(readConfigFile(file).code, '011', `${name} can be saved again after that`);
+
+        const fresh = path.join(tempDir, `fresh-${name}`);
+        saveConfigFile(fresh, tricky);
+        assertTrue(isDeepStrictEqual(readConfigFile(fresh), tricky), `A new ${name} reads back the values saved into it`);
+    }
+    assertEqual(readConfigFile(writeFile(tempDir, 'code.yaml', 'code: 010\n')).code, 10, 'YAML numbers are read as the core schema reads them');
+
+    console.log('✅ Config round trip tests passed');
+}
+
+async function testResolution(tempDir) {
+    console.log('🧪 Testing config path resolution...');
+
+    const clientsDir = path.join(tempDir, 'clients');
+    fs.mkdirSync(clientsDir);
+    writeFile(clientsDir, 'acme.yaml', 'client_name: Acme\n');
+    writeFile(clientsDir, 'beta.json5', '{ extends: "./acme", locale: "es" }');
+
+    assertEqual(resolveConfigPath(path.join(clientsDir, 'acme')), path.join(clientsDir, 'acme.yaml'), 'Configs are found whatever their extension');
+    assertEqual(resolveConfigPath('./acme', clientsDir), path.join(clientsDir, 'acme.yaml'), 'Relative names are found too');
+    assertEqual(resolveConfigPath(path.join(clientsDir, 'gamma')), path.join(clientsDir, 'gamma.json'), 'Unknown configs fall back to .json');
+    assertEqual(resolveConfigPath('maria'), 'configs/maria.json', 'Bare names still point into configs/');
+
+    const betaPath = path.join(clientsDir, 'beta.json5');
+    const { config } = resolveExtends(readConfigFile(betaPath), betaPath);
+    assertEqual(`${config.client_name}/${config.locale}`, 'Acme/es', 'Configs can extend configs in other formats');
+
+    console.log('✅ Config path resolution tests passed');
+}
+
+// Run the tests
+const tempDir = createTempDir('config-file-test-');
+try {
+    await testFormats(tempDir);
+    await testErrors(tempDir);
+    await testRoundTrip(tempDir);
+    await testResolution(tempDir);
+    console.log('🎉 All config file tests passed!');
+} catch (error) {
+    console.error('❌ Config file test failed:', error.message);
+    process.exit(1);
+} finally {
+    cleanupTempDir(tempDir);
+}
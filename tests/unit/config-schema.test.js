@@ -0,0 +1,196 @@
+/**
+ * Config Schema Tests - Verify JSON Schema generation from template manifests and config validation
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { assertEqual, assertTrue } from '../test-utils.js';
+import TemplateManifest from '../../scripts/token-replacement/template-manifest.js';
+import ConfigSchema from '../../scripts/token-replacement/config-schema.js';
+import ConfigValidator from '../../scripts/token-replacement/config-validator.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const templatesDir = path.join(__dirname, '..', '..', 'templates');
+
+// JSON Schema 2020-12 keywords and formats, so other validators read printed schemas the same way
+const STANDARD_KEYWORDS = ['$schema', '$comment', 'title', 'description', 'type', 'properties', 'required', 'items', 'minItems', 'minLength', 'pattern', 'format', 'examples', 'default'];
+const STANDARD_FORMATS = ['date-time', 'date', 'time', 'duration', 'email', 'idn-email', 'hostname', 'idn-hostname', 'ipv4', 'ipv6',
+    'uri', 'uri-reference', 'iri', 'iri-reference', 'uuid', 'uri-template', 'json-pointer', 'relative-json-pointer', 'regex'];
+
+const manifest = {
+    name: 'welcome',
+    title: 'Welcome Deck',
+    file: 'template.json',
+    tokens: {
+        client_name: { type: 'string', required: true, description: 'Client name', example: 'Acme' },
+        'payment.link': { type: 'url', required: true, description: 'Payment page', example: 'https://acme.com/pay' },
+        'payment.note': { type: 'string', required: false, description: '' },
+        total: { type: 'currency', required: true, description: '' },
+        weeks: { type: 'number', required: false, description: '' },
+        launch: { type: 'date', required: false, description: '' },
+        contact: { type: 'email', required: false, description: '' },
+        phone: { type: 'phone', required: false, description: '' },
+        features: { type: 'array', required: true, description: '' },
+        rush: { type: 'boolean', required: false, description: '' }
+    }
+};
+
+async function testSchemaGeneration() {
+    console.log('🧪 Testing schema generation...');
+
+    const schema = ConfigSchema.fromManifest(manifest);
+
+    assertEqual(schema.$schema, 'https://json-schema.org/draft/2020-12/schema', 'Schemas declare their draft');
+    assertEqual(schema.title, 'Welcome Deck config', 'Schemas are titled after the template');
+    assertEqual(schema.required.join(','), 'client_name,payment,total,features', 'Required tokens are required properties');
+    assertEqual(schema.properties.payment.type, 'object', 'Dotted tokens become nested objects');
+    assertEqual(schema.properties.payment.required.join(','), 'link', 'Nested required tokens are required in their object');
+    assertEqual(schema.properties.payment.properties.link['x-format'], 'https-url-or-placeholder', 'URLs allow the placeholder link');
+    assertEqual(schema.properties.payment.properties.link.format, 'uri-reference', 'The placeholder is a standard URI reference');
+    const strictLink = ConfigSchema.fromManifest(manifest, { strict: true }).properties.payment.properties.link;
+    assertEqual(`${strictLink.format} ${strictLink['x-format']}`, 'uri https-url', 'Strict URLs must be real links');
+    assertEqual(schema.properties.phone['x-format'], 'phone', 'Phones use the phone check');
+    assertEqual(schema.properties.contact.format, 'email', 'Emails use the standard email format');
+    assertEqual(`${schema.properties.launch.format} ${schema.properties.launch['x-format']}`, 'undefined date', 'Date text is not claimed as an RFC 3339 date');
+    assertEqual(JSON.stringify(schema.properties.client_name.examples), '["Acme"]', 'Examples are carried over');
+    assertEqual(schema.properties.client_name.description, 'Client name', 'Descriptions are carried over');
+    assertEqual(schema.properties.payment.properties.link.description, 'Payment page ("#" is accepted as a placeholder; --strict rejects it)',
+        'Links that accept the placeholder say so');
+    assertEqual(strictLink.description, 'Payment page', 'Strict links keep their own description');
+    assertEqual(schema.properties.features.minItems, 1, 'Required lists must not be empty');
+    assertTrue(!('total' in ConfigSchema.fromManifest(manifest, { skip: ['total'] }).properties), 'Skipped tokens are left out');
+
+    console.log('✅ Schema generation tests passed');
+}
+
+async function testStandardKeywords() {
+    console.log('🧪 Testing printed schemas use standard keywords...');
+
+    const unknown = [];
+    const walk = (schema, where) => {
+        for (const [keyword, value] of Object.entries(schema)) {
+            if (!STANDARD_KEYWORDS.includes(keyword) && !keyword.startsWith('x-')) {
+                unknown.push(`${where} ${keyword}`);
+            }
+        }
+        if (schema.format !== undefined && !STANDARD_FORMATS.includes(schema.format)) {
+            unknown.push(`${where} format ${schema.format}`);
+        }
+        for (const [name, property] of Object.entries(schema.properties || {})) {
+            walk(property, `${where}.${name}`);
+        }
+        if (schema.items) {
+            walk(schema.items, `${where}[]`);
+        }
+    };
+
+    const templates = fs.readdirSync(templatesDir).filter(name => fs.existsSync(path.join(templatesDir, name, TemplateManifest.FILE_NAME)));
+    for (const source of [manifest, ...templates.map(name => TemplateManifest.load(path.join(templatesDir, name)))]) {
+        for (const strict of [false, true]) {
+            walk(ConfigSchema.fromManifest(source, { strict }), `${source.name}${strict ? ' (strict)' : ''}`);
+        }
+    }
+    assertEqual(unknown.join(' | '), '', 'Only JSON Schema keywords and formats, or x- keywords, are printed');
+
+    console.log('✅ Standard keyword tests passed');
+}
+
+async function testValidation() {
+    console.log('🧪 Testing schema validation...');
+
+    const schema = ConfigSchema.fromManifest(manifest);
+    const errorsFor = config => ConfigSchema.validate(config, schema).map(error => `${error.path}: ${error.message}`);
+
+    assertEqual(errorsFor({
+        client_name: 'Acme',
+        payment: { link: '#' },
+        total: '$12,500',
+        weeks: '5',
+        launch: 'June 10, 2025',
+        contact: 'hello@acme.com',
+        phone: '+1 (313) 286-5991',
+        features: ['SEO'],
+        rush: false
+    }).length, 0, 'A matching config has no errors');
+
+    assertEqual(errorsFor({ client_name: '', payment: {}, total: 12500, features: [] }).join(' | '),
+        'client_name: must not be empty | payment.link: is required | features: must not be empty',
+        'Missing and empty values are reported with their paths');
+    assertEqual(errorsFor({ client_name: 'Acme', total: 100, features: ['x'] }).join(' | '),
+        'payment: is required',
+        'A missing parent object is reported once');
+
+    const typeErrors = errorsFor({
+        client_name: ['Acme'],
+        payment: { link: 'acme.com/pay', note: null },
+        total: 'lots',
+        weeks: 'five',
+        launch: 'someday',
+        contact: 'acme.com',
+        features: 'SEO',
+        rush: 'yes'
+    });
+    assertEqual(typeErrors.join(' | '), [
+        'client_name: must be text or a number (got array)',
+        "payment.link: must be an https:// URL (got 'acme.com/pay')",
+        'payment.note: must be text or a number (got null)',
+        "total: must be an amount (got 'lots')",
+        "weeks: must be a number (got 'five')",
+        'launch: must be a date such as 2025-06-10 or "June 10, 2025" (got \'someday\')',
+        "contact: must be an email address (got 'acme.com')",
+        "features: must be a list (got 'SEO')",
+        "rush: must be true or false (got 'yes')"
+    ].join(' | '), 'Wrong types and formats are reported with what was expected');
+
+    const formatErrors = (type, values) => values.filter(value => ConfigSchema.validate(value, ConfigSchema.forToken({ type })).length > 0);
+    assertEqual(formatErrors('date', ['2025-06-10', 'June 10, 2025', 'Tuesday, June 10, 2025', '10 June 2025', 'Jun 10, 2025', '2025-02-30', 'June 31, 2025', '5', 'June 10']).join(' | '),
+        '2025-02-30 | June 31, 2025 | 5 | June 10', 'Dates must exist and name their year');
+    assertEqual(formatErrors('currency', ['$12,500', '12500', '€1,250.50', '-20', '1,2,3', '$12.345', '12,50']).join(' | '),
+        '1,2,3 | $12.345 | 12,50', 'Amounts group thousands in threes and have at most cents');
+    assertEqual(formatErrors('email', ['sarah@brillnt.com', "o'neil+deck@mail.acme.co.uk", 'sarah', 'sarah@brillnt', 'sa rah@brillnt.com', 'sarah..j@brillnt.com', 'sarah@-brillnt.com', `${'a'.repeat(65)}@brillnt.com`]).length,
+        6, 'Emails need a valid local part and domain');
+    assertEqual(formatErrors('phone', ['+13132865991', '(313) 286-5991', '313.286.5991', '+44 20 7946 0958', '313-286-5991 ext. 12', '286-59', '+1 (313 286-5991', 'call me', '1+313 286 5991']).join(' | '),
+        '286-59 | +1 (313 286-5991 | call me | 1+313 286 5991', 'Phones have 7 to 15 digits and an optional leading +');
+    assertEqual(formatErrors('url', ['https://acme.com/pay?id=1', '#', 'http://acme.com/pay', 'mailto:hi@acme.com', '/pay', 'https://acme', 'https://acme.com/pay now']).join(' | '),
+        'http://acme.com/pay | mailto:hi@acme.com | /pay | https://acme | https://acme.com/pay now', 'Links are absolute https URLs or the placeholder');
+    assertEqual(ConfigSchema.validate('#', ConfigSchema.forToken({ type: 'url' }, { strict: true }))[0].message, "must be an https:// URL (got '#')", 'Strict links reject the placeholder');
+
+    const listSchema = { type: 'object', properties: { phases: { type: 'array', items: { type: 'object', required: ['name'] } } } };
+    assertEqual(ConfigSchema.validate({ phases: [{ name: 'Design' }, {}] }, listSchema)[0].path, 'phases[1].name', 'List items have indexed paths');
+
+    console.log('✅ Schema validation tests passed');
+}
+
+async function testManifestValidation() {
+    console.log('🧪 Testing config validation against a manifest...');
+
+    const validation = ConfigValidator.validateManifest({ payment: { link: 'nope' }, total: 500, features: ['x'] }, manifest);
+    assertEqual(validation.missing.map(entry => entry.token).join(','), 'client_name', 'Missing tokens are collected');
+    assertEqual(validation.missing[0].example, 'Acme', 'Missing tokens carry their example');
+    assertEqual(validation.invalid[0].token, 'payment.link', 'Invalid values are collected by path');
+    assertEqual(validation.invalid[0].value, 'nope', 'Invalid values are included');
+    assertEqual(validation.errors[1], "Token 'payment.link' must be an https:// URL (got 'nope')", 'Errors name the token path');
+
+    const computed = ConfigValidator.validateManifest({ client_name: 'Acme', payment: { link: '#' }, total: '12.500,00 €', features: ['x'] }, manifest, { computed: ['total'] });
+    assertTrue(computed.valid, 'Computed values are not checked again');
+    assertEqual(computed.warnings[0], 'Token \'payment.link\' is still the "#" placeholder (--strict makes this an error)', 'Placeholder links are warnings');
+
+    const strict = ConfigValidator.validateManifest({ client_name: 'Acme', payment: { link: '#' }, total: 100, features: ['x'] }, manifest, { strict: true });
+    assertEqual(strict.invalid.map(entry => entry.token).join(','), 'payment.link', 'Strict validation rejects placeholder links');
+    assertEqual(strict.warnings.length, 0, 'Strict validation does not also warn');
+
+    console.log('✅ Manifest validation tests passed');
+}
+
+// Run the tests
+try {
+    await testSchemaGeneration();
+    await testStandardKeywords();
+    await testValidation();
+    await testManifestValidation();
+    console.log('🎉 All config schema tests passed!');
+} catch (error) {
+    console.error('❌ Config schema test failed:', error.message);
+    process.exit(1);
+}
@@ -0,0 +1,139 @@
+/**
+ * Config Tests - Verify shared, template and agency defaults in processConfig
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createTempDir, cleanupTempDir, assertEqual, assertTrue } from '../test-utils.js';
+import TemplateManifest from '../../scripts/token-replacement/template-manifest.js';
+import { processConfig, fillDefaults, getTemplateDefaults, loadAgencyDefaults, loadHolidays } from '../../scripts/lib/config.js';
+
+const manifest = {
+    name: 'welcome',
+    title: 'Welcome Deck',
+    file: 'template.json',
+    tokens: {
+        client_name: { type: 'string', required: true, description: '' },
+        'payment.provider': { type: 'string', required: true, description: '', default: 'Bonsai' },
+        'payment.link': { type: 'url', required: true, description: '', default: '#' },
+        video_platform: { type: 'string', required: false, description: '', default: 'Zoom' }
+    }
+};
+
+async function testFillDefaults() {
+    console.log('🧪 Testing default filling...');
+
+    const filled = fillDefaults(
+        { client_name: 'Acme', payment: { provider: '', link: 'https://acme.com/pay' }, features: [] },
+        { payment: { provider: 'Bonsai', link: '#', amount: 'Pay $1,000' }, features: ['SEO'] }
+    );
+
+    assertEqual(filled.payment.provider, 'Bonsai', 'Empty strings are filled');
+    assertEqual(filled.payment.link, 'https://acme.com/pay', 'Set values are kept');
+    assertEqual(filled.payment.amount, 'Pay $1,000', 'Nested objects are filled key by key');
+    assertEqual(filled.features.length, 0, 'Lists are values, not merged');
+    assertEqual(JSON.stringify(getTemplateDefaults(manifest)), '{"payment":{"provider":"Bonsai","link":"#"},"video_platform":"Zoom"}', 'Template defaults nest dotted tokens');
+
+    console.log('✅ Default filling tests passed');
+}
+
+async function testProcessConfig() {
+    console.log('🧪 Testing defaults in processConfig...');
+
+    const plain = processConfig({ client_name: 'Acme' }, { agencyDefaults: {} });
+    assertEqual(plain.payment, undefined, 'Decks without payment tokens get no payment defaults');
+    assertEqual(plain.locale, 'en-US', 'Shared defaults still apply');
+    assertTrue(typeof plain.date === 'string' && plain.date.length > 0, 'The date defaults to today');
+
+    const deck = processConfig({ client_name: 'Acme', payment: { link: 'https://acme.com/pay' } }, { manifest, agencyDefaults: {} });
+    assertEqual(deck.payment.provider, 'Bonsai', 'Template defaults fill missing tokens');
+    assertEqual(deck.payment.link, 'https://acme.com/pay', 'Config values win over template defaults');
+
+    const agency = processConfig({ client_name: 'Acme', video_platform: 'Meet' }, {
+        manifest,
+        agencyDefaults: { locale: 'es', payment: { provider: 'FreshBooks' }, video_platform: 'Teams' }
+    });
+    assertEqual(agency.payment.provider, 'FreshBooks', 'Agency defaults win over template defaults');
+    assertEqual(agency.payment.link, '#', 'Template defaults fill what the agency leaves out');
+    assertEqual(agency.video_platform, 'Meet', 'Config values win over agency defaults');
+    assertEqual(agency.locale, 'es', 'Agency defaults win over shared defaults');
+
+    let error = '';
+    try {
+        processConfig({}, { agencyDefaults: {} });
+    } catch (e) {
+        error = e.message;
+    }
+    assertTrue(error.includes('client_name is required'), 'client_name is still required for every deck');
+    assertTrue(!error.includes('payment'), 'Payment details are not demanded');
+
+    console.log('✅ processConfig default tests passed');
+}
+
+async function testDefaultsFiles(tempDir) {
+    console.log('🧪 Testing agency defaults files and manifest defaults...');
+
+    const file = path.join(tempDir, 'defaults.json');
+    assertEqual(JSON.stringify(loadAgencyDefaults(file)), '{}', 'A missing defaults file means no defaults');
+
+    fs.writeFileSync(file, JSON.stringify({ payment: { provider: 'FreshBooks' } }));
+    assertEqual(loadAgencyDefaults(file).payment.provider, 'FreshBooks', 'The defaults file is read');
+
+    fs.writeFileSync(file, '["not", "an", "object"]');
+    let error = '';
+    try {
+        loadAgencyDefaults(file);
+    } catch (e) {
+        error = e.message;
+    }
+    assertTrue(error.includes('must hold an object'), 'Defaults files must hold an object');
+
+    const yamlFile = path.join(tempDir, 'defaults.yaml');
+    fs.writeFileSync(yamlFile, '# Agency-wide values\npayment:\n  provider: Bonsai\n');
+    assertEqual(loadAgencyDefaults(yamlFile).payment.provider, 'Bonsai', 'Defaults can be written in YAML');
+    fs.writeFileSync(yamlFile, 'payment:\n  provider: [Bonsai\n');
+    try {
+        loadAgencyDefaults(yamlFile);
+        error = '';
+    } catch (e) {
+        error = e.message;
+    }
+    assertTrue(/defaults\.yaml:\d+:\d+ is not valid YAML/.test(error), 'Syntax errors in defaults files give the line');
+
+    const holidaysFile = path.join(tempDir, 'holidays.yaml');
+    assertEqual(loadHolidays(holidaysFile).size, 0, 'A missing holidays file means no holidays');
+    fs.writeFileSync(holidaysFile, '2025-07-04: Independence Day\n2025-12-25: Christmas Day\n');
+    assertEqual(loadHolidays(holidaysFile).get('2025-07-04'), 'Independence Day', 'Holidays are read by ISO date');
+    fs.writeFileSync(holidaysFile, '2025-02-30: Leap day\nJuly 4: Independence Day\n');
+    try {
+        loadHolidays(holidaysFile);
+        error = '';
+    } catch (e) {
+        error = e.message;
+    }
+    assertTrue(error.includes("'2025-02-30' is not a date") && error.includes("'July 4' is not a date"), 'Holidays must be real ISO dates');
+
+    const errors = TemplateManifest.validate({
+        title: 'Welcome',
+        slides: ['00-cover.html'],
+        tokens: { start_date: { type: 'date', default: 'soon' }, weeks: { type: 'number', default: 5 } }
+    }, tempDir);
+    assertTrue(errors.some(message => message.startsWith('tokens.start_date.default must be a date')), 'Defaults must match their token type');
+    assertTrue(!errors.some(message => message.startsWith('tokens.weeks')), 'Matching defaults are accepted');
+
+    console.log('✅ Defaults file tests passed');
+}
+
+// Run the tests
+const tempDir = createTempDir('config-test-');
+try {
+    await testFillDefaults();
+    await testProcessConfig();
+    await testDefaultsFiles(tempDir);
+    console.log('🎉 All config tests passed!');
+} catch (error) {
+    console.error('❌ Config test failed:', error.message);
+    process.exit(1);
+} finally {
+    cleanupTempDir(tempDir);
+}
@@ -0,0 +1,54 @@
+/**
+ * CSV Tests - Verify parsing of spreadsheet and CRM exports
+ */
+
+import { assertEqual, assertTrue } from '../test-utils.js';
+import { parseCsv, readCsvRecords } from '../../scripts/lib/csv.js';
+
+async function testParsing() {
+    console.log('🧪 Testing CSV parsing...');
+
+    const rows = parseCsv('\uFEFFname,notes\r\n"Acme, Inc.","Said ""hi""\nthen left"\r\n\r\nBeta,\n');
+    assertEqual(rows.length, 3, 'Blank lines are skipped');
+    assertEqual(rows[0].fields.join('|'), 'name|notes', 'A leading BOM is dropped');
+    assertEqual(rows[1].fields[0], 'Acme, Inc.', 'Quoted fields keep their delimiters');
+    assertEqual(rows[1].fields[1], 'Said "hi"\nthen left', 'Doubled quotes and line breaks survive inside quotes');
+    assertEqual(rows[2].line, 5, 'Rows know the line they start on');
+    assertEqual(rows[2].fields.join('|'), 'Beta|', 'Trailing empty fields are kept');
+
+    assertEqual(parseCsv('a;b\n1;2').map(row => row.fields.join('|')).join(' '), 'a|b 1|2', 'Semicolon delimiters are detected');
+    assertEqual(parseCsv('a\tb\n1\t2')[1].fields[1], '2', 'Tab delimiters are detected');
+    assertEqual(parseCsv('a,b\n1;2', { delimiter: ';' })[1].fields.length, 2, 'The delimiter can be given');
+
+    let error = null;
+    try {
+        parseCsv('a,b\n1,"open\n');
+    } catch (caught) {
+        error = caught;
+    }
+    assertTrue(error && error.message.includes('line 2'), 'Unclosed quotes are reported with their line');
+
+    console.log('✅ CSV parsing tests passed');
+}
+
+async function testRecords() {
+    console.log('🧪 Testing CSV records...');
+
+    const { columns, records } = readCsvRecords(' client_name , payment.amount\nAcme, $500 \nBeta\n');
+    assertEqual(columns.join('|'), 'client_name|payment.amount', 'Header names are trimmed');
+    assertEqual(records[0].values['payment.amount'], '$500', 'Values are keyed by column and trimmed');
+    assertEqual(records[1].values['payment.amount'], '', 'Short rows get empty values');
+    assertEqual(readCsvRecords('').records.length, 0, 'Empty files have no records');
+
+    console.log('✅ CSV record tests passed');
+}
+
+// Run the tests
+try {
+    await testParsing();
+    await testRecords();
+    console.log('🎉 All CSV tests passed!');
+} catch (error) {
+    console.error('❌ CSV test failed:', error.message);
+    process.exit(1);
+}
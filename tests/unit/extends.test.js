@@ -0,0 +1,138 @@
+/**
+ * Extends Tests - Verify config inheritance, array directives and value sources
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createTempDir, cleanupTempDir, assertEqual, assertTrue } from '../test-utils.js';
+import { resolveExtends, mergeConfig } from '../../scripts/lib/extends.js';
+import { resolveConfig } from '../../scripts/lib/config.js';
+
+function writeConfig(dir, name, config) {
+    const file = path.join(dir, name);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(config));
+    return file;
+}
+
+async function testMerging() {
+    console.log('🧪 Testing config merging...');
+
+    const sources = {};
+    const merged = mergeConfig(
+        { payment: { provider: 'Bonsai', link: '#' }, features: ['SEO'], phases: ['Design'] },
+        { payment: { link: 'https://acme.com/pay' }, features: ['Blog'], phases: { $append: ['Build'], $prepend: ['Discovery'] } },
+        sources,
+        () => 'client.json'
+    );
+
+    assertEqual(merged.payment.provider, 'Bonsai', 'Objects merge key by key');
+    assertEqual(merged.payment.link, 'https://acme.com/pay', 'Overrides win');
+    assertEqual(merged.features.join(','), 'Blog', 'Arrays replace by default');
+    assertEqual(merged.phases.join(','), 'Discovery,Design,Build', '$append and $prepend extend the inherited array');
+    assertEqual(JSON.stringify(mergeConfig({}, { features: { $append: ['SEO'] } }, {}, () => '')), '{"features":["SEO"]}', 'Appending to nothing starts a new array');
+
+    console.log('✅ Config merging tests passed');
+}
+
+async function testExtends(tempDir) {
+    console.log('🧪 Testing extends chains...');
+
+    writeConfig(tempDir, 'agency.json', { locale: 'en-US', payment: { provider: 'Bonsai', link: '#' }, features: ['SEO'] });
+    writeConfig(tempDir, 'packages/standard-website.json', { extends: '../agency.json', features: { $append: ['Blog'] }, video_platform: 'Zoom' });
+    const clientPath = writeConfig(tempDir, 'clients/acme.json', {
+        extends: ['../agency.json', '../packages/standard-website.json'],
+        client_name: 'Acme',
+        payment: { link: 'https://acme.com/pay' }
+    });
+
+    const { config, sources } = resolveExtends(JSON.parse(fs.readFileSync(clientPath, 'utf8')), clientPath);
+    assertEqual(config.extends, undefined, 'extends is not part of the merged config');
+    assertEqual(config.client_name, 'Acme', 'Own values are kept');
+    assertEqual(config.payment.provider, 'Bonsai', 'Base values are inherited');
+    assertEqual(config.payment.link, 'https://acme.com/pay', 'Own values win over bases');
+    assertEqual(config.video_platform, 'Zoom', 'Later bases add their values');
+    assertEqual(config.features.join(','), 'SEO,Blog', 'Bases can extend inherited arrays');
+    assertTrue(sources['payment.provider'].endsWith('agency.json'), 'Inherited values name their file');
+    assertTrue(sources['payment.link'].endsWith('acme.json'), 'Own values name the config itself');
+    assertTrue(sources.features.includes('agency.json + ') && sources.features.endsWith('standard-website.json'), 'Extended arrays name every file involved');
+
+    console.log('✅ Extends chain tests passed');
+}
+
+async function testExtendsErrors(tempDir) {
+    console.log('🧪 Testing extends errors...');
+
+    const errorFor = (config, file) => {
+        try {
+            resolveExtends(config, file);
+        } catch (error) {
+            return error.message;
+        }
+        return '';
+    };
+
+    const loopPath = writeConfig(tempDir, 'loop-a.json', { extends: './loop-b.json' });
+    writeConfig(tempDir, 'loop-b.json', { extends: './loop-a.json' });
+    assertTrue(errorFor({ extends: './loop-b.json' }, loopPath).includes('Config extends itself'), 'Cycles are reported');
+
+    const orphanPath = path.join(tempDir, 'orphan.json');
+    assertTrue(errorFor({ extends: './missing.json' }, orphanPath).includes('which was not found'), 'Missing bases are reported');
+
+    fs.writeFileSync(path.join(tempDir, 'broken.json'), '{ nope');
+    assertTrue(errorFor({ extends: './broken.json' }, orphanPath).includes('is not valid JSON'), 'Unreadable bases are reported');
+    assertTrue(errorFor({ extends: 42 }, orphanPath).includes('"extends" must be'), 'extends must name files');
+
+    console.log('✅ Extends error tests passed');
+}
+
+async function testResolvedSources(tempDir) {
+    console.log('🧪 Testing resolved config sources...');
+
+    const manifest = {
+        name: 'welcome',
+        file: path.join(tempDir, 'template.json'),
+        tokens: { 'payment.link': { type: 'url', required: true, description: '', default: '#' } }
+    };
+    const clientPath = writeConfig(tempDir, 'clients/beta.json', {
+        extends: '../agency.json',
+        client_name: 'Beta',
+        payment: { link: '' },
+        computed: { kickoff: { from: 'date', business_days: 5 } }
+    });
+
+    const { config, sources } = resolveConfig(JSON.parse(fs.readFileSync(clientPath, 'utf8')), {
+        configPath: clientPath,
+        manifest,
+        agencyDefaults: { video_platform: 'Meet' }
+    });
+    assertTrue(sources.client_name.endsWith('beta.json'), 'Config values name their file');
+    assertTrue(sources.locale.endsWith('agency.json'), 'Inherited values name their base');
+    assertEqual(config.payment.link, '#', 'Empty inherited values still take defaults');
+    assertTrue(sources['payment.link'].endsWith('template.json'), 'Template defaults name the manifest');
+    assertTrue(sources.video_platform.endsWith('defaults.json'), 'Agency defaults name the defaults file');
+    assertEqual(sources.kickoff, 'computed', 'Computed values are labelled');
+    assertEqual(sources.date, 'default', 'Shared defaults are labelled');
+
+    writeConfig(tempDir, 'clients/schedule.json', { computed: { wrap_up: { from: 'date', days: 30 } } });
+    const childPath = writeConfig(tempDir, 'clients/gamma.json', { extends: 'schedule.json', client_name: 'Gamma', computed: { kickoff: { from: 'date', days: 1 } } });
+    const inherited = resolveConfig(JSON.parse(fs.readFileSync(childPath, 'utf8')), { configPath: childPath, agencyDefaults: {} });
+    assertEqual(inherited.computed.sort().join(','), 'kickoff,wrap_up', 'Computed names include inherited sections');
+
+    console.log('✅ Resolved config source tests passed');
+}
+
+// Run the tests
+const tempDir = createTempDir('extends-test-');
+try {
+    await testMerging();
+    await testExtends(tempDir);
+    await testExtendsErrors(tempDir);
+    await testResolvedSources(tempDir);
+    console.log('🎉 All extends tests passed!');
+} catch (error) {
+    console.error('❌ Extends test failed:', error.message);
+    process.exit(1);
+} finally {
+    cleanupTempDir(tempDir);
+}
@@ -0,0 +1,71 @@
+/**
+ * HTML Escaper Tests - Verify context-aware escaping of token values
+ */
+
+import { assertEqual } from '../test-utils.js';
+import HtmlEscaper from '../../scripts/token-replacement/html-escaper.js';
+import TokenReplacer from '../../scripts/token-replacement/token-replacer.js';
+import TokenExtractor from '../../scripts/token-replacement/token-extractor.js';
+
+async function testContextDetection() {
+    console.log('🧪 Testing HTML context detection...');
+    
+    const html = '<h1 title="{{a}}">{{b}}</h1><a href="{{c}}">x</a><img src=\'{{d}}/logo.png\' alt="{{e}}">';
+    const contextAt = token => HtmlEscaper.detectContext(html, html.indexOf(token));
+    
+    assertEqual(contextAt('{{a}}'), 'attribute', 'Quoted attribute');
+    assertEqual(contextAt('{{b}}'), 'text', 'Element text');
+    assertEqual(contextAt('{{c}}'), 'url', 'href is a URL');
+    assertEqual(contextAt('{{d}}'), 'url', 'src is a URL');
+    assertEqual(contextAt('{{e}}'), 'attribute', 'Attribute after a URL attribute');
+    
+    console.log('✅ Context detection tests passed');
+}
+
+async function testEscaping() {
+    console.log('🧪 Testing escaping functions...');
+    
+    assertEqual(HtmlEscaper.escapeText('Smith & Sons <Ltd>'), 'Smith &amp; Sons &lt;Ltd&gt;', 'Text escaping');
+    assertEqual(HtmlEscaper.escapeAttribute('Say "hi" & \'bye\''), 'Say &quot;hi&quot; &amp; &#39;bye&#39;', 'Attribute escaping');
+    assertEqual(HtmlEscaper.escapeUrl('https://pay.example.com/a b?x=1&y="2"'), 'https://pay.example.com/a%20b?x=1&amp;y=%222%22', 'URL escaping');
+    assertEqual(HtmlEscaper.escapeUrl(' javascript:alert(1)'), '#', 'Script URLs are neutralised');
+    
+    console.log('✅ Escaping tests passed');
+}
+
+async function testReplacementEscaping() {
+    console.log('🧪 Testing escaping during replacement...');
+    
+    const config = {
+        client_name: 'Smith & Sons <Ltd>',
+        notes: '<strong>Trusted</strong>',
+        payment: { link: 'javascript:alert(1)' },
+        items: ['A & B']
+    };
+    const template = '<h1>{{client_name}}</h1><a href="{{payment.link}}" title="{{client_name}}">{{{notes}}}</a>{{#each items}}<li>{{this}}</li>{{/each}}';
+    
+    assertEqual(TokenExtractor.extractTokens(template).join(','), 'client_name,items,notes,payment.link', 'Raw tokens are extracted by name');
+    assertEqual(
+        TokenReplacer.replaceTokens(template, config),
+        '<h1>Smith &amp; Sons &lt;Ltd&gt;</h1><a href="#" title="Smith &amp; Sons &lt;Ltd&gt;"><strong>Trusted</strong></a><li>A &amp; B</li>',
+        'Values are escaped for their context and raw tokens are left alone'
+    );
+    assertEqual(
+        TokenReplacer.replaceTokens('<p>{{client_name}}</p>', config, ['client_name'], { autoEscape: false }),
+        '<p>Smith & Sons <Ltd></p>',
+        'autoEscape can be turned off'
+    );
+    
+    console.log('✅ Replacement escaping tests passed');
+}
+
+// Run the tests
+try {
+    await testContextDetection();
+    await testEscaping();
+    await testReplacementEscaping();
+    console.log('🎉 All HTML escaper tests passed!');
+} catch (error) {
+    console.error('❌ HTML escaper test failed:', error.message);
+    process.exit(1);
+}
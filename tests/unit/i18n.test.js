@@ -0,0 +1,152 @@
+/**
+ * Localization Tests - Verify {{t "key"}} string packs, locale-aware filters and untranslated-key reporting
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createTempDir, cleanupTempDir, assertEqual, assertTrue } from '../test-utils.js';
+import TemplateCompiler from '../../scripts/token-replacement/template-compiler.js';
+import TokenReplacer from '../../scripts/token-replacement/token-replacer.js';
+import StringCatalog from '../../scripts/token-replacement/string-catalog.js';
+import ConfigValidator from '../../scripts/token-replacement/config-validator.js';
+import TemplateProcessor from '../../scripts/token-replacement/template-processor.js';
+import { processConfig } from '../../scripts/lib/config.js';
+import { reportUntranslatedStrings } from '../../scripts/lib/validation-report.js';
+
+function writePacks(i18nDir) {
+    fs.mkdirSync(i18nDir, { recursive: true });
+    fs.writeFileSync(path.join(i18nDir, 'en.json'), JSON.stringify({
+        commitments: { title: 'Our Mutual Commitments', intro: 'We commit to:' },
+        'signatures.date': 'Date:'
+    }));
+    fs.writeFileSync(path.join(i18nDir, 'es.json'), JSON.stringify({
+        commitments: { title: 'Nuestros compromisos mutuos' },
+        'signatures.date': 'Fecha:'
+    }));
+    fs.writeFileSync(path.join(i18nDir, 'es-MX.json'), JSON.stringify({
+        commitments: { title: 'Nuestros compromisos' }
+    }));
+}
+
+async function testHelperParsing() {
+    console.log('🧪 Testing helper parsing...');
+
+    const { body } = TemplateCompiler.compile('<h1>{{t "commitments.title" | upper}}</h1><p>{{t section.key ?? "n/a"}}</p>{{ t }}');
+
+    assertEqual(body[1].type, 'helper', 'Registered helpers become helper nodes');
+    assertEqual(body[1].name, 't', 'Helper name is recorded');
+    assertEqual(JSON.stringify(body[1].args), '[{"value":"commitments.title"}]', 'Quoted arguments are literals');
+    assertEqual(body[1].filters[0].name, 'upper', 'Helpers take filters like tokens');
+    assertEqual(JSON.stringify(body[3].args), '[{"path":"section.key"}]', 'Bare arguments are config paths');
+    assertEqual(body[3].fallback, 'n/a', 'Helpers take inline fallbacks');
+    assertEqual(body[5].type, 'token', 'A helper name on its own is still a token');
+
+    console.log('✅ Helper parsing tests passed');
+}
+
+async function testTranslations(tempDir) {
+    console.log('🧪 Testing string pack lookups...');
+
+    const i18nDir = path.join(tempDir, 'packs');
+    writePacks(i18nDir);
+    const render = (source, locale) => TokenReplacer.replaceTokens(source, { locale }, null, {
+        errorHandling: 'graceful',
+        strings: StringCatalog.load(i18nDir, locale)
+    });
+
+    assertEqual(render('{{t "commitments.title"}}', 'es'), 'Nuestros compromisos mutuos', 'Nested keys are read from the locale pack');
+    assertEqual(render('{{t "signatures.date"}}', 'es'), 'Fecha:', 'Flat dotted keys work too');
+    assertEqual(render('{{t "commitments.title"}}', 'es-MX'), 'Nuestros compromisos', 'Region packs win over the language pack');
+    assertEqual(render('{{t "signatures.date"}}', 'es-MX'), 'Fecha:', 'Region packs fall back to the language pack');
+    assertEqual(render('{{t "commitments.intro"}}', 'es'), 'We commit to:', 'Untranslated keys fall back to English');
+    assertEqual(render('{{t "nope"}} {{t "nope" ?? "—"}}', 'es'), '[MISSING] —', 'Unknown keys use the placeholder or fallback');
+    assertEqual(StringCatalog.getPackLocales('es-MX').join(','), 'es-MX,es,en', 'Packs are read most specific first');
+
+    console.log('✅ String pack tests passed');
+}
+
+async function testLocaleFilters() {
+    console.log('🧪 Testing locale-aware filters...');
+
+    const config = { locale: 'es', total: 12500, launch: '2025-07-15' };
+    const render = source => TokenReplacer.replaceTokens(source, config);
+
+    assertEqual(render('{{launch | date}}'), '15 de julio de 2025', 'Dates use the config locale');
+    assertEqual(render('{{total | number}}'), '12.500', 'Numbers use the config locale');
+    assertEqual(render('{{launch | date:"long","en-US"}}'), 'July 15, 2025', 'An explicit locale argument still wins');
+    assertEqual(TokenReplacer.replaceTokens('{{launch | date}}', { launch: '2025-07-15' }), 'July 15, 2025', 'Configs without a locale stay en-US');
+
+    console.log('✅ Locale filter tests passed');
+}
+
+async function testUntranslatedReporting(tempDir) {
+    console.log('🧪 Testing untranslated key reporting...');
+
+    const i18nDir = path.join(tempDir, 'packs');
+    const template = '{{t "commitments.title"}} {{t "commitments.intro"}} {{#if extra}}{{t "extra.note"}}{{/if}}';
+
+    const validation = ConfigValidator.validateTemplate({}, template, { strings: StringCatalog.load(i18nDir, 'es') });
+    assertEqual(validation.untranslated.map(entry => entry.key).join(','), 'commitments.intro', 'Keys the locale lacks are flagged, skipped branches are not');
+    assertTrue(validation.warnings.some(warning => warning.includes("'commitments.intro' has no es translation")), 'A warning names the key and locale');
+
+    const english = ConfigValidator.validateTemplate({ extra: true }, template, { strings: StringCatalog.load(i18nDir, 'en-US') });
+    assertEqual(english.untranslated.map(entry => `${entry.key}:${entry.fallback}`).join(','), 'extra.note:false', 'English only flags keys no pack has');
+
+    const report = ConfigValidator.validateTranslations(i18nDir);
+    assertEqual(JSON.stringify(report), '{"es":["commitments.intro"],"es-MX":["commitments.intro"]}', 'Every locale is checked against the base pack');
+
+    // validate reports every locale, customize the pack its build reads
+    const templateDir = path.join(tempDir, 'report');
+    writePacks(path.join(templateDir, 'i18n'));
+    assertEqual(JSON.stringify(reportUntranslatedStrings(templateDir)), JSON.stringify(report), 'validate lists the gaps of every locale');
+    assertEqual(JSON.stringify(reportUntranslatedStrings(templateDir, 'es-MX')), '{"es-MX":["commitments.intro"]}', 'A build lists the gaps of its own locale');
+    assertEqual(JSON.stringify(reportUntranslatedStrings(templateDir, 'en-US')), '{}', 'English builds have nothing to translate');
+
+    console.log('✅ Untranslated reporting tests passed');
+}
+
+async function testProcessing(tempDir) {
+    console.log('🧪 Testing localized template processing...');
+
+    const templateDir = path.join(tempDir, 'timeline');
+    writePacks(path.join(templateDir, 'i18n'));
+    const slide = path.join(templateDir, '05-commitments.html');
+    fs.writeFileSync(slide, '<h1>{{t "commitments.title"}}</h1><p>{{t "commitments.intro"}} {{start_date | date}}</p>');
+
+    const processor = new TemplateProcessor({ errorHandling: 'graceful' });
+    const config = processConfig({ client_name: 'María González', locale: 'es', start_date: '2025-06-10' });
+    const results = await processor.processMultipleTemplates([slide], config);
+
+    assertEqual(
+        results.processed[0].content,
+        '<h1>Nuestros compromisos mutuos</h1><p>We commit to: 10 de junio de 2025</p>',
+        'Templates render from the i18n directory next to them'
+    );
+    assertEqual(results.untranslated.map(entry => entry.key).join(','), 'commitments.intro', 'Untranslated keys are collected');
+
+    let error = '';
+    try {
+        processConfig({ client_name: 'Acme', locale: 'spanish please' });
+    } catch (e) {
+        error = e.message;
+    }
+    assertTrue(error.includes('locale must be a language tag'), 'Invalid locales are rejected');
+
+    console.log('✅ Localized processing tests passed');
+}
+
+// Run the tests
+const tempDir = createTempDir('i18n-test-');
+try {
+    await testHelperParsing();
+    await testTranslations(tempDir);
+    await testLocaleFilters();
+    await testUntranslatedReporting(tempDir);
+    await testProcessing(tempDir);
+    console.log('🎉 All localization tests passed!');
+} catch (error) {
+    console.error('❌ Localization test failed:', error.message);
+    process.exit(1);
+} finally {
+    cleanupTempDir(tempDir);
+}
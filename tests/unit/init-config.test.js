@@ -0,0 +1,104 @@
+/**
+ * Init Config Tests - Verify starter configs generated from a template's slides and manifest
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createTempDir, cleanupTempDir, assertEqual, assertTrue } from '../test-utils.js';
+import { initConfig, listTemplateTokens } from '../../scripts/init-config.js';
+import { readConfigFile } from '../../scripts/lib/config-file.js';
+import TemplateManifest from '../../scripts/token-replacement/template-manifest.js';
+import ConfigValidator from '../../scripts/token-replacement/config-validator.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const templatesDir = path.join(__dirname, '..', '..', 'templates');
+
+// initConfig reports progress on the console; keep test output readable
+function quietly(fn) {
+    const { log, error } = console;
+    console.log = () => {};
+    console.error = () => {};
+    try {
+        return fn();
+    } finally {
+        Object.assign(console, { log, error });
+    }
+}
+
+async function testTokenOrder() {
+    console.log('🧪 Testing starter config contents...');
+
+    const templateDir = path.join(templatesDir, 'timeline-agreement');
+    const tokens = listTemplateTokens(templateDir, TemplateManifest.load(templateDir));
+    assertEqual(tokens.slice(0, 3).map(entry => entry.token).join(','), 'client_name,project_name,start_date', 'Tokens follow slide order');
+    assertTrue(!tokens.some(entry => entry.token === 'asset_path'), 'System tokens are left out');
+    assertEqual(tokens[1].description, 'Project name', 'Tokens carry their manifest description');
+
+    const suggestions = ConfigValidator.generateConfigSuggestions([
+        { token: 'payment.link', type: 'url', example: 'https://acme.com/pay' },
+        { token: 'features', type: 'array' },
+        { token: 'notes', type: 'string' }
+    ]);
+    assertEqual(JSON.stringify(suggestions), '{"payment":{"link":"https://acme.com/pay"},"features":["[features]"],"notes":"[notes]"}', 'Examples are suggested; other tokens get placeholders');
+
+    console.log('✅ Starter config content tests passed');
+}
+
+async function testWriting(tempDir) {
+    console.log('🧪 Testing starter config files...');
+
+    const result = quietly(() => initConfig('scope-approval', 'Acme Corp', { outputDir: tempDir }));
+    assertTrue(result.success, 'The config is written');
+    assertEqual(path.basename(result.configPath), 'acme-corp.json', 'The file is named after the client slug');
+
+    const config = JSON.parse(fs.readFileSync(result.configPath, 'utf8'));
+    assertEqual(Object.keys(config)[0], 'client_name', 'client_name comes first');
+    assertEqual(config.client_name, 'Acme Corp', 'The client name is filled in');
+    assertTrue(Array.isArray(config.features) && config.features.length > 0, 'Lists get their example items');
+
+    const manifest = TemplateManifest.load(path.join(templatesDir, 'scope-approval'));
+    assertTrue(ConfigValidator.validateManifest(config, manifest).valid, 'The starter config passes validation');
+
+    const again = quietly(() => initConfig('scope-approval', 'Acme Corp', { outputDir: tempDir }));
+    assertEqual(again.success, false, 'Existing configs are not overwritten');
+    assertTrue(again.error.includes('--force'), 'The error says how to overwrite');
+    assertTrue(quietly(() => initConfig('scope-approval', 'Acme Corp', { outputDir: tempDir, force: true })).success, '--force overwrites');
+
+    const otherFormat = quietly(() => initConfig('scope-approval', 'Acme Corp', { outputDir: tempDir, format: 'yaml', force: true }));
+    assertEqual(otherFormat.success, false, 'A config in another format for the same client is never replaced');
+
+    console.log('✅ Starter config file tests passed');
+}
+
+async function testCommentedFormats(tempDir) {
+    console.log('🧪 Testing commented formats...');
+
+    for (const format of ['yaml', 'json5']) {
+        const result = quietly(() => initConfig('discovery-agreement', 'Beta LLC', { outputDir: path.join(tempDir, format), format }));
+        const source = fs.readFileSync(result.configPath, 'utf8');
+
+        assertTrue(source.includes('Payment provider named next to the button'), `${format} configs include token descriptions`);
+        const config = readConfigFile(result.configPath);
+        assertEqual(config.payment.provider, 'FreshBooks', `${format} configs read back with nested values`);
+        assertEqual(config.client_name, 'Beta LLC', `${format} configs read back with the client name`);
+    }
+
+    assertEqual(quietly(() => initConfig('discovery-agreement', 'Beta LLC', { outputDir: tempDir, format: 'xml' })).success, false, 'Unknown formats are rejected');
+
+    console.log('✅ Commented format tests passed');
+}
+
+// Run the tests
+const tempDir = createTempDir('init-config-test-');
+try {
+    await testTokenOrder();
+    await testWriting(tempDir);
+    await testCommentedFormats(tempDir);
+    console.log('🎉 All init config tests passed!');
+} catch (error) {
+    console.error('❌ Init config test failed:', error.message);
+    process.exit(1);
+} finally {
+    cleanupTempDir(tempDir);
+}
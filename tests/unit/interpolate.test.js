@@ -0,0 +1,123 @@
+/**
+ * Interpolate Tests - Verify ${env:...} and ${file:...} config references and secret masking
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createTempDir, cleanupTempDir, assertEqual, assertTrue } from '../test-utils.js';
+import { interpolateConfig, maskSecrets } from '../../scripts/lib/interpolate.js';
+import { resolveConfig } from '../../scripts/lib/config.js';
+
+const env = { BONSAI_LINK: 'https://bonsai.com/pay/keylight-discovery', PM_PHONE: '555-0142' };
+
+function errorFor(config, options) {
+    try {
+        interpolateConfig(config, options);
+    } catch (error) {
+        return error.message;
+    }
+    return '';
+}
+
+async function testEnvReferences() {
+    console.log('🧪 Testing environment variable references...');
+
+    const { config, secrets } = interpolateConfig({
+        payment: { link: '${env:BONSAI_LINK}', provider: 'Bonsai' },
+        contacts: ['Call ${env:PM_PHONE} or email us'],
+        note: 'Literal $${env:BONSAI_LINK} text'
+    }, { env });
+
+    assertEqual(config.payment.link, env.BONSAI_LINK, 'Whole-value references are replaced');
+    assertEqual(config.payment.provider, 'Bonsai', 'Plain values are untouched');
+    assertEqual(config.contacts[0], 'Call 555-0142 or email us', 'References inside text are replaced');
+    assertEqual(config.note, 'Literal ${env:BONSAI_LINK} text', '$${...} stays literal');
+    assertEqual(secrets.join(','), `${env.BONSAI_LINK},555-0142`, 'Resolved values are returned as secrets');
+
+    const error = errorFor({ payment: { link: '${env:MISSING_LINK}' }, phone: '${env:not-a-name}' }, { env });
+    assertTrue(error.includes('payment.link: environment variable MISSING_LINK is not set'), 'Unset variables are reported with their config path');
+    assertTrue(error.includes("phone: 'not-a-name' is not a valid environment variable name"), 'Every problem is reported at once');
+
+    console.log('✅ Environment variable reference tests passed');
+}
+
+async function testFileReferences(tempDir) {
+    console.log('🧪 Testing secrets file references...');
+
+    const secretsDir = path.join(tempDir, 'secrets');
+    fs.mkdirSync(secretsDir);
+    fs.writeFileSync(path.join(secretsDir, 'maria.json'), JSON.stringify({ payment: { link: 'https://bonsai.com/pay/maria' }, phones: ['555-0100'] }));
+    fs.writeFileSync(path.join(secretsDir, 'maria.yaml'), 'pm:\n  phone: 555-0199\n');
+    fs.writeFileSync(path.join(secretsDir, 'token.txt'), 'abc-123-token\n');
+    const file = path.join(tempDir, 'maria.json');
+
+    const { config } = interpolateConfig({
+        payment: { link: '${file:./secrets/maria.json#payment.link}' },
+        phones: '${file:secrets/maria.json#phones}',
+        pm_phone: 'Phone: ${file:./secrets/maria.yaml#pm.phone}',
+        token: '${file:./secrets/token.txt}'
+    }, { file, env });
+
+    assertEqual(config.payment.link, 'https://bonsai.com/pay/maria', 'Keys are read from JSON secrets files relative to the config');
+    assertEqual(config.phones.join(','), '555-0100', 'Whole-value references keep lists');
+    assertEqual(config.pm_phone, 'Phone: 555-0199', 'Secrets files can be YAML');
+    assertEqual(config.token, 'abc-123-token', 'Without a key the file text is used');
+
+    const error = errorFor({
+        a: '${file:./secrets/missing.json#x}',
+        b: '${file:./secrets/maria.json#payment.amount}',
+        c: 'Phones: ${file:./secrets/maria.json#phones}'
+    }, { file, env });
+    assertTrue(/a: \S*missing\.json not found/.test(error), 'Missing files are reported');
+    assertTrue(error.includes("has no 'payment.amount'"), 'Missing keys are reported');
+    assertTrue(error.includes("can't be part of a longer text"), 'Lists cannot be joined into text');
+
+    console.log('✅ Secrets file reference tests passed');
+}
+
+async function testMasking() {
+    console.log('🧪 Testing secret masking...');
+
+    assertEqual(maskSecrets(`Link: ${env.BONSAI_LINK}, phone 555-0142`, [env.BONSAI_LINK, '555-0142']), 'Link: ••••••, phone ••••••', 'Secrets are masked');
+    assertEqual(maskSecrets('Page 1 of 3', ['1']), 'Page 1 of 3', 'Very short values are left alone');
+    assertEqual(maskSecrets('555-0100 or 555-0101', [['555-0100', '555-0101']]), '•••••• or ••••••', 'Lists of secrets are masked');
+
+    console.log('✅ Secret masking tests passed');
+}
+
+async function testProcessConfig(tempDir) {
+    console.log('🧪 Testing references in processConfig...');
+
+    process.env.BRILLNT_TEST_LINK = 'https://bonsai.com/pay/test';
+    const configPath = path.join(tempDir, 'client.json');
+    fs.writeFileSync(path.join(tempDir, 'base.json'), JSON.stringify({ payment: { link: '${file:./secrets/maria.json#payment.link}' } }));
+    try {
+        const { config, secrets } = resolveConfig({
+            extends: './base.json',
+            client_name: 'María',
+            payment: { provider: '${env:BRILLNT_TEST_LINK}' }
+        }, { configPath, agencyDefaults: {} });
+        assertEqual(config.payment.link, 'https://bonsai.com/pay/maria', 'References in base configs resolve too');
+        assertEqual(config.payment.provider, 'https://bonsai.com/pay/test', 'processConfig resolves references');
+        assertEqual(secrets.length, 2, 'Secrets from every config layer are collected');
+    } finally {
+        delete process.env.BRILLNT_TEST_LINK;
+    }
+
+    console.log('✅ processConfig reference tests passed');
+}
+
+// Run the tests
+const tempDir = createTempDir('interpolate-test-');
+try {
+    await testEnvReferences();
+    await testFileReferences(tempDir);
+    await testMasking();
+    await testProcessConfig(tempDir);
+    console.log('🎉 All interpolate tests passed!');
+} catch (error) {
+    console.error('❌ Interpolate test failed:', error.message);
+    process.exit(1);
+} finally {
+    cleanupTempDir(tempDir);
+}
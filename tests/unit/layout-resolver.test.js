@@ -0,0 +1,112 @@
+/**
+ * Layout Resolver Tests - Verify {{!layout}} inheritance and named blocks
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createTempDir, cleanupTempDir, assertEqual, assertTrue } from '../test-utils.js';
+import LayoutResolver from '../../scripts/token-replacement/layout-resolver.js';
+import TemplateProcessor from '../../scripts/token-replacement/template-processor.js';
+
+async function testBlockFilling() {
+    console.log('🧪 Testing block filling...');
+
+    const layout = '<head>\n    {{#block "head"}}{{/block}}\n</head>\n<main>\n{{#block "content"}}<p>Default</p>{{/block}}\n</main>\n';
+
+    assertEqual(
+        LayoutResolver.fillBlocks(layout, { content: '<p>Slide</p>' }),
+        '<head>\n</head>\n<main>\n<p>Slide</p>\n</main>\n',
+        'Template blocks replace placeholders and empty standalone placeholders drop their line'
+    );
+    assertEqual(
+        LayoutResolver.fillBlocks(layout, {}),
+        '<head>\n</head>\n<main>\n<p>Default</p>\n</main>\n',
+        'Placeholders keep their default content when the template has no block'
+    );
+    assertEqual(
+        LayoutResolver.fillBlocks('<title>{{#block "title"}}{{/block}}</title>', {}),
+        '<title></title>',
+        'Inline empty placeholders leave surrounding markup alone'
+    );
+
+    const blocks = LayoutResolver.extractBlocks('{{!layout "slide"}}\n\n{{#block "content"}}\n<p>One</p>\n{{/block}}\n');
+    assertEqual(blocks.content, '<p>One</p>', 'Newlines just inside block tags are dropped');
+    assertEqual(LayoutResolver.parseDirective('{{!layout "cover" background="#000"}}').name, 'cover', 'Layout directive is parsed');
+    assertEqual(LayoutResolver.parseDirective('<p>No layout</p>'), null, 'Templates without a directive have no layout');
+
+    let error = '';
+    try {
+        LayoutResolver.extractBlocks('{{#block "content"}}a{{/block}}{{#block "content"}}b{{/block}}');
+    } catch (e) {
+        error = e.message;
+    }
+    assertTrue(error.includes('Block "content" is defined more than once'), 'Duplicate blocks are reported');
+
+    console.log('✅ Block filling tests passed');
+}
+
+async function testLayoutVariants(layoutsDir) {
+    console.log('🧪 Testing layout variants...');
+
+    const content = '{{!layout "slide"}}\n{{#block "content"}}Body{{/block}}';
+    const apply = options => LayoutResolver.applyLayout(content, { client_name: 'Acme' }, { layoutsDir, ...options });
+
+    assertEqual(apply({}), '<div class="wide">Body</div>\n', 'Base layout is used by default');
+    assertEqual(apply({ layoutVariant: '4x3' }), '<div class="narrow">Body</div>\n', 'Variant directory is preferred');
+    assertEqual(
+        LayoutResolver.applyLayout('{{!layout "titled" heading="Hi"}}{{#block "content"}}X{{/block}}', {}, { layoutsDir, layoutVariant: '4x3' }),
+        '<h1>Hi</h1>X\n',
+        'Layouts missing from the variant fall back to the base directory, with parameters filled in'
+    );
+    assertEqual(LayoutResolver.applyLayout('<p>Plain</p>', {}, { layoutsDir }), '<p>Plain</p>', 'Content without a layout is unchanged');
+
+    let error = '';
+    try {
+        LayoutResolver.applyLayout('{{!layout "missing"}}', {}, { layoutsDir });
+    } catch (e) {
+        error = e.message;
+    }
+    assertTrue(error.includes('Layout not found: missing'), 'Missing layouts are reported');
+
+    console.log('✅ Layout variant tests passed');
+}
+
+async function testProcessorLayouts(tempDir) {
+    console.log('🧪 Testing layouts in template processing...');
+
+    const templateDir = path.join(tempDir, 'demo');
+    fs.mkdirSync(templateDir);
+    const templatePath = path.join(templateDir, '01-slide.html');
+    fs.writeFileSync(templatePath, '{{!layout "slide"}}\n{{#block "content"}}<p>{{client_name}}</p>{{/block}}\n');
+
+    const processor = new TemplateProcessor({ errorHandling: 'graceful' });
+    let result = await processor.processTemplate(templatePath, { client_name: 'Smith & Sons' });
+
+    assertTrue(result.success, 'Template with a layout processes');
+    assertEqual(result.content, '<div class="wide"><p>Smith &amp; Sons</p></div>\n', 'Layouts resolve from templates/_layouts/ by default');
+
+    result = await processor.processTemplate(templatePath, { client_name: 'Acme', layout_variant: '4x3' });
+    assertEqual(result.content, '<div class="narrow"><p>Acme</p></div>\n', 'layout_variant in config selects the variant');
+
+    console.log('✅ Processor layout tests passed');
+}
+
+// Run the tests
+const tempDir = createTempDir('layouts-test-');
+try {
+    const layoutsDir = path.join(tempDir, '_layouts');
+    fs.mkdirSync(path.join(layoutsDir, '4x3'), { recursive: true });
+    fs.writeFileSync(path.join(layoutsDir, 'slide.html'), '<div class="wide">{{#block "content"}}{{/block}}</div>\n');
+    fs.writeFileSync(path.join(layoutsDir, '4x3', 'slide.html'), '<div class="narrow">{{#block "content"}}{{/block}}</div>\n');
+    fs.writeFileSync(path.join(layoutsDir, 'titled.html'), '{{#if heading}}<h1>{{heading}}</h1>{{/if}}{{#block "content"}}{{/block}}\n');
+
+    await testBlockFilling();
+    await testLayoutVariants(layoutsDir);
+    await testProcessorLayouts(tempDir);
+    console.log('🎉 All layout resolver tests passed!');
+} catch (error) {
+    console.error('❌ Layout resolver test failed:', error.message);
+    process.exit(1);
+} finally {
+    cleanupTempDir(tempDir);
+}
@@ -0,0 +1,77 @@
+/**
+ * Markdown Renderer Tests - Verify the safe Markdown subset and the markdown filter
+ */
+
+import { assertEqual, assertTrue } from '../test-utils.js';
+import MarkdownRenderer from '../../scripts/token-replacement/markdown-renderer.js';
+import TokenReplacer from '../../scripts/token-replacement/token-replacer.js';
+
+async function testBlocks() {
+    console.log('🧪 Testing Markdown blocks...');
+
+    assertEqual(MarkdownRenderer.render('One line'), '<p>One line</p>', 'Plain text is a paragraph');
+    assertEqual(
+        MarkdownRenderer.render('First\nstill first\n\nSecond'),
+        '<p>First still first</p>\n<p>Second</p>',
+        'Blank lines separate paragraphs and single newlines join'
+    );
+    assertEqual(
+        MarkdownRenderer.render('Goals:\n- SEO\n* Speed\n• Leads'),
+        '<p>Goals:</p>\n<ul class="list-disc pl-6 space-y-1"><li>SEO</li><li>Speed</li><li>Leads</li></ul>',
+        'Bullet lines become a list, even straight after a paragraph'
+    );
+
+    console.log('✅ Markdown block tests passed');
+}
+
+async function testInline() {
+    console.log('🧪 Testing inline Markdown...');
+
+    assertEqual(
+        MarkdownRenderer.renderInline('**Fast** & [secure](https://example.com?a=1&b=2)'),
+        '<strong class="font-semibold">Fast</strong> &amp; <a href="https://example.com?a=1&amp;b=2" class="underline">secure</a>',
+        'Bold and links render with escaped text and URLs'
+    );
+    assertEqual(
+        MarkdownRenderer.renderInline('<img src=x onerror=alert(1)> [x](javascript:alert(1))'),
+        '&lt;img src=x onerror=alert(1)&gt; <a href="#" class="underline">x</a>)',
+        'HTML is escaped and script links are neutralised'
+    );
+    assertEqual(MarkdownRenderer.renderInline('2 ** 3 and ** x **'), '2 ** 3 and ** x **', 'Loose asterisks are left alone');
+
+    console.log('✅ Inline Markdown tests passed');
+}
+
+async function testMarkdownFilter() {
+    console.log('🧪 Testing the markdown filter...');
+
+    const config = { notes: 'We will:\n\n- **Launch** on time', client_name: 'Acme' };
+
+    assertEqual(
+        TokenReplacer.replaceTokens('<div>{{notes | markdown}}</div>', config),
+        '<div><p>We will:</p>\n<ul class="list-disc pl-6 space-y-1"><li><strong class="font-semibold">Launch</strong> on time</li></ul></div>',
+        'Filter output is inserted as HTML in element text'
+    );
+    assertEqual(
+        TokenReplacer.replaceTokens('<p>{{client_name | markdown:"inline"}}</p>', config),
+        '<p>Acme</p>',
+        'Inline mode adds no block elements'
+    );
+    assertTrue(
+        TokenReplacer.replaceTokens('<div title="{{notes | markdown}}"></div>', config).includes('&lt;p&gt;'),
+        'Markdown HTML is still escaped inside attributes'
+    );
+
+    console.log('✅ Markdown filter tests passed');
+}
+
+// Run the tests
+try {
+    await testBlocks();
+    await testInline();
+    await testMarkdownFilter();
+    console.log('🎉 All Markdown renderer tests passed!');
+} catch (error) {
+    console.error('❌ Markdown renderer test failed:', error.message);
+    process.exit(1);
+}
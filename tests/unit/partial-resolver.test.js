@@ -0,0 +1,103 @@
+/**
+ * Partial Resolver Tests - Verify {{> partial}} includes and their parameters
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createTempDir, cleanupTempDir, assertEqual, assertTrue } from '../test-utils.js';
+import PartialResolver from '../../scripts/token-replacement/partial-resolver.js';
+import TemplateProcessor from '../../scripts/token-replacement/template-processor.js';
+
+async function testPartialExpansion(partialsDir) {
+    console.log('🧪 Testing partial expansion...');
+    
+    const config = { client_name: 'Smith & Sons', asset_path: '../assets' };
+    const resolve = content => PartialResolver.resolvePartials(content, config, { partialsDir });
+    
+    assertEqual(
+        resolve('{{> header title="Scope & Approval" subtitle=client_name}}'),
+        '<header><img src="{{asset_path}}/logo.png"><b>Scope & Approval</b> Smith &amp; Sons</header>',
+        'Literal parameters are inserted as-is, config parameters are escaped, other tokens are kept'
+    );
+    assertEqual(
+        resolve('{{> header title="A" subtitle="B" tagline="C"}}'),
+        '<header><img src="{{asset_path}}/logo.png"><b>A</b> B<i>C</i></header>',
+        'Parameters drive conditional blocks inside partials'
+    );
+    assertEqual(resolve('{{> wrapper}}'), '<main><footer>Smith &amp; Sons</footer></main>', 'Partials can include partials');
+    assertEqual(PartialResolver.extractPartials('{{> header}}{{>footer x="1"}}{{> header}}').join(','), 'footer,header', 'Partial names are extracted');
+    
+    let error = '';
+    try {
+        resolve('{{> loop-a}}');
+    } catch (e) {
+        error = e.message;
+    }
+    assertTrue(error.includes('Circular partial include: loop-a → loop-b → loop-a'), 'Circular includes are reported');
+    
+    error = '';
+    try {
+        resolve('{{> nope}}');
+    } catch (e) {
+        error = e.message;
+    }
+    assertTrue(error.includes('Partial not found: nope'), 'Missing partials are reported');
+    
+    console.log('✅ Partial expansion tests passed');
+}
+
+async function testProcessorPartials(tempDir) {
+    console.log('🧪 Testing partials in template processing...');
+    
+    const templateDir = path.join(tempDir, 'demo');
+    fs.mkdirSync(templateDir);
+    const templatePath = path.join(templateDir, '01-slide.html');
+    fs.writeFileSync(templatePath, '{{> header title="Demo" subtitle=client_name}}<p>{{project_name}}</p>');
+    
+    const processor = new TemplateProcessor({ errorHandling: 'graceful' });
+    const result = await processor.processTemplate(templatePath, { client_name: 'Acme', asset_path: '../assets' });
+    
+    assertTrue(result.success, 'Template with partials processes');
+    assertEqual(
+        result.content,
+        '<header><img src="../assets/logo.png"><b>Demo</b> Acme</header><p>[MISSING]</p>',
+        'Partials resolve from templates/_partials/ by default'
+    );
+    assertEqual(result.tokens.found.join(','), 'asset_path,project_name', 'Tokens inside partials are validated');
+    
+    const literalPath = path.join(templateDir, '02-literal.html');
+    fs.writeFileSync(literalPath, '{{!-- shows template syntax --}}\\{{> footer}} {{> syntax}}');
+    const literal = await processor.processTemplate(literalPath, { client_name: 'Acme' });
+    assertEqual(literal.content, '{{> footer}} Write {{client_name}}', 'Escaped tags stay literal through partial expansion');
+    
+    const injected = await processor.processTemplate(templatePath, { client_name: '{{asset_path}} {{#each x}}', asset_path: '../assets' });
+    assertEqual(
+        injected.content,
+        '<header><img src="../assets/logo.png"><b>Demo</b> {{asset_path}} {{#each x}}</header><p>[MISSING]</p>',
+        'Config values passed to partials are shown, not evaluated'
+    );
+    
+    console.log('✅ Processor partial tests passed');
+}
+
+// Run the tests
+const tempDir = createTempDir('partials-test-');
+try {
+    const partialsDir = path.join(tempDir, '_partials');
+    fs.mkdirSync(partialsDir);
+    fs.writeFileSync(path.join(partialsDir, 'header.html'), '<header><img src="{{asset_path}}/logo.png"><b>{{title}}</b> {{subtitle}}{{#if tagline}}<i>{{tagline}}</i>{{/if}}</header>\n');
+    fs.writeFileSync(path.join(partialsDir, 'wrapper.html'), '<main>{{> footer text=client_name}}</main>');
+    fs.writeFileSync(path.join(partialsDir, 'footer.html'), '<footer>{{text}}</footer>');
+    fs.writeFileSync(path.join(partialsDir, 'loop-a.html'), '{{> loop-b}}');
+    fs.writeFileSync(path.join(partialsDir, 'loop-b.html'), '{{> loop-a}}');
+    fs.writeFileSync(path.join(partialsDir, 'syntax.html'), '{{! partial comment }}Write \\{{client_name}}');
+    
+    await testPartialExpansion(partialsDir);
+    await testProcessorPartials(tempDir);
+    console.log('🎉 All partial resolver tests passed!');
+} catch (error) {
+    console.error('❌ Partial resolver test failed:', error.message);
+    process.exit(1);
+} finally {
+    cleanupTempDir(tempDir);
+}
@@ -0,0 +1,152 @@
+/**
+ * Template Compiler Tests - Verify the AST, single-pass rendering and the compiled-template cache
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createTempDir, cleanupTempDir, assertEqual, assertTrue } from '../test-utils.js';
+import TemplateCompiler from '../../scripts/token-replacement/template-compiler.js';
+import TokenReplacer from '../../scripts/token-replacement/token-replacer.js';
+import TokenExtractor from '../../scripts/token-replacement/token-extractor.js';
+import ConfigValidator from '../../scripts/token-replacement/config-validator.js';
+import PartialResolver from '../../scripts/token-replacement/partial-resolver.js';
+
+async function testParsing() {
+    console.log('🧪 Testing template parsing...');
+
+    const { body } = TemplateCompiler.compile('<a href="{{payment.link}}">{{#if paid}}Paid{{else}}{{{ note | upper }}}{{/if}}</a>{{> footer}}');
+
+    assertEqual(body.map(node => node.type).join(','), 'text,token,text,block,text', 'Text, tokens and blocks become nodes');
+    assertEqual(body[1].path, 'payment.link', 'Dotted paths are kept whole');
+    assertEqual(body[1].context, 'url', 'HTML context is worked out at compile time');
+    assertEqual(body[3].kind, 'if', 'Block kind is recorded');
+    assertEqual(body[3].inverse[0].raw, true, '{{else}} branch holds raw tokens');
+    assertEqual(body[3].inverse[0].filters[0].name, 'upper', 'Filters are parsed once');
+    assertEqual(body[4].value, '</a>{{> footer}}', 'Partial tags pass through as text');
+
+    const errors = ['{{#if a}}open', '{{/if}}', '{{#if a}}{{/each}}', '{{else}}'].map(source => {
+        try {
+            TemplateCompiler.compile(source);
+            return '';
+        } catch (error) {
+            return error.message;
+        }
+    });
+    assertTrue(errors[0].includes('Unclosed block {{#if a}}'), 'Unclosed blocks are reported');
+    assertTrue(errors[1].includes('Unexpected {{/if}}'), 'Stray close tags are reported');
+    assertTrue(errors[2].includes('closed with {{/each}}'), 'Mismatched close tags are reported');
+    assertTrue(errors[3].includes('Unexpected {{else}}'), 'Stray else tags are reported');
+
+    console.log('✅ Parsing tests passed');
+}
+
+async function testRendering() {
+    console.log('🧪 Testing single-pass rendering...');
+
+    const config = {
+        payment: { amount: '$1,500', link: 'https://pay.example.com' },
+        paymentXamount: 'wrong',
+        features: ['SEO', 'CMS']
+    };
+    const render = (source, options = {}) => TokenReplacer.render(TemplateCompiler.compile(source), config, { errorHandling: 'graceful', ...options });
+
+    assertEqual(render('{{payment.amount}} / {{ payment.amount }}'), '$1,500 / $1,500', 'Dotted tokens are replaced');
+    assertEqual(render('{{#each features}}{{@index}}={{this}} {{/each}}{{payment.amount}}'), '0=SEO 1=CMS $1,500', 'Loops and tokens render in one pass');
+    assertEqual(render('{{missing}} {{missing}}'), '[MISSING] [MISSING]', 'Missing tokens use the placeholder');
+    assertEqual(render('{{missing}}', { preserveUnknownTokens: true }), '{{missing}}', 'Unknown tokens can be preserved');
+    assertEqual(
+        TokenReplacer.replaceTokens('{{payment.amount}} {{paymentXamount}}', config, ['payment.amount']),
+        '$1,500 {{paymentXamount}}',
+        'replaceTokens only touches the listed tokens'
+    );
+
+    let error = '';
+    try {
+        render('{{missing}}{{also_missing}}', { errorHandling: 'fail' });
+    } catch (e) {
+        error = e.message;
+    }
+    assertTrue(error.includes("Token 'missing' not found") && error.includes("Token 'also_missing' not found"), 'Fail mode reports every missing token');
+
+    console.log('✅ Rendering tests passed');
+}
+
+async function testEscapesAndComments() {
+    console.log('🧪 Testing literal braces and comments...');
+
+    const source = 'Type \\{{client_name}} or \\{{{raw}}}.{{! note for editors }}{{!-- uses {{tokens}} --}} {{client_name}}';
+    const render = content => TokenReplacer.replaceTokens(content, { client_name: 'Acme' }, null, { errorHandling: 'graceful' });
+
+    assertEqual(render(source), 'Type {{client_name}} or {{{raw}}}. Acme', 'Escaped tags are literal and comments are stripped');
+    assertEqual(TokenExtractor.extractTokens(source).join(','), 'client_name', 'Escaped tags and comments are not tokens');
+    assertEqual(
+        PartialResolver.renderWithParams('{{#if client_name}}\\{{literal}}{{/if}}', {}, { client_name: 'Acme' }),
+        '\\{{literal}}',
+        'Intermediate passes keep the escape for the final render'
+    );
+
+    const validation = ConfigValidator.validateTemplate({}, '{{!-- {{draft_note}} --}}\\{{example}}');
+    assertEqual(validation.missing.length, 0, 'Validation ignores escaped tags and comments');
+
+    console.log('✅ Literal and comment tests passed');
+}
+
+async function testAnalysis() {
+    console.log('🧪 Testing analysis shared by extractor and validator...');
+
+    const source = '{{#if phone}}{{phone}}{{else}}{{email ?? "n/a"}}{{/if}}{{#each items}}{{name}}{{stray}}{{/each}}';
+    const config = { items: [{ name: 'A' }] };
+
+    assertEqual(TokenExtractor.extractTokens(source).join(','), 'email,items,phone', 'Static extraction covers every branch');
+
+    const analysis = TokenExtractor.analyzeTemplate(source, config);
+    assertEqual(analysis.tokens.join(','), 'email,items,stray', 'Analysis follows the branches that apply and loop fall-throughs');
+    assertEqual(analysis.iterables.join(','), 'items', 'Loop lists are iterables');
+    assertEqual(analysis.defaulted.join(','), 'email', 'Tokens with fallbacks are defaulted');
+
+    const validation = ConfigValidator.validateTemplate(config, source);
+    assertEqual(validation.tokens.join(','), analysis.tokens.join(','), 'Validator uses the same tokens');
+    assertEqual(validation.missing.map(m => m.token).join(','), 'stray', 'Only unfilled tokens are missing');
+
+    console.log('✅ Analysis tests passed');
+}
+
+async function testCompiledCache(tempDir) {
+    console.log('🧪 Testing compiled template cache...');
+
+    const templatePath = path.join(tempDir, 'slide.html');
+    fs.writeFileSync(templatePath, '<p>{{client_name}}</p>');
+    TokenExtractor.clearCache();
+
+    const first = TokenExtractor.getCompiledTemplate(templatePath);
+    assertTrue(TokenExtractor.getCompiledTemplate(templatePath) === first, 'Unchanged files reuse the compiled template');
+    assertEqual(TokenExtractor.getCachedTokens(templatePath).join(','), 'client_name', 'Cached tokens come from the compiled template');
+
+    const expanded = TokenExtractor.getCompiledTemplate(templatePath, '<main>{{client_name}}</main>');
+    assertTrue(TokenExtractor.getCompiledTemplate(templatePath, '<main>{{client_name}}</main>') === expanded, 'Expanded content is cached too');
+
+    fs.writeFileSync(templatePath, '<p>{{project_name}}</p>');
+    const future = new Date(Date.now() + 5000);
+    fs.utimesSync(templatePath, future, future);
+    assertTrue(TokenExtractor.getCompiledTemplate(templatePath) !== first, 'Modified files are recompiled');
+    assertEqual(TokenExtractor.getCachedTokens(templatePath).join(','), 'project_name', 'Tokens follow the new content');
+
+    TokenExtractor.clearCache();
+    console.log('✅ Compiled cache tests passed');
+}
+
+// Run the tests
+const tempDir = createTempDir('compiler-test-');
+try {
+    await testParsing();
+    await testRendering();
+    await testEscapesAndComments();
+    await testAnalysis();
+    await testCompiledCache(tempDir);
+    console.log('🎉 All template compiler tests passed!');
+} catch (error) {
+    console.error('❌ Template compiler test failed:', error.message);
+    process.exit(1);
+} finally {
+    cleanupTempDir(tempDir);
+}
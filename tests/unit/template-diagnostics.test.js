@@ -0,0 +1,110 @@
+/**
+ * Template Diagnostics Tests - Verify token positions, code frames and "did you mean" suggestions
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createTempDir, cleanupTempDir, assertEqual, assertTrue } from '../test-utils.js';
+import TemplateDiagnostics from '../../scripts/token-replacement/template-diagnostics.js';
+import TokenExtractor from '../../scripts/token-replacement/token-extractor.js';
+import ConfigValidator from '../../scripts/token-replacement/config-validator.js';
+import TemplateProcessor from '../../scripts/token-replacement/template-processor.js';
+
+async function testTokenLocations() {
+    console.log('🧪 Testing token locations...');
+
+    const source = '<h1>{{client_name}}</h1>\n<ul>\n    {{#each features}}<li>{{this}}</li>{{/each}} {{client_name}}\n</ul>';
+    const locations = TokenExtractor.extractTokenLocations(source);
+
+    assertEqual(locations.client_name.map(l => `${l.line}:${l.column}`).join(','), '1:5,3:50', 'Every occurrence is recorded');
+    assertEqual(`${locations.features[0].line}:${locations.features[0].column}`, '3:5', 'Loop lists are located');
+    assertEqual(locations.this.length, 1, 'Tokens inside loops are located');
+
+    console.log('✅ Token location tests passed');
+}
+
+async function testSuggestions() {
+    console.log('🧪 Testing "did you mean" suggestions...');
+
+    const config = { design_feedback_dates: 'June 1', payment: { amount: 500 }, client_name: 'Acme' };
+
+    assertEqual(ConfigValidator.suggestConfigPaths(config, 'design_feedback_date').join(','), 'design_feedback_dates', 'Near misses are suggested');
+    assertEqual(ConfigValidator.suggestConfigPaths(config, 'payment.amout').join(','), 'payment.amount', 'Nested paths are suggested');
+    assertEqual(ConfigValidator.suggestConfigPaths(config, 'launch_date').length, 0, 'Unrelated keys are not suggested');
+    assertEqual(ConfigValidator.editDistance('kitten', 'sitting'), 3, 'Edit distance counts edits');
+
+    const validation = ConfigValidator.validateAgainstTokens(config, ['client_nme']);
+    assertEqual(validation.missing[0].suggestions.join(','), 'client_name', 'Missing entries carry suggestions');
+
+    console.log('✅ Suggestion tests passed');
+}
+
+async function testFormatting() {
+    console.log('🧪 Testing diagnostic formatting...');
+
+    const source = '<div>\n    <p>{{client_nme}}</p>\n</div>';
+    const [diagnostic] = TemplateDiagnostics.forMissingTokens(
+        'templates/demo/01-slide.html',
+        source,
+        [{ token: 'client_nme', reason: 'not found in config', suggestions: ['client_name'] }]
+    );
+
+    assertEqual(
+        TemplateDiagnostics.format(diagnostic),
+        "demo/01-slide.html:2:8 missing client_nme\n   Did you mean 'client_name'?",
+        'Diagnostics show file:line:col and the suggestion'
+    );
+    assertEqual(
+        TemplateDiagnostics.codeFrame(source, 2, 8),
+        '     1 | <div>\n   > 2 |     <p>{{client_nme}}</p>\n       |        ^\n     3 | </div>',
+        'Code frames point at the column'
+    );
+
+    const [unplaced] = TemplateDiagnostics.forMissingTokens('templates/demo/01-slide.html', source, [{ token: 'asset_path', reason: 'value is null' }]);
+    assertEqual(TemplateDiagnostics.format(unplaced, { frame: true }), 'demo/01-slide.html missing asset_path (value is null)', 'Tokens outside the file have no position');
+
+    console.log('✅ Formatting tests passed');
+}
+
+async function testProcessorDiagnostics(tempDir) {
+    console.log('🧪 Testing diagnostics from template processing...');
+
+    const templateDir = path.join(tempDir, 'timeline');
+    fs.mkdirSync(templateDir);
+    const first = path.join(templateDir, '01-dates.html');
+    const second = path.join(templateDir, '02-review.html');
+    fs.writeFileSync(first, '<p>{{start_date}}</p>\n<p>{{design_feedback_date}}</p>');
+    fs.writeFileSync(second, '{{#if review}}\n  {{design_feedback_date}}\n{{/if}}');
+
+    const processor = new TemplateProcessor({ errorHandling: 'graceful' });
+    const results = await processor.processMultipleTemplates([first, second], {
+        start_date: 'June 1',
+        design_feedback_dte: 'June 9',
+        review: true
+    });
+
+    assertEqual(
+        results.diagnostics.map(d => `${d.file}:${d.line}:${d.column} ${d.token}`).join(' | '),
+        'timeline/01-dates.html:2:4 design_feedback_date | timeline/02-review.html:2:3 design_feedback_date',
+        'Each file reports its own positions'
+    );
+    assertEqual(results.diagnostics[0].suggestions.join(','), 'design_feedback_dte', 'Suggestions come from config keys');
+    assertTrue(results.processed[0].content.includes('[MISSING]'), 'Missing tokens still get the placeholder');
+
+    console.log('✅ Processor diagnostic tests passed');
+}
+
+// Run the tests
+const tempDir = createTempDir('diagnostics-test-');
+try {
+    await testTokenLocations();
+    await testSuggestions();
+    await testFormatting();
+    await testProcessorDiagnostics(tempDir);
+    console.log('🎉 All template diagnostics tests passed!');
+} catch (error) {
+    console.error('❌ Template diagnostics test failed:', error.message);
+    process.exit(1);
+} finally {
+    cleanupTempDir(tempDir);
+}
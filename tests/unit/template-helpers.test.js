@@ -0,0 +1,102 @@
+/**
+ * Template Helper Tests - Verify {{plural}} and {{words}} and their locale rules
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createTempDir, cleanupTempDir, assertEqual, assertTrue } from '../test-utils.js';
+import TokenReplacer from '../../scripts/token-replacement/token-replacer.js';
+import TokenExtractor from '../../scripts/token-replacement/token-extractor.js';
+import StringCatalog from '../../scripts/token-replacement/string-catalog.js';
+import ConfigValidator from '../../scripts/token-replacement/config-validator.js';
+import NumberWords from '../../scripts/token-replacement/number-words.js';
+
+const render = (source, config, options = {}) => TokenReplacer.replaceTokens(source, config, null, { errorHandling: 'graceful', ...options });
+
+async function testPlural() {
+    console.log('🧪 Testing plural helper...');
+
+    const source = '{{plural rounds "# round" "# rounds"}}';
+
+    assertEqual(render(source, { rounds: 1 }), '1 round', 'One takes the singular');
+    assertEqual(render(source, { rounds: '3' }), '3 rounds', 'Numeric strings from configs work');
+    assertEqual(render(source, { rounds: 0 }), '0 rounds', 'Zero is plural in English');
+    assertEqual(render('{{plural weeks "week" "weeks"}}', { weeks: 1 }), 'week', 'Forms without # are just the word');
+    assertEqual(render(source, { rounds: 1500 }), '1,500 rounds', 'The number is formatted for the locale');
+    assertEqual(render(source, { rounds: 15000, locale: 'es' }), '15.000 rounds', 'Spanish digit grouping');
+    assertEqual(render('{{plural n "# plik" "# pliki" "# plików" "# pliku"}}', { n: 5, locale: 'pl' }), '5 plików', 'One form per category follows the language rules');
+    assertEqual(render(source, {}), '[MISSING]', 'A missing count is a missing token');
+    assertEqual(render('{{plural rounds "# round" "# rounds" ?? "TBD"}}', { rounds: 'several' }), 'TBD', 'Non-numeric counts use the fallback');
+
+    console.log('✅ Plural helper tests passed');
+}
+
+async function testPluralFromStringPack(tempDir) {
+    console.log('🧪 Testing plural forms from string packs...');
+
+    const i18nDir = path.join(tempDir, 'i18n');
+    fs.mkdirSync(i18nDir);
+    fs.writeFileSync(path.join(i18nDir, 'en.json'), JSON.stringify({ units: { round: { one: '# round', other: '# rounds' }, week: { one: '# week', other: '# weeks' } } }));
+    fs.writeFileSync(path.join(i18nDir, 'es.json'), JSON.stringify({ units: { round: { one: '# ronda', other: '# rondas' } } }));
+    const strings = StringCatalog.load(i18nDir, 'es');
+
+    assertEqual(render('{{plural n "units.round"}}', { n: 1, locale: 'es' }, { strings }), '1 ronda', 'Forms come from the locale pack');
+    assertEqual(render('{{plural n "units.round"}}', { n: 4, locale: 'es' }, { strings }), '4 rondas', 'Plural category is picked by the locale');
+    assertEqual(render('{{plural n "units.week"}}', { n: 2, locale: 'es' }, { strings }), '2 weeks', 'Missing forms fall back to English');
+
+    const validation = ConfigValidator.validateTemplate({ n: 2 }, '{{plural n "units.round"}} {{plural n "units.week"}}', { strings });
+    assertEqual(validation.untranslated.map(entry => entry.key).join(','), 'units.week', 'Untranslated plural keys are flagged');
+    assertEqual(JSON.stringify(ConfigValidator.validateTranslations(i18nDir)), '{"es":["units.week"]}', 'Plural forms count as one key');
+
+    console.log('✅ String pack plural tests passed');
+}
+
+async function testWords() {
+    console.log('🧪 Testing words helper...');
+
+    assertEqual(render('{{words weeks}}', { weeks: '5' }), 'five', 'Numbers become words');
+    assertEqual(render('{{words weeks | capitalize}} weeks', { weeks: 12 }), 'Twelve weeks', 'Helpers take filters');
+    assertEqual(render('{{words weeks}}', { weeks: 21, locale: 'es' }), 'veintiuno', 'Words follow the config locale');
+    assertEqual(render('{{words weeks "feminine"}} semanas', { weeks: 21, locale: 'es' }), 'veintiuna semanas', 'Spanish feminine forms');
+    assertEqual(render('{{words weeks}}', { weeks: 5, locale: 'de' }), '5', 'Languages without word tables keep digits');
+
+    assertEqual(NumberWords.toWords(125), 'one hundred twenty-five', 'English hundreds');
+    assertEqual(NumberWords.toWords(2024), 'two thousand twenty-four', 'English thousands');
+    assertEqual(NumberWords.toWords(21000, 'es'), 'veintiún mil', 'Spanish shortens uno before mil');
+    assertEqual(NumberWords.toWords(2500000, 'es'), 'dos millones quinientos mil', 'Spanish millions');
+    assertEqual(NumberWords.toWords(100, 'es'), 'cien', 'Spanish cien');
+    assertEqual(NumberWords.toWords(2.5), '2.5', 'Fractions keep digits');
+
+    console.log('✅ Words helper tests passed');
+}
+
+async function testAnalysis() {
+    console.log('🧪 Testing helper arguments in analysis...');
+
+    const source = '<h2>{{plural project_timeline_weeks "# Week" "# Weeks"}}</h2>\n<p>{{words revision_rounds ?? "a few"}}</p>';
+
+    assertEqual(TokenExtractor.extractTokens(source).join(','), 'project_timeline_weeks,revision_rounds', 'Helper path arguments are tokens');
+    assertEqual(TokenExtractor.analyzeTemplate(source, {}).defaulted.join(','), 'revision_rounds', 'Helper fallbacks default their arguments');
+    assertEqual(TokenExtractor.extractTokenLocations(source).revision_rounds[0].line, 2, 'Helper arguments are located');
+
+    const validation = ConfigValidator.validateTemplate({}, source);
+    assertEqual(validation.missing.map(entry => entry.token).join(','), 'project_timeline_weeks', 'Missing counts are reported');
+    assertTrue(!validation.missing.some(entry => entry.token === 'revision_rounds'), 'Defaulted arguments are not missing');
+
+    console.log('✅ Helper analysis tests passed');
+}
+
+// Run the tests
+const tempDir = createTempDir('helpers-test-');
+try {
+    await testPlural();
+    await testPluralFromStringPack(tempDir);
+    await testWords();
+    await testAnalysis();
+    console.log('🎉 All template helper tests passed!');
+} catch (error) {
+    console.error('❌ Template helper test failed:', error.message);
+    process.exit(1);
+} finally {
+    cleanupTempDir(tempDir);
+}
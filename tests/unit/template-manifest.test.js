@@ -0,0 +1,180 @@
+/**
+ * Template Manifest Tests - Verify template.json loading, slide order and typed token validation
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createTempDir, cleanupTempDir, assertEqual, assertTrue } from '../test-utils.js';
+import TemplateManifest from '../../scripts/token-replacement/template-manifest.js';
+import ConfigValidator from '../../scripts/token-replacement/config-validator.js';
+import { processConfig } from '../../scripts/lib/config.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const projectRoot = path.join(__dirname, '..', '..');
+
+function writeTemplate(templateDir, manifest) {
+    fs.mkdirSync(templateDir, { recursive: true });
+    for (const slide of ['00-cover.html', '01-intro.html', '02-extra.html']) {
+        fs.writeFileSync(path.join(templateDir, slide), `<h1>{{client_name}}</h1>`);
+    }
+    if (manifest) {
+        fs.writeFileSync(path.join(templateDir, 'template.json'), JSON.stringify(manifest));
+    }
+}
+
+async function testLoading(tempDir) {
+    console.log('🧪 Testing manifest loading...');
+
+    const templateDir = path.join(tempDir, 'welcome');
+    writeTemplate(templateDir, {
+        title: 'Welcome Deck',
+        version: '2.1.0',
+        slides: ['01-intro.html', '00-cover.html'],
+        tokens: {
+            client_name: { type: 'string', required: true, description: 'Client name', example: 'Acme' },
+            kickoff: { type: 'date' }
+        }
+    });
+
+    const manifest = TemplateManifest.load(templateDir);
+    assertEqual(manifest.title, 'Welcome Deck', 'Title is read');
+    assertEqual(TemplateManifest.describe(manifest), 'Welcome Deck v2.1.0 (welcome)', 'Templates are described by title and version');
+    assertEqual(TemplateManifest.getSlidePaths(templateDir, manifest).map(slide => path.basename(slide)).join(','), '01-intro.html,00-cover.html', 'Slides follow manifest order');
+    assertEqual(TemplateManifest.findUnlistedSlides(templateDir, manifest).join(','), '02-extra.html', 'Unlisted HTML files are found');
+    assertEqual(manifest.tokens.kickoff.required, false, 'Tokens are optional unless marked required');
+    assertEqual(TemplateManifest.getRequiredTokens(manifest).join(','), 'client_name', 'Required tokens are listed');
+    assertEqual(
+        JSON.stringify(TemplateManifest.groupTokensBySlide(templateDir, manifest)),
+        '[{"slide":"01-intro.html","tokens":["client_name"]},{"slide":null,"tokens":["kickoff"]}]',
+        'Tokens are grouped under the first slide using them, then declared tokens no slide uses'
+    );
+    assertEqual(
+        TemplateManifest.findUndeclaredTokens(manifest, ['client_name', 'asset_path', 'project_name']).join(','),
+        'project_name',
+        'Used tokens missing from the manifest are found; system tokens are not'
+    );
+
+    const bare = path.join(tempDir, 'bare');
+    writeTemplate(bare, null);
+    const fallback = TemplateManifest.load(bare);
+    assertEqual(fallback.file, null, 'Templates without template.json still load');
+    assertEqual(fallback.slides.join(','), '00-cover.html,01-intro.html,02-extra.html', 'Their slides are the HTML files in name order');
+    assertEqual(TemplateManifest.findUndeclaredTokens(fallback, ['client_name']).length, 0, 'Nothing is undeclared without a manifest');
+
+    console.log('✅ Manifest loading tests passed');
+}
+
+async function testInvalidManifests(tempDir) {
+    console.log('🧪 Testing manifest checks...');
+
+    const errors = TemplateManifest.validate({
+        slides: ['00-cover.html', '00-cover.html', 'missing.html', 'notes.txt'],
+        tokens: { budget: { type: 'money', required: 'yes' }, start: { type: 'date' }, name: { type: 'string', business_day: true } },
+        rules: ['start <= name', 'start before launch']
+    }, path.join(tempDir, 'welcome'));
+
+    assertTrue(errors.includes('title is required'), 'A title is required');
+    assertTrue(errors.includes("slide '00-cover.html' is listed twice"), 'Duplicate slides are reported');
+    assertTrue(errors.includes("slide 'missing.html' not found"), 'Missing slide files are reported');
+    assertTrue(errors.some(error => error.startsWith('slide "notes.txt"')), 'Slides must be HTML files');
+    assertTrue(errors.some(error => error.startsWith("tokens.budget.type 'money'")), 'Unknown types are reported');
+    assertTrue(errors.includes('tokens.budget.required must be true or false'), 'required must be a boolean');
+    assertTrue(errors.includes('tokens.name.business_day must be true or false on a date token'), 'business_day is for dates');
+    assertTrue(errors.includes('rule "start <= name" uses \'name\', which is not a date token'), 'Rules compare date tokens');
+    assertTrue(errors.some(error => error.startsWith('rule "start before launch" must compare')), 'Rules must parse');
+
+    const broken = path.join(tempDir, 'broken');
+    writeTemplate(broken, { title: 'Broken', slides: [] });
+    let error = '';
+    try {
+        TemplateManifest.load(broken);
+    } catch (e) {
+        error = e.message;
+    }
+    assertTrue(error.includes('Invalid template manifest') && error.includes('slides must list'), 'Loading an invalid manifest throws');
+
+    console.log('✅ Manifest check tests passed');
+}
+
+async function testTokenValidation() {
+    console.log('🧪 Testing typed token validation...');
+
+    const manifest = {
+        name: 'welcome',
+        file: 'template.json',
+        tokens: {
+            client_name: { type: 'string', required: true, description: 'Client name', example: 'Acme' },
+            start_date: { type: 'date', required: true },
+            total: { type: 'currency', required: true },
+            contact: { type: 'email', required: false },
+            'payment.link': { type: 'url', required: false },
+            features: { type: 'array', required: false },
+            notes: { type: 'string', required: false }
+        }
+    };
+
+    const valid = ConfigValidator.validateManifest({
+        client_name: 'Acme',
+        start_date: 'June 10, 2025',
+        total: '$12,500',
+        contact: 'hello@acme.com',
+        payment: { link: 'https://acme.com/pay' },
+        features: ['SEO']
+    }, manifest, { usedTokens: ['client_name', 'asset_path'] });
+    assertTrue(valid.valid, 'A matching config is valid');
+    assertEqual(valid.errors.length, 0, 'Unset optional tokens are not errors');
+
+    const invalid = ConfigValidator.validateManifest({
+        start_date: 'someday',
+        total: 12500,
+        contact: 'acme.com',
+        payment: { link: 'acme dot com' },
+        features: 'SEO'
+    }, manifest, { usedTokens: ['project_name'] });
+    assertEqual(invalid.valid, false, 'Problems make the config invalid');
+    assertEqual(invalid.missing.map(entry => entry.token).join(','), 'client_name', 'Missing required tokens are reported');
+    assertEqual(invalid.missing[0].example, 'Acme', 'Missing tokens carry their example');
+    assertEqual(invalid.invalid.map(entry => entry.token).join(','), 'start_date,contact,payment.link,features', 'Values of the wrong type are reported');
+    assertTrue(invalid.errors.includes("Token 'contact' must be an email address (got 'acme.com')"), 'Type errors say what was expected');
+    assertEqual(invalid.undeclared.join(','), 'project_name', 'Undeclared tokens are reported');
+    assertTrue(invalid.warnings[0].includes('not declared in template.json'), 'Undeclared tokens are warnings');
+
+    console.log('✅ Typed token validation tests passed');
+}
+
+async function testRepositoryTemplates() {
+    console.log('🧪 Testing the repository templates against their dev configs...');
+
+    const templatesDir = path.join(projectRoot, 'templates');
+    const templates = fs.readdirSync(templatesDir).filter(name => !name.startsWith('_'));
+
+    for (const name of templates) {
+        const templateDir = path.join(templatesDir, name);
+        const manifest = TemplateManifest.load(templateDir);
+        assertTrue(manifest.file !== null, `${name} has a template.json`);
+        assertEqual(TemplateManifest.findUnlistedSlides(templateDir, manifest).length, 0, `${name} lists every slide`);
+
+        const configPath = path.join(projectRoot, 'configs', 'dev', `${name}.json`);
+        const config = processConfig(JSON.parse(fs.readFileSync(configPath, 'utf8')), { manifest });
+        const validation = ConfigValidator.validateManifest(config, manifest);
+        assertTrue(validation.valid, `${name} dev config matches its manifest: ${validation.errors.join('; ')}`);
+    }
+
+    console.log('✅ Repository template tests passed');
+}
+
+// Run the tests
+const tempDir = createTempDir('manifest-test-');
+try {
+    await testLoading(tempDir);
+    await testInvalidManifests(tempDir);
+    await testTokenValidation();
+    await testRepositoryTemplates();
+    console.log('🎉 All template manifest tests passed!');
+} catch (error) {
+    console.error('❌ Template manifest test failed:', error.message);
+    process.exit(1);
+} finally {
+    cleanupTempDir(tempDir);
+}
@@ -0,0 +1,110 @@
+/**
+ * Token Filters Tests - Verify pipe parsing and built-in formatting filters
+ */
+
+import { assertEqual, assertTrue } from '../test-utils.js';
+import TokenFilters from '../../scripts/token-replacement/token-filters.js';
+import TokenReplacer from '../../scripts/token-replacement/token-replacer.js';
+import TokenExtractor from '../../scripts/token-replacement/token-extractor.js';
+import ConfigValidator from '../../scripts/token-replacement/config-validator.js';
+
+async function testExpressionParsing() {
+    console.log('🧪 Testing filter expression parsing...');
+    
+    const parsed = TokenFilters.parseExpression(' launch_date | date:"MMMM d, yyyy" | upper ');
+    assertEqual(parsed.path, 'launch_date', 'Path is separated from filters');
+    assertEqual(parsed.filters.length, 2, 'Both filters are parsed');
+    assertEqual(parsed.filters[0].args[0], 'MMMM d, yyyy', 'Quoted arguments keep commas');
+    assertEqual(TokenFilters.parseExpression('notes | truncate:20,"..."').filters[0].args[0], 20, 'Numeric arguments are numbers');
+    
+    console.log('✅ Expression parsing tests passed');
+}
+
+async function testBuiltInFilters() {
+    console.log('🧪 Testing built-in filters...');
+    
+    const apply = (value, expression) => TokenFilters.apply(value, TokenFilters.parseExpression(`x | ${expression}`).filters);
+    
+    assertEqual(apply(12500, 'currency:"USD"'), '$12,500', 'Whole amounts have no cents');
+    assertEqual(apply('1499.5', 'currency'), '$1,499.50', 'Numeric strings are formatted');
+    assertEqual(apply('$12,500', 'currency'), '$12,500', 'Pre-formatted amounts still work');
+    assertEqual(apply('TBD', 'currency'), 'TBD', 'Non-numeric values pass through');
+    assertEqual(apply('2025-07-15', 'date:"MMMM d, yyyy"'), 'July 15, 2025', 'ISO dates do not shift a day');
+    assertEqual(apply('2025-07-05', 'date:"EEE, MMM dd"'), 'Sat, Jul 05', 'Weekday and padded patterns work');
+    assertEqual(apply('June 10, 2025 at 2:00 PM', 'date'), 'June 10, 2025 at 2:00 PM', 'Unparseable dates pass through');
+    assertEqual(apply('Acme & Co', 'upper'), 'ACME & CO', 'upper works');
+    assertEqual(apply('Create a professional modern website', 'truncate:20'), 'Create a…', 'truncate cuts at a word boundary');
+    
+    let threw = false;
+    try {
+        apply('x', 'nope');
+    } catch (error) {
+        threw = error.message.includes("Unknown filter 'nope'");
+    }
+    assertTrue(threw, 'Unknown filters throw');
+    
+    console.log('✅ Built-in filter tests passed');
+}
+
+async function testFiltersInTemplates() {
+    console.log('🧪 Testing filters in template replacement...');
+    
+    TokenFilters.register('initials', value => String(value).split(' ').map(word => word[0]).join(''));
+    
+    const template = '{{client_name | upper}} ({{client_name|initials}}) owes {{ total | currency:"USD" }} {{#each items}}{{this | lower}}{{/each}}';
+    const config = { client_name: 'Dev Corp', total: 500, items: ['A', 'B'] };
+    
+    assertEqual(TokenExtractor.extractTokens(template).join(','), 'client_name,items,total', 'Extraction strips filters');
+    assertEqual(
+        TokenReplacer.replaceTokens(template, config),
+        'DEV CORP (DC) owes $500 ab',
+        'Filters apply during replacement, including custom ones'
+    );
+    
+    console.log('✅ Template filter tests passed');
+}
+
+async function testInlineDefaults() {
+    console.log('🧪 Testing inline defaults...');
+    
+    assertEqual(TokenFilters.parseExpression('phone ?? "by email"').fallback, 'by email', '?? sets the fallback');
+    assertEqual(TokenFilters.parseExpression('video_platform | default:"Zoom"').fallback, 'Zoom', 'default filter sets the fallback');
+    assertEqual(TokenFilters.parseExpression('phone ?? "a ?? b" | upper').path, 'phone', '?? inside quotes is literal');
+    
+    const template = 'Call on {{video_platform | default:"Zoom"}}, phone {{phone ?? "by email" | upper}}, via {{project_platform}}';
+    const config = { video_platform: '' };
+    const tokens = TokenExtractor.extractTokens(template);
+    
+    const output = TokenReplacer.replaceTokens(template, config, tokens, { errorHandling: 'graceful' });
+    assertEqual(output, 'Call on Zoom, phone BY EMAIL, via [MISSING]', 'Fallbacks apply before the missing-token strategy');
+    assertEqual(
+        TokenReplacer.replaceTokens('<p>{{phone ?? "by email"}}</p><p>{{phone}}</p>', { phone: '' }),
+        '<p>by email</p><p></p>',
+        '?? also replaces empty strings'
+    );
+    
+    assertEqual(
+        TokenExtractor.analyzeTemplate(`${template} {{phone}}`, config).defaulted.join(','),
+        'video_platform',
+        'A token is only defaulted when every occurrence has a fallback'
+    );
+    
+    const validation = ConfigValidator.validateTemplate(config, template);
+    assertEqual(validation.defaulted.map(d => d.token).join(','), 'phone,video_platform', 'Defaulted tokens are reported');
+    assertEqual(validation.missing.map(m => m.token).join(','), 'project_platform', 'Defaulted tokens are not missing');
+    assertTrue(validation.warnings.every(warning => !warning.includes('phone')), 'Defaulted tokens do not warn');
+    
+    console.log('✅ Inline default tests passed');
+}
+
+// Run the tests
+try {
+    await testExpressionParsing();
+    await testBuiltInFilters();
+    await testFiltersInTemplates();
+    await testInlineDefaults();
+    console.log('🎉 All token filter tests passed!');
+} catch (error) {
+    console.error('❌ Token filter test failed:', error.message);
+    process.exit(1);
+}
@@ -0,0 +1,143 @@
+/**
+ * Token Replacer Tests - Verify block resolution and token replacement
+ */
+
+import { assertEqual, assertTrue } from '../test-utils.js';
+import TokenReplacer from '../../scripts/token-replacement/token-replacer.js';
+import TokenExtractor from '../../scripts/token-replacement/token-extractor.js';
+import ConfigValidator from '../../scripts/token-replacement/config-validator.js';
+
+const render = (content, config) => TokenReplacer.replaceTokens(content, config, null, { errorHandling: 'graceful' });
+
+async function testConditionalBlocks() {
+    console.log('🧪 Testing conditional blocks...');
+    
+    const config = {
+        client_name: 'Acme',
+        project_manager_phone: '',
+        payment: { link: 'https://pay.example.com' }
+    };
+    
+    assertEqual(
+        render('{{#if client_name}}yes{{/if}}', config),
+        'yes',
+        'Truthy #if keeps its body'
+    );
+    assertEqual(
+        render('{{#if project_manager_phone}}yes{{else}}no{{/if}}', config),
+        'no',
+        'Empty string takes the else branch'
+    );
+    assertEqual(
+        render('{{#unless payment.link}}none{{else}}{{payment.link}}{{/unless}}', config),
+        'https://pay.example.com',
+        '#unless works on nested paths'
+    );
+    assertEqual(
+        render('{{#if client_name}}a{{#if missing}}b{{else}}c{{/if}}d{{/if}}', config),
+        'acd',
+        'Nested blocks resolve independently'
+    );
+    
+    let threw = false;
+    try {
+        render('{{#if client_name}}open', config);
+    } catch (error) {
+        threw = error.message.includes('Unclosed');
+    }
+    assertTrue(threw, 'Unclosed blocks throw');
+    
+    console.log('✅ Conditional block tests passed');
+}
+
+async function testBlockTokenExtraction() {
+    console.log('🧪 Testing token extraction around blocks...');
+    
+    const template = '{{#if second_pm}}{{second_pm_name}}{{else}}{{client_name}}{{/if}}';
+    const tokens = TokenExtractor.extractTokens(template);
+    
+    assertEqual(tokens.join(','), 'client_name,second_pm_name', 'Block tags are not tokens');
+    assertEqual(
+        TokenExtractor.analyzeTemplate(template, { second_pm: true }).tokens.join(','),
+        'second_pm_name',
+        'Conditions are not tokens'
+    );
+    assertEqual(TokenExtractor.analyzeTemplate(template, { client_name: 'Acme' }).tokens.join(','), 'client_name', 'Skipped branch tokens drop out');
+    
+    console.log('✅ Block extraction tests passed');
+}
+
+async function testEachBlocks() {
+    console.log('🧪 Testing each blocks...');
+    
+    const config = {
+        client_name: 'Acme',
+        features: ['SEO', 'CMS', 'Forms'],
+        integrations: [
+            { name: 'Analytics', description: 'Traffic reports' },
+            { name: 'Mailchimp', description: 'Newsletter' }
+        ],
+        empty_list: []
+    };
+    
+    assertEqual(
+        render('{{#each features}}<li>{{this}}</li>{{/each}}', config),
+        '<li>SEO</li><li>CMS</li><li>Forms</li>',
+        'Primitive items render with {{this}}'
+    );
+    assertEqual(
+        render('{{#each features}}{{@index}}:{{this}}{{#unless @last}}, {{/unless}}{{/each}}', config),
+        '0:SEO, 1:CMS, 2:Forms',
+        '@index and @last are available'
+    );
+    assertEqual(
+        render('{{#each integrations}}{{#if @first}}[{{client_name}}] {{/if}}{{name}}: {{description}};{{/each}}', config),
+        '[Acme] Analytics: Traffic reports;Mailchimp: Newsletter;',
+        'Object items expose their fields and outer config'
+    );
+    assertEqual(
+        render('{{#each empty_list}}item{{else}}none{{/each}}', config),
+        'none',
+        'Empty arrays render the else branch'
+    );
+    
+    const nested = TokenExtractor.analyzeTemplate('{{#each features}}{{#each nested}}{{/each}}{{/each}}', config);
+    assertEqual(nested.iterables.join(','), 'features', 'Only top-level iterables are collected');
+    
+    const template = '{{client_name}}{{#each integrations}}{{name}}{{/each}}';
+    assertEqual(TokenExtractor.extractTokens(template).join(','), 'client_name,integrations', 'Loop bodies are not tokens');
+    assertEqual(TokenExtractor.analyzeTemplate(template, config).iterables.join(','), 'integrations', 'Iterables are extracted');
+    
+    console.log('✅ Each block tests passed');
+}
+
+async function testArrayValidation() {
+    console.log('🧪 Testing array token validation...');
+    
+    const validation = ConfigValidator.validateAgainstTokens(
+        { features: 'SEO, CMS', integrations: [] },
+        ['features', 'integrations'],
+        { arrayTokens: ['features', 'integrations'] }
+    );
+    
+    assertEqual(validation.missing.length, 2, 'Non-array and empty array values are missing');
+    assertTrue(validation.missing[0].reason.includes('must be an array'), 'Reason explains the array requirement');
+    assertTrue(
+        Array.isArray(ConfigValidator.generateConfigSuggestions(validation.missing).features),
+        'Suggestions use arrays for iterated tokens'
+    );
+    
+    console.log('✅ Array validation tests passed');
+}
+
+// Run the tests
+try {
+    await testConditionalBlocks();
+    await testBlockTokenExtraction();
+    await testEachBlocks();
+    await testArrayValidation();
+    console.log('🎉 All token replacer tests passed!');
+} catch (error) {
+    console.error('❌ Token replacer test failed:', error.message);
+    process.exit(1);
+}
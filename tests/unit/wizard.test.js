@@ -0,0 +1,158 @@
+/**
+ * Wizard Tests - Verify the interactive config wizard's prompts, validation, saving and resuming
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { Readable, Writable } from 'stream';
+import { createTempDir, cleanupTempDir, assertEqual, assertTrue } from '../test-utils.js';
+import { runConfigWizard } from '../../scripts/lib/wizard.js';
+import { readConfigFile } from '../../scripts/lib/config-file.js';
+
+function writeTemplate(templateDir) {
+    fs.mkdirSync(templateDir, { recursive: true });
+    fs.writeFileSync(path.join(templateDir, '00-cover.html'), '<h1>{{client_name}}</h1><p>{{start_date}}</p>');
+    fs.writeFileSync(path.join(templateDir, '01-payment.html'), '<a href="{{payment.link}}">{{payment.provider}}</a>{{#each features}}<li>{{this}}</li>{{/each}}{{notes}}');
+    fs.writeFileSync(path.join(templateDir, 'template.json'), JSON.stringify({
+        title: 'Welcome Deck',
+        slides: ['00-cover.html', '01-payment.html'],
+        tokens: {
+            client_name: { type: 'string', required: true, description: 'Client name', example: 'Acme' },
+            start_date: { type: 'date', required: true, description: 'First day', example: 'June 10, 2025' },
+            'payment.link': { type: 'url', required: true, description: 'Payment page' },
+            'payment.provider': { type: 'string', required: true, default: 'Bonsai' },
+            features: { type: 'array', required: true },
+            notes: { type: 'string', required: false }
+        }
+    }));
+}
+
+async function runWizard(templateDir, configPath, answers) {
+    let transcript = '';
+    const output = new Writable({
+        write(chunk, encoding, callback) {
+            transcript += chunk.toString();
+            callback();
+        }
+    });
+
+    try {
+        const result = await runConfigWizard(templateDir, configPath, { input: Readable.from([answers.map(answer => `${answer}\n`).join('')]), output });
+        return { ...result, transcript };
+    } catch (error) {
+        return { error: error.message, transcript };
+    }
+}
+
+async function testFillingIn(tempDir) {
+    console.log('🧪 Testing the wizard...');
+
+    const templateDir = path.join(tempDir, 'welcome');
+    writeTemplate(templateDir);
+    const configPath = path.join(tempDir, 'acme.json');
+
+    const result = await runWizard(templateDir, configPath, [
+        'Acme Corp',
+        'someday', '2025-06-10',
+        '', 'acme.com/pay', 'https://acme.com/pay',
+        '',
+        'SEO', 'Blog', '',
+        ''
+    ]);
+
+    assertTrue(!result.error, `The wizard completes: ${result.error}`);
+    assertTrue(result.transcript.indexOf('📄 00-cover.html') < result.transcript.indexOf('📄 01-payment.html'), 'Tokens are grouped by slide');
+    assertTrue(result.transcript.includes('Client name') && result.transcript.includes('e.g. Acme'), 'Descriptions and examples are shown');
+    assertTrue(result.transcript.includes("start_date must be a date"), 'Answers are checked against the token type');
+    assertTrue(result.transcript.includes('payment.link is required'), 'Required tokens must be answered');
+    assertTrue(result.transcript.includes("payment.link must be an https:// URL (got 'acme.com/pay')"), 'Invalid URLs are asked again');
+
+    const config = readConfigFile(configPath);
+    assertEqual(config.client_name, 'Acme Corp', 'Answers are saved');
+    assertEqual(config.start_date, '2025-06-10', 'Re-asked answers are saved once valid');
+    assertEqual(config.payment.link, 'https://acme.com/pay', 'Dotted tokens are saved nested');
+    assertEqual(config.payment.provider, undefined, 'Accepted template defaults are left to the defaults');
+    assertEqual(config.features.join(','), 'SEO,Blog', 'Lists are entered one item per line');
+    assertTrue(!('notes' in config), 'Skipped optional tokens are left out');
+
+    console.log('✅ Wizard tests passed');
+}
+
+async function testResuming(tempDir) {
+    console.log('🧪 Testing resuming a config...');
+
+    const templateDir = path.join(tempDir, 'welcome');
+    const configPath = path.join(tempDir, 'beta.yaml');
+    fs.writeFileSync(configPath, 'client_name: Beta\nstart_date: someday\n');
+
+    const stopped = await runWizard(templateDir, configPath, ['June 12, 2025']);
+    assertTrue(stopped.error.includes('answers so far are saved'), 'Running out of input stops the wizard');
+    assertTrue(!stopped.transcript.includes('client_name ('), 'Tokens that are already set are not asked again');
+    assertTrue(stopped.transcript.includes('start_date [someday]'), 'Invalid values are asked again, showing the current value');
+    assertEqual(readConfigFile(configPath).start_date, 'June 12, 2025', 'Answers before stopping are saved in the config format');
+
+    const resumed = await runWizard(templateDir, configPath, ['https://beta.com/pay', 'SEO', '']);
+    assertTrue(!resumed.error, `A resumed wizard completes: ${resumed.error}`);
+    assertTrue(!resumed.transcript.includes('start_date'), 'A resumed wizard picks up where it stopped');
+    assertTrue(!resumed.transcript.includes('payment.provider') && !resumed.transcript.includes('notes'), 'Optional and defaulted tokens are only asked for new configs');
+    assertEqual(readConfigFile(configPath).payment.link, 'https://beta.com/pay', 'Resumed answers are saved');
+
+    const done = await runWizard(templateDir, configPath, []);
+    assertEqual(done.asked, 0, 'A complete config has nothing left to ask');
+
+    // Configs from init-config carry each token's description as a comment
+    const yamlPath = path.join(tempDir, 'delta.yaml');
+    fs.writeFileSync(yamlPath, '# Delta\nclient_name: Delta # legal name\n# First day\nstart_date: someday\n');
+    await runWizard(templateDir, yamlPath, ['2025-06-10', 'https://delta.com/pay', 'SEO', '']);
+    const yamlSource = fs.readFileSync(yamlPath, 'utf8');
+    assertTrue(yamlSource.startsWith('# Delta\nclient_name: Delta # legal name\n# First day\nstart_date: 2025-06-10\n'), 'YAML comments are kept');
+    assertEqual(readConfigFile(yamlPath).payment.link, 'https://delta.com/pay', 'New YAML values are added');
+
+    const json5Path = path.join(tempDir, 'epsilon.json5');
+    fs.writeFileSync(json5Path, "// Epsilon\n{\n  // Legal name\n  client_name: 'Epsilon',\n  start_date: 'someday',\n}\n");
+    await runWizard(templateDir, json5Path, ['2025-06-10', 'https://epsilon.com/pay', 'SEO', '']);
+    const json5Source = fs.readFileSync(json5Path, 'utf8');
+    assertTrue(json5Source.startsWith("// Epsilon\n{\n  // Legal name\n  client_name: 'Epsilon',\n  start_date: '2025-06-10',"), 'JSON5 comments and quotes are kept');
+    assertEqual(readConfigFile(json5Path).features.join(','), 'SEO', 'New JSON5 values are added');
+
+    console.log('✅ Resume tests passed');
+}
+
+async function testReferences(tempDir) {
+    console.log('🧪 Testing configs with env and file references...');
+
+    const templateDir = path.join(tempDir, 'welcome');
+    const configPath = path.join(tempDir, 'gamma.json');
+    fs.writeFileSync(configPath, JSON.stringify({
+        client_name: '${env:WIZARD_TEST_CLIENT}',
+        start_date: 'someday',
+        payment: { link: '${env:WIZARD_TEST_UNSET_LINK}' },
+        features: ['SEO']
+    }));
+    process.env.WIZARD_TEST_CLIENT = 'Gamma Secret Holdings';
+    delete process.env.WIZARD_TEST_UNSET_LINK;
+
+    const result = await runWizard(templateDir, configPath, ['2025-06-10']);
+    assertTrue(!result.error, `Unset references don't stop the wizard: ${result.error}`);
+    assertEqual(result.asked, 1, 'Values held in references are not asked again');
+    assertTrue(!result.transcript.includes('Gamma Secret Holdings'), 'Referenced values are never shown');
+    const saved = readConfigFile(configPath);
+    assertEqual(`${saved.client_name} ${saved.payment.link}`, '${env:WIZARD_TEST_CLIENT} ${env:WIZARD_TEST_UNSET_LINK}', 'References are saved as written');
+
+    delete process.env.WIZARD_TEST_CLIENT;
+    console.log('✅ Reference tests passed');
+}
+
+// Run the tests
+const tempDir = createTempDir('wizard-test-');
+try {
+    await testFillingIn(tempDir);
+    await testResuming(tempDir);
+    await testReferences(tempDir);
+    console.log('🎉 All wizard tests passed!');
+} catch (error) {
+    console.error('❌ Wizard test failed:', error.message);
+    process.exit(1);
+} finally {
+    cleanupTempDir(tempDir);
+}